@@ -50,6 +50,23 @@ Goblin.BasicBroadphase.prototype.removeBody = function( body ) {
 	}
 };
 
+/**
+ * Captures the broadphase's state; collision pairs are rebuilt by every update so there is nothing to save
+ *
+ * @method saveState
+ * @return {null}
+ */
+Goblin.BasicBroadphase.prototype.saveState = function() {
+	return null;
+};
+
+/**
+ * Restores a state captured by `saveState`
+ *
+ * @method restoreState
+ */
+Goblin.BasicBroadphase.prototype.restoreState = function() {};
+
 /**
  * Checks all collision objects to find any which are possibly in contact
  *  resulting contact pairs are held in the object's `collision_pairs` property
@@ -120,18 +137,24 @@ Goblin.BasicBroadphase.prototype.intersectsWith = function( object_a ) {
  * @method rayIntersect
  * @property start {vec3} start point of the segment
  * @property end {vec3{ end point of the segment
+ * @property [filter] {Object} bodies to skip & which intersections to return, see `World.rayIntersect`
  * @return {Array<RayIntersection>} an unsorted array of intersections
  */
-Goblin.BasicBroadphase.prototype.rayIntersect = function( start, end ) {
+Goblin.BasicBroadphase.prototype.rayIntersect = function( start, end, filter ) {
 	var bodies_count = this.bodies.length,
+		backfaces = filter != null && filter.backfaces === true,
+		any_hit = filter != null && filter.mode === 'any',
 		i, body,
 		intersections = [];
 	for ( i = 0; i < bodies_count; i++ ) {
 		body = this.bodies[i];
-		if ( body.aabb.testRayIntersect( start, end ) ) {
-			body.rayIntersect( start, end, intersections );
+		if ( body.aabb.testRayIntersect( start, end ) && Goblin.CollisionUtils.passesFilter( filter, body ) ) {
+			body.rayIntersect( start, end, intersections, backfaces );
+			if ( any_hit && intersections.length > 0 ) {
+				break;
+			}
 		}
 	}
 
-	return intersections;
+	return Goblin.CollisionUtils.applyRayMode( intersections, filter );
 };
\ No newline at end of file
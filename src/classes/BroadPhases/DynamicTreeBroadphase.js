@@ -0,0 +1,635 @@
+(function(){
+	function getSurfaceArea( aabb ) {
+		var x = aabb.max.x - aabb.min.x,
+			y = aabb.max.y - aabb.min.y,
+			z = aabb.max.z - aabb.min.z;
+		return x * ( y + z ) + y * z;
+	}
+
+	function getCombinedSurfaceArea( a, b ) {
+		var x = Math.max( a.max.x, b.max.x ) - Math.min( a.min.x, b.min.x ),
+			y = Math.max( a.max.y, b.max.y ) - Math.min( a.min.y, b.min.y ),
+			z = Math.max( a.max.z, b.max.z ) - Math.min( a.min.z, b.min.z );
+		return x * ( y + z ) + y * z;
+	}
+
+	function containsAABB( outer, inner ) {
+		return outer.min.x <= inner.min.x && outer.min.y <= inner.min.y && outer.min.z <= inner.min.z &&
+			outer.max.x >= inner.max.x && outer.max.y >= inner.max.y && outer.max.z >= inner.max.z;
+	}
+
+	/**
+	 * Tree node for a DynamicTreeBroadphase; leaves hold a body and a fattened copy of its AABB
+	 *
+	 * @class DynamicTreeNode
+	 * @param [body] {RigidBody} body held by a leaf node
+	 * @constructor
+	 * @private
+	 */
+	var DynamicTreeNode = function( body ) {
+		this.aabb = new Goblin.AABB();
+
+		this.parent = null;
+		this.left = null;
+		this.right = null;
+
+		// leaves have a height of 0
+		this.height = 0;
+
+		this.body = body || null;
+	};
+	DynamicTreeNode.prototype.isLeaf = function() {
+		return this.left == null;
+	};
+
+	/**
+	 * Dynamic AABB tree broadphase. Each body is a leaf of a binary tree of fattened AABBs; leaves are only
+	 * re-inserted once their body moves outside of the fattened AABB, and the tree is kept balanced with rotations
+	 *
+	 * @class DynamicTreeBroadphase
+	 * @constructor
+	 */
+	Goblin.DynamicTreeBroadphase = function() {
+		/**
+		 * root node of the tree
+		 *
+		 * @property root
+		 * @type {DynamicTreeNode}
+		 * @private
+		 */
+		this.root = null;
+
+		/**
+		 * leaf nodes in the order their bodies were added
+		 *
+		 * @property leaves
+		 * @type {Array<DynamicTreeNode>}
+		 * @private
+		 */
+		this.leaves = [];
+
+		/**
+		 * distance a body's AABB is expanded by in every direction when it is inserted into the tree
+		 *
+		 * @property aabb_margin
+		 * @type {Number}
+		 * @default 0.1
+		 */
+		this.aabb_margin = 0.1;
+
+		/**
+		 * array of all (current) collision pairs between the broadphases' bodies
+		 *
+		 * @property collision_pairs
+		 * @type {Array}
+		 */
+		this.collision_pairs = [];
+
+		/**
+		 * array of bodies which have been added to the broadphase since the last update
+		 *
+		 * @property pending_bodies
+		 * @type {Array<RigidBody>}
+		 * @private
+		 */
+		this.pending_bodies = [];
+
+		/**
+		 * re-usable stack for walking the tree
+		 *
+		 * @property stack
+		 * @type {Array<DynamicTreeNode>}
+		 * @private
+		 */
+		this.stack = [];
+	};
+
+	/**
+	 * Adds a body to the broadphase for contact checking
+	 *
+	 * @method addBody
+	 * @param body {RigidBody} body to add to the broadphase contact checking
+	 */
+	Goblin.DynamicTreeBroadphase.prototype.addBody = function( body ) {
+		this.pending_bodies.push( body );
+	};
+
+	/**
+	 * Removes a body from the broadphase contact checking
+	 *
+	 * @method removeBody
+	 * @param body {RigidBody} body to remove from the broadphase contact checking
+	 */
+	Goblin.DynamicTreeBroadphase.prototype.removeBody = function( body ) {
+		var i;
+
+		// first, check if the body is pending
+		var pending_index = this.pending_bodies.indexOf( body );
+		if ( pending_index !== -1 ) {
+			this.pending_bodies.splice( pending_index, 1 );
+			return;
+		}
+
+		for ( i = 0; i < this.leaves.length; i++ ) {
+			if ( this.leaves[i].body === body ) {
+				this.removeLeaf( this.leaves[i] );
+				this.leaves.splice( i, 1 );
+				break;
+			}
+		}
+
+		// remove any collisions
+		this.collision_pairs = this.collision_pairs.filter(function( pair ){
+			if ( pair[0] === body || pair[1] === body ) {
+				return false;
+			}
+			return true;
+		});
+	};
+
+	/**
+	 * Adds the bodies which have been added since the last update to the tree
+	 *
+	 * @method insertPending
+	 * @private
+	 */
+	Goblin.DynamicTreeBroadphase.prototype.insertPending = function() {
+		var body, leaf;
+		while ( ( body = this.pending_bodies.shift() ) ) {
+			body.updateDerived();
+			leaf = new DynamicTreeNode( body );
+			this.fattenAABB( leaf );
+			this.insertLeaf( leaf );
+			this.leaves.push( leaf );
+		}
+	};
+
+	/**
+	 * Sets a leaf's AABB to its body's AABB expanded by `aabb_margin`
+	 *
+	 * @method fattenAABB
+	 * @param leaf {DynamicTreeNode}
+	 * @private
+	 */
+	Goblin.DynamicTreeBroadphase.prototype.fattenAABB = function( leaf ) {
+		var aabb = leaf.body.aabb,
+			margin = this.aabb_margin;
+
+		leaf.aabb.min.x = aabb.min.x - margin;
+		leaf.aabb.min.y = aabb.min.y - margin;
+		leaf.aabb.min.z = aabb.min.z - margin;
+
+		leaf.aabb.max.x = aabb.max.x + margin;
+		leaf.aabb.max.y = aabb.max.y + margin;
+		leaf.aabb.max.z = aabb.max.z + margin;
+	};
+
+	/**
+	 * Inserts a leaf into the tree, pairing it with the sibling which least increases the tree's surface area
+	 *
+	 * @method insertLeaf
+	 * @param leaf {DynamicTreeNode}
+	 * @private
+	 */
+	Goblin.DynamicTreeBroadphase.prototype.insertLeaf = function( leaf ) {
+		if ( this.root == null ) {
+			this.root = leaf;
+			leaf.parent = null;
+			return;
+		}
+
+		// descend the tree, following the child with the cheapest surface area heuristic cost
+		var sibling = this.root,
+			area, combined_area, cost, inheritance_cost,
+			cost_left, cost_right;
+
+		while ( !sibling.isLeaf() ) {
+			area = getSurfaceArea( sibling.aabb );
+			combined_area = getCombinedSurfaceArea( sibling.aabb, leaf.aabb );
+
+			// cost of creating a new parent for this node and the new leaf
+			cost = 2 * combined_area;
+
+			// minimum cost of pushing the leaf further down the tree
+			inheritance_cost = 2 * ( combined_area - area );
+
+			cost_left = getCombinedSurfaceArea( sibling.left.aabb, leaf.aabb ) + inheritance_cost;
+			if ( !sibling.left.isLeaf() ) {
+				cost_left -= getSurfaceArea( sibling.left.aabb );
+			}
+
+			cost_right = getCombinedSurfaceArea( sibling.right.aabb, leaf.aabb ) + inheritance_cost;
+			if ( !sibling.right.isLeaf() ) {
+				cost_right -= getSurfaceArea( sibling.right.aabb );
+			}
+
+			if ( cost < cost_left && cost < cost_right ) {
+				break;
+			}
+
+			sibling = cost_left < cost_right ? sibling.left : sibling.right;
+		}
+
+		// create a new parent for the sibling & leaf
+		var old_parent = sibling.parent,
+			new_parent = new DynamicTreeNode();
+
+		new_parent.parent = old_parent;
+		new_parent.aabb.combineAABBs( sibling.aabb, leaf.aabb );
+		new_parent.height = sibling.height + 1;
+
+		if ( old_parent != null ) {
+			if ( old_parent.left === sibling ) {
+				old_parent.left = new_parent;
+			} else {
+				old_parent.right = new_parent;
+			}
+		} else {
+			this.root = new_parent;
+		}
+
+		new_parent.left = sibling;
+		new_parent.right = leaf;
+		sibling.parent = new_parent;
+		leaf.parent = new_parent;
+
+		this.refitAncestors( new_parent );
+	};
+
+	/**
+	 * Removes a leaf from the tree, replacing its parent with its sibling
+	 *
+	 * @method removeLeaf
+	 * @param leaf {DynamicTreeNode}
+	 * @private
+	 */
+	Goblin.DynamicTreeBroadphase.prototype.removeLeaf = function( leaf ) {
+		if ( leaf === this.root ) {
+			this.root = null;
+			return;
+		}
+
+		var parent = leaf.parent,
+			grandparent = parent.parent,
+			sibling = parent.left === leaf ? parent.right : parent.left;
+
+		if ( grandparent != null ) {
+			if ( grandparent.left === parent ) {
+				grandparent.left = sibling;
+			} else {
+				grandparent.right = sibling;
+			}
+			sibling.parent = grandparent;
+			this.refitAncestors( grandparent );
+		} else {
+			this.root = sibling;
+			sibling.parent = null;
+		}
+
+		leaf.parent = null;
+	};
+
+	/**
+	 * Walks from `node` to the root, rebalancing and recomputing the AABB & height of each node
+	 *
+	 * @method refitAncestors
+	 * @param node {DynamicTreeNode}
+	 * @private
+	 */
+	Goblin.DynamicTreeBroadphase.prototype.refitAncestors = function( node ) {
+		while ( node != null ) {
+			node = this.balance( node );
+
+			node.height = 1 + Math.max( node.left.height, node.right.height );
+			node.aabb.combineAABBs( node.left.aabb, node.right.aabb );
+
+			node = node.parent;
+		}
+	};
+
+	/**
+	 * Performs a left or right rotation if `node`'s children differ in height by more than one
+	 *
+	 * @method balance
+	 * @param node {DynamicTreeNode}
+	 * @return {DynamicTreeNode} the node which has taken `node`'s place in the tree
+	 * @private
+	 */
+	Goblin.DynamicTreeBroadphase.prototype.balance = function( node ) {
+		if ( node.isLeaf() || node.height < 2 ) {
+			return node;
+		}
+
+		var left = node.left,
+			right = node.right,
+			balance = right.height - left.height;
+
+		if ( balance > 1 ) {
+			return this.rotate( node, right, left );
+		} else if ( balance < -1 ) {
+			return this.rotate( node, left, right );
+		}
+
+		return node;
+	};
+
+	/**
+	 * Promotes `tall`, the taller child of `node`, into `node`'s place; `node` adopts the shorter of `tall`'s children
+	 *
+	 * @method rotate
+	 * @param node {DynamicTreeNode}
+	 * @param tall {DynamicTreeNode} the taller child of `node`
+	 * @param short {DynamicTreeNode} the shorter child of `node`
+	 * @return {DynamicTreeNode} `tall`, which is now in `node`'s place
+	 * @private
+	 */
+	Goblin.DynamicTreeBroadphase.prototype.rotate = function( node, tall, short ) {
+		var tall_left = tall.left,
+			tall_right = tall.right,
+			keep, give;
+
+		// swap node and tall
+		tall.parent = node.parent;
+		node.parent = tall;
+
+		if ( tall.parent != null ) {
+			if ( tall.parent.left === node ) {
+				tall.parent.left = tall;
+			} else {
+				tall.parent.right = tall;
+			}
+		} else {
+			this.root = tall;
+		}
+
+		// tall keeps its taller child and hands the other to node
+		if ( tall_left.height > tall_right.height ) {
+			keep = tall_left;
+			give = tall_right;
+		} else {
+			keep = tall_right;
+			give = tall_left;
+		}
+
+		tall.left = node;
+		tall.right = keep;
+
+		if ( node.left === tall ) {
+			node.left = give;
+		} else {
+			node.right = give;
+		}
+		give.parent = node;
+
+		node.aabb.combineAABBs( short.aabb, give.aabb );
+		node.height = 1 + Math.max( short.height, give.height );
+
+		tall.aabb.combineAABBs( node.aabb, keep.aabb );
+		tall.height = 1 + Math.max( node.height, keep.height );
+
+		return tall;
+	};
+
+	/**
+	 * Calls `callback` with every leaf whose fattened AABB intersects `aabb`
+	 *
+	 * @method queryAABB
+	 * @param aabb {AABB}
+	 * @param callback {Function} called with each intersecting leaf
+	 * @private
+	 */
+	Goblin.DynamicTreeBroadphase.prototype.queryAABB = function( aabb, callback ) {
+		if ( this.root == null ) {
+			return;
+		}
+
+		var stack = this.stack,
+			node;
+
+		stack.length = 0;
+		stack.push( this.root );
+
+		while ( stack.length > 0 ) {
+			node = stack.pop();
+
+			if ( !node.aabb.intersects( aabb ) ) {
+				continue;
+			}
+
+			if ( node.isLeaf() ) {
+				callback( node );
+			} else {
+				stack.push( node.right );
+				stack.push( node.left );
+			}
+		}
+	};
+
+	/**
+	 * Updates the broadphase's internal representation and current predicted contacts
+	 *
+	 * @method update
+	 */
+	Goblin.DynamicTreeBroadphase.prototype.update = (function(){
+		var body_a,
+			collision_pairs;
+
+		var addPair = function( leaf ) {
+			var body_b = leaf.body;
+
+			if ( body_a === body_b ) {
+				return;
+			}
+
+			// pairs between two dynamic bodies are found from both sides, only keep one
+			if ( body_b._mass !== Infinity && body_b.id < body_a.id ) {
+				return;
+			}
+
+			if ( !Goblin.CollisionUtils.canBodiesCollide( body_a, body_b ) || !body_a.aabb.intersects( body_b.aabb ) ) {
+				return;
+			}
+
+			collision_pairs.push([ body_a.id < body_b.id ? body_a : body_b, body_a.id < body_b.id ? body_b : body_a ]);
+		};
+
+		return function() {
+			var i, leaf;
+
+			this.insertPending();
+
+			// re-insert any leaves whose body has moved outside of its fattened AABB
+			for ( i = 0; i < this.leaves.length; i++ ) {
+				leaf = this.leaves[i];
+				if ( !containsAABB( leaf.aabb, leaf.body.aabb ) ) {
+					this.removeLeaf( leaf );
+					this.fattenAABB( leaf );
+					this.insertLeaf( leaf );
+				}
+			}
+
+			this.collision_pairs.length = 0;
+			collision_pairs = this.collision_pairs;
+
+			// two infinite mass bodies can't collide, so only finite mass bodies need to search the tree
+			for ( i = 0; i < this.leaves.length; i++ ) {
+				body_a = this.leaves[i].body;
+				if ( body_a._mass === Infinity ) {
+					continue;
+				}
+				this.queryAABB( body_a.aabb, addPair );
+			}
+
+			body_a = collision_pairs = null;
+		};
+	})();
+
+	/**
+	 * Captures the shape of the tree and the collision pairs; both determine the order contacts are
+	 * generated in, so they must be restored to replay a step
+	 *
+	 * @method saveState
+	 * @return {Object} state which can be passed to `restoreState`
+	 */
+	Goblin.DynamicTreeBroadphase.prototype.saveState = function() {
+		var state = {
+				root: this.root,
+				nodes: [],
+				leaves: this.leaves.slice(),
+				collision_pairs: this.collision_pairs.map(function( pair ){
+					return pair.slice();
+				}),
+				pending_bodies: this.pending_bodies.slice()
+			},
+			aabb;
+
+		var stack = [ this.root ],
+			node;
+		while ( stack.length > 0 ) {
+			node = stack.pop();
+			if ( node == null ) {
+				continue;
+			}
+
+			aabb = new Goblin.AABB();
+			aabb.copy( node.aabb );
+			state.nodes.push({
+				node: node,
+				parent: node.parent,
+				left: node.left,
+				right: node.right,
+				height: node.height,
+				aabb: aabb
+			});
+
+			stack.push( node.left, node.right );
+		}
+
+		return state;
+	};
+
+	/**
+	 * Restores a state captured by `saveState`; the broadphase must contain the same bodies as when it was saved
+	 *
+	 * @method restoreState
+	 * @param state {Object} state returned by `saveState`
+	 */
+	Goblin.DynamicTreeBroadphase.prototype.restoreState = function( state ) {
+		var i, saved, node;
+
+		for ( i = 0; i < state.nodes.length; i++ ) {
+			saved = state.nodes[i];
+			node = saved.node;
+			node.parent = saved.parent;
+			node.left = saved.left;
+			node.right = saved.right;
+			node.height = saved.height;
+			node.aabb.copy( saved.aabb );
+		}
+
+		this.root = state.root;
+		this.leaves = state.leaves.slice();
+		this.collision_pairs = state.collision_pairs.map(function( pair ){
+			return pair.slice();
+		});
+		this.pending_bodies = state.pending_bodies.slice();
+	};
+
+	/**
+	 * Returns an array of objects the given body may be colliding with
+	 *
+	 * @method intersectsWith
+	 * @param body {RigidBody}
+	 * @return Array<RigidBody>
+	 */
+	Goblin.DynamicTreeBroadphase.prototype.intersectsWith = function( body ) {
+		if ( this.pending_bodies.length > 0 ) {
+			this.update();
+		}
+
+		var intersections = [];
+
+		this.queryAABB(
+			body.aabb,
+			function( leaf ) {
+				if ( leaf.body !== body && leaf.body.aabb.intersects( body.aabb ) ) {
+					intersections.push( leaf.body );
+				}
+			}
+		);
+
+		return intersections;
+	};
+
+	/**
+	 * Checks if a ray segment intersects with objects in the world
+	 *
+	 * @method rayIntersect
+	 * @property start {vec3} start point of the segment
+	 * @property end {vec3{ end point of the segment
+	 * @property [filter] {Object} bodies to skip & which intersections to return, see `World.rayIntersect`
+	 * @return {Array<RayIntersection>} an unsorted array of intersections
+	 */
+	Goblin.DynamicTreeBroadphase.prototype.rayIntersect = function( start, end, filter ) {
+		// as with SAPBroadphase, the tree is only brought up to date here if an object was added
+		if ( this.pending_bodies.length > 0 ) {
+			this.update();
+		}
+
+		var intersections = [];
+
+		if ( this.root == null ) {
+			return intersections;
+		}
+
+		var stack = this.stack,
+			backfaces = filter != null && filter.backfaces === true,
+			any_hit = filter != null && filter.mode === 'any',
+			node;
+
+		stack.length = 0;
+		stack.push( this.root );
+
+		while ( stack.length > 0 ) {
+			node = stack.pop();
+
+			if ( !node.aabb.testRayIntersect( start, end ) ) {
+				continue;
+			}
+
+			if ( node.isLeaf() ) {
+				if ( node.body.aabb.testRayIntersect( start, end ) && Goblin.CollisionUtils.passesFilter( filter, node.body ) ) {
+					node.body.rayIntersect( start, end, intersections, backfaces );
+					if ( any_hit && intersections.length > 0 ) {
+						break;
+					}
+				}
+			} else {
+				stack.push( node.right );
+				stack.push( node.left );
+			}
+		}
+
+		return Goblin.CollisionUtils.applyRayMode( intersections, filter );
+	};
+})();
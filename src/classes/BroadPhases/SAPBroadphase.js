@@ -226,6 +226,16 @@
 				}
 				return true;
 			});
+
+			// forget the body's overlap counts so they start from zero if it is added again
+			for ( var key in this.overlap_counter ) {
+				if ( this.overlap_counter.hasOwnProperty( key ) ) {
+					var ids = key.split( '-' );
+					if ( +ids[0] === body.id || +ids[1] === body.id ) {
+						delete this.overlap_counter[key];
+					}
+				}
+			}
 		},
 
 		insertPending: function() {
@@ -344,6 +354,75 @@
 			}
 		},
 
+		/**
+		 * Captures the marker order along each axis, overlap counts, and collision pairs. The order of
+		 * collision pairs determines the order contacts are generated in, so it must be restored to replay a step
+		 *
+		 * @method saveState
+		 * @return {Object} state which can be passed to `restoreState`
+		 */
+		saveState: function() {
+			var state = {
+					markers: [ [], [], [] ],
+					positions: [ [], [], [] ],
+					overlap_counter: {},
+					collision_pairs: this.collision_pairs.map(function( pair ){
+						return pair.slice();
+					}),
+					pending_bodies: this.pending_bodies.slice()
+				},
+				lists = [ this.markers_x, this.markers_y, this.markers_z ],
+				marker, i, key;
+
+			for ( i = 0; i < 3; i++ ) {
+				marker = lists[i].first;
+				while ( marker ) {
+					state.markers[i].push( marker );
+					state.positions[i].push( marker.position );
+					marker = marker.next;
+				}
+			}
+
+			for ( key in this.overlap_counter ) {
+				state.overlap_counter[key] = this.overlap_counter[key];
+			}
+
+			return state;
+		},
+
+		/**
+		 * Restores a state captured by `saveState`; the broadphase must contain the same bodies as when it was saved
+		 *
+		 * @method restoreState
+		 * @param state {Object} state returned by `saveState`
+		 */
+		restoreState: function( state ) {
+			var lists = [ this.markers_x, this.markers_y, this.markers_z ],
+				markers, marker, i, j, key;
+
+			for ( i = 0; i < 3; i++ ) {
+				markers = state.markers[i];
+				for ( j = 0; j < markers.length; j++ ) {
+					marker = markers[j];
+					marker.position = state.positions[i][j];
+					marker.prev = j > 0 ? markers[j - 1] : null;
+					marker.next = j < markers.length - 1 ? markers[j + 1] : null;
+				}
+				lists[i].first = markers.length > 0 ? markers[0] : null;
+				lists[i].last = markers.length > 0 ? markers[markers.length - 1] : null;
+			}
+
+			this.overlap_counter = {};
+			for ( key in state.overlap_counter ) {
+				this.overlap_counter[key] = state.overlap_counter[key];
+			}
+
+			this.collision_pairs = state.collision_pairs.map(function( pair ){
+				return pair.slice();
+			});
+			this.pending_bodies = state.pending_bodies.slice();
+		},
+
 		/**
 		 * Returns an array of objects the given body may be colliding with
 		 *
@@ -374,9 +453,10 @@
 		 * @method rayIntersect
 		 * @property start {vec3} start point of the segment
 		 * @property end {vec3{ end point of the segment
+		 * @property [filter] {Object} bodies to skip & which intersections to return, see `World.rayIntersect`
          * @return {Array<RayIntersection>} an unsorted array of intersections
 		 */
-		rayIntersect: function( start, end ) {
+		rayIntersect: function( start, end, filter ) {
 			// It's assumed that raytracing will be performed through a proxy like Goblin.World,
 			// thus that the only time this broadphase cares about updating itself is if an object was added
 			if ( this.pending_bodies.length > 0 ) {
@@ -390,6 +470,8 @@
 				intersections = [],
 				id_body_map = {},
 				id_intersection_count = {},
+				backfaces = filter != null && filter.backfaces === true,
+				any_hit = filter != null && filter.mode === 'any',
 				ordered_start, ordered_end,
 				marker, has_encountered_start,
 				i, body, key, keys;
@@ -443,13 +525,17 @@
 			for ( i = 0; i < keys.length; i++ ) {
 				var body_id = keys[i];
 				if ( id_intersection_count[body_id] === 1 ) {
-					if ( id_body_map[body_id].aabb.testRayIntersect( start, end ) ) {
-						id_body_map[body_id].rayIntersect( start, end, intersections );
+					body = id_body_map[body_id];
+					if ( body.aabb.testRayIntersect( start, end ) && Goblin.CollisionUtils.passesFilter( filter, body ) ) {
+						body.rayIntersect( start, end, intersections, backfaces );
+						if ( any_hit && intersections.length > 0 ) {
+							break;
+						}
 					}
 				}
 			}
 
-			return intersections;
+			return Goblin.CollisionUtils.applyRayMode( intersections, filter );
 		}
 	};
 })();
\ No newline at end of file
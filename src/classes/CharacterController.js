@@ -0,0 +1,511 @@
+/**
+ * Moves a character's shape through the world by sweeping it along the requested motion, instead of simulating it
+ * as a dynamic body. The character slides along walls, walks up steps and slopes it can climb, sticks to the ground
+ * when walking down them and is carried by the body it stands on. Its body is kinematic, so bodies running into the
+ * character can't push it around
+ *
+ * The shape keeps the orientation it is created with; rotate the character's model instead of its body
+ *
+ * @class CharacterController
+ * @param shape {Object} any convex Goblin shape, usually a `CapsuleShape`
+ * @param [position] {Vector3} starting position of the shape's center
+ * @constructor
+ */
+Goblin.CharacterController = function( shape, position ) {
+	/**
+	 * kinematic body moved by the controller
+	 *
+	 * @property body
+	 * @type {RigidBody}
+	 */
+	this.body = new Goblin.RigidBody( shape, Infinity );
+	this.body.is_kinematic = true;
+	if ( position != null ) {
+		this.body.position.copy( position );
+	}
+
+	/**
+	 * direction the character stands upright in, opposite to gravity
+	 *
+	 * @property up
+	 * @type {Vector3}
+	 * @default ( 0, 1, 0 )
+	 */
+	this.up = new Goblin.Vector3( 0, 1, 0 );
+
+	/**
+	 * velocity the character walks at; any component along `up` is ignored
+	 *
+	 * @property walk_velocity
+	 * @type {Vector3}
+	 */
+	this.walk_velocity = new Goblin.Vector3();
+
+	/**
+	 * speed the character is moving along `up` at from jumping & falling
+	 *
+	 * @property vertical_velocity
+	 * @type {Number}
+	 * @default 0
+	 */
+	this.vertical_velocity = 0;
+
+	/**
+	 * tallest ledge the character walks up onto without jumping
+	 *
+	 * @property step_height
+	 * @type {Number}
+	 * @default 0.35
+	 */
+	this.step_height = 0.35;
+
+	/**
+	 * steepest slope the character can stand on, in radians; anything steeper is treated as a wall
+	 *
+	 * @property max_slope
+	 * @type {Number}
+	 * @default Math.PI / 4
+	 */
+	this.max_slope = Math.PI / 4;
+
+	/**
+	 * distance a grounded character is pulled down to stay on the ground when walking down slopes and steps
+	 *
+	 * @property snap_distance
+	 * @type {Number}
+	 * @default 0.2
+	 */
+	this.snap_distance = 0.2;
+
+	/**
+	 * gap kept between the character and whatever it runs into
+	 *
+	 * @property skin_width
+	 * @type {Number}
+	 * @default 0.01
+	 */
+	this.skin_width = 0.01;
+
+	/**
+	 * number of surfaces the character can slide along in a single move
+	 *
+	 * @property max_slides
+	 * @type {Number}
+	 * @default 4
+	 */
+	this.max_slides = 4;
+
+	/**
+	 * whether the character is standing on a walkable surface
+	 *
+	 * @property is_grounded
+	 * @type {Boolean}
+	 */
+	this.is_grounded = false;
+
+	/**
+	 * body the character is standing on, if any
+	 *
+	 * @property ground_body
+	 * @type {RigidBody}
+	 */
+	this.ground_body = null;
+
+	/**
+	 * normal of the surface the character is standing on
+	 *
+	 * @property ground_normal
+	 * @type {Vector3}
+	 */
+	this.ground_normal = new Goblin.Vector3( 0, 1, 0 );
+
+	/**
+	 * whether the character ran into a ceiling during the last step
+	 *
+	 * @property is_touching_ceiling
+	 * @type {Boolean}
+	 */
+	this.is_touching_ceiling = false;
+
+	/**
+	 * whether the character ran into a wall, or a slope too steep to stand on, during the last step
+	 *
+	 * @property is_touching_wall
+	 * @type {Boolean}
+	 */
+	this.is_touching_wall = false;
+
+	/**
+	 * normal of the last wall the character ran into
+	 *
+	 * @property wall_normal
+	 * @type {Vector3}
+	 */
+	this.wall_normal = new Goblin.Vector3();
+
+	/**
+	 * world the character is simulated in
+	 *
+	 * @property world
+	 * @type {World}
+	 * @default null
+	 */
+	this.world = null;
+
+	// the surface & object hit by the last sweep, the normal pointing out of the surface toward the character
+	this.hit_point = new Goblin.Vector3();
+	this.hit_normal = new Goblin.Vector3();
+	this.hit_object = null;
+
+	var controller = this;
+	/**
+	 * moves the character at the start of each of the world's time steps
+	 *
+	 * @method onStepStart
+	 * @private
+	 */
+	this.onStepStart = function( ticks, time_delta ) {
+		controller.update( time_delta );
+	};
+};
+
+/**
+ * Adds the character's body to `world` and starts moving it
+ *
+ * @method addToWorld
+ * @param world {World}
+ */
+Goblin.CharacterController.prototype.addToWorld = function( world ) {
+	if ( this.world != null ) {
+		this.removeFromWorld();
+	}
+	this.world = world;
+	world.addRigidBody( this.body );
+	world.addListener( 'stepStart', this.onStepStart );
+};
+
+/**
+ * Removes the character's body from its world
+ *
+ * @method removeFromWorld
+ */
+Goblin.CharacterController.prototype.removeFromWorld = function() {
+	if ( this.world == null ) {
+		return;
+	}
+	this.world.removeListener( 'stepStart', this.onStepStart );
+	this.world.removeRigidBody( this.body );
+	this.world = null;
+};
+
+/**
+ * Launches the character upward at `speed`
+ *
+ * @method jump
+ * @param speed {Number}
+ */
+Goblin.CharacterController.prototype.jump = function( speed ) {
+	this.vertical_velocity = speed;
+	this.is_grounded = false;
+};
+
+/**
+ * Whether a surface with the given normal is shallow enough to stand on
+ *
+ * @method isWalkable
+ * @param normal {Vector3} surface normal
+ * @return {Boolean}
+ */
+Goblin.CharacterController.prototype.isWalkable = function( normal ) {
+	return normal.dot( this.up ) >= Math.cos( this.max_slope );
+};
+
+/**
+ * Moves the character by its walking and vertical velocities, and along with the body it stands on, for a time step.
+ * The body is given the velocity which takes it to its new position during the step
+ *
+ * @method update
+ * @param time_delta {Number}
+ */
+Goblin.CharacterController.prototype.update = (function(){
+	var position = new Goblin.Vector3(),
+		displacement = new Goblin.Vector3(),
+		offset = new Goblin.Vector3();
+
+	return function( time_delta ) {
+		var body = this.body,
+			ground_body,
+			was_grounded = this.is_grounded && this.vertical_velocity <= 0,
+			lifted = 0,
+			drop, snap, max_ledge_height;
+
+		// the world updates its bodies' transforms after `stepStart`
+		body.updateDerived();
+		position.copy( body.position );
+
+		// ledges are only stepped onto if they're no higher than the step height above the character's feet
+		displacement.scaleVector( this.up, -1 );
+		body.findSupportPoint( displacement, offset );
+		max_ledge_height = offset.dot( this.up ) + this.step_height;
+
+		this.is_touching_ceiling = this.is_touching_wall = false;
+
+		if ( was_grounded ) {
+			this.vertical_velocity = 0;
+
+			// lift the character by its step height so it walks up onto anything lower
+			offset.copy( position );
+			displacement.scaleVector( this.up, this.step_height );
+			this._slide( position, displacement, false );
+			offset.subtractVectors( position, offset );
+			lifted = offset.dot( this.up );
+		} else {
+			this.vertical_velocity += this.world.gravity.dot( this.up ) * time_delta;
+			if ( this.vertical_velocity > 0 ) {
+				displacement.scaleVector( this.up, this.vertical_velocity * time_delta );
+				this._slide( position, displacement, true );
+				if ( this.is_touching_ceiling ) {
+					this.vertical_velocity = 0;
+				}
+			}
+		}
+
+		// walk, sliding along anything in the way
+		displacement.scaleVector( this.up, -this.walk_velocity.dot( this.up ) );
+		displacement.add( this.walk_velocity );
+		displacement.scale( time_delta );
+		this._slide( position, displacement, true );
+
+		// come back down by the height stepped up and any falling, and stick to the ground within the snap distance
+		drop = lifted + Math.max( -this.vertical_velocity * time_delta, 0 );
+		snap = was_grounded ? this.snap_distance : 0;
+
+		this.is_grounded = false;
+		this.ground_body = null;
+
+		if ( !this._findGround( position, drop + snap, max_ledge_height ) && drop > 0 ) {
+			// too steep to stand on, or nothing there at all; slide down whatever is below and look for ground again
+			displacement.scaleVector( this.up, -drop );
+			this._slide( position, displacement, true );
+			this._findGround( position, Math.max( snap, 2 * this.skin_width ), max_ledge_height );
+		}
+
+		// ride along with the ground when it moves; it's found where it was before this step, so it's left out of the sweep
+		ground_body = this.ground_body;
+		if ( ground_body != null && ( ground_body._mass !== Infinity || ground_body.is_kinematic === true ) ) {
+			offset.subtractVectors( position, ground_body.position );
+			ground_body.getVelocityInLocalPoint( offset, displacement );
+			displacement.scale( time_delta );
+			this._slide( position, displacement, false, ground_body );
+		}
+
+		body.setKinematicTarget( position, body.rotation, time_delta );
+	};
+})();
+
+/**
+ * Looks for a walkable surface up to `distance` below `position`, moving the character onto it and updating the
+ * ground state if one is found
+ *
+ * @method _findGround
+ * @param position {Vector3} character's position, updated in place
+ * @param distance {Number} how far down to look
+ * @param max_ledge_height {Number} highest, measured along `up`, the top of a ledge the character stands on can be
+ * @return {Boolean} whether the character is standing on the ground
+ * @private
+ */
+Goblin.CharacterController.prototype._findGround = (function(){
+	var displacement = new Goblin.Vector3();
+
+	return function( position, distance, max_ledge_height ) {
+		displacement.scaleVector( this.up, -distance );
+		var fraction = this._sweep( position, displacement ),
+			blocked_distance;
+
+		if ( fraction > 1 ) {
+			return false;
+		}
+
+		if ( !this.isWalkable( this.hit_normal ) && !this._isOnLedge( position, max_ledge_height ) ) {
+			// wedged against something steep, there can still be ground just below where it's touched
+			blocked_distance = fraction * distance + this.skin_width;
+			fraction = this._sweep( position, displacement, this.hit_object );
+			if ( fraction * distance > blocked_distance || !this.isWalkable( this.hit_normal ) ) {
+				return false;
+			}
+		}
+
+		displacement.scale( Math.max( fraction * distance - this.skin_width, 0 ) / distance );
+		position.add( displacement );
+
+		this.is_grounded = true;
+		this.ground_body = this.hit_object;
+		this.ground_normal.copy( this.hit_normal );
+		this.vertical_velocity = 0;
+		return true;
+	};
+})();
+
+/**
+ * Whether the last sweep hit the edge of a walkable surface, such as the top of a step, which the character's
+ * rounded shape touches at a steep angle. The character isn't above the surface yet, so a short ray is cast down just
+ * past the edge and, if it hits a walkable surface, `hit_normal` is replaced with that surface's normal
+ *
+ * @method _isOnLedge
+ * @param position {Vector3} character's position
+ * @param max_height {Number} highest, measured along `up`, the ledge's top can be
+ * @return {Boolean}
+ * @private
+ */
+Goblin.CharacterController.prototype._isOnLedge = (function(){
+	var outward = new Goblin.Vector3(),
+		start = new Goblin.Vector3(),
+		end = new Goblin.Vector3(),
+		ray_reach = 0.05; // how far above & below the edge the ray reaches
+
+	return function( position, max_height ) {
+		var found = false,
+			intersections, i;
+
+		// horizontally from the character toward the edge
+		outward.subtractVectors( this.hit_point, position );
+		start.scaleVector( this.up, outward.dot( this.up ) );
+		outward.subtract( start );
+		if ( outward.lengthSquared() < Goblin.EPSILON ) {
+			return false;
+		}
+		outward.normalize();
+
+		// the ray passes vertically through a point just past the edge, which can be off by GJK's margins
+		end.scaleVector( outward, 2 * Goblin.GjkEpa.margins );
+		end.add( this.hit_point );
+		start.scaleVector( this.up, ray_reach );
+		start.add( end );
+		outward.scaleVector( this.up, -ray_reach );
+		end.add( outward );
+
+		intersections = this.world.rayIntersect( start, end );
+		for ( i = 0; i < intersections.length; i++ ) {
+			if (
+				!found &&
+				intersections[i].object === this.hit_object &&
+				this.isWalkable( intersections[i].normal ) &&
+				intersections[i].point.dot( this.up ) <= max_height
+			) {
+				found = true;
+				this.hit_normal.copy( intersections[i].normal );
+			}
+			Goblin.ObjectPool.freeObject( 'RayIntersection', intersections[i] );
+		}
+
+		return found;
+	};
+})();
+
+/**
+ * Moves `position` by `displacement`, stopping at anything in the way and sliding along it with the rest of the
+ * motion. Slopes too steep to stand on are slid along horizontally unless the motion is going down them
+ *
+ * @method _slide
+ * @param position {Vector3} character's position, updated in place
+ * @param displacement {Vector3} motion to make, modified
+ * @param record_hits {Boolean} whether running into walls & ceilings is reported in the character's state
+ * @param [ignored_body] {RigidBody} body the character passes through
+ * @private
+ */
+Goblin.CharacterController.prototype._slide = (function(){
+	var normal = new Goblin.Vector3(),
+		step = new Goblin.Vector3();
+
+	return function( position, displacement, record_hits, ignored_body ) {
+		var length, fraction, distance, cosine;
+
+		for ( var i = 0; i < this.max_slides; i++ ) {
+			length = displacement.length();
+			if ( length < Goblin.EPSILON ) {
+				return;
+			}
+
+			fraction = this._sweep( position, displacement, ignored_body );
+			if ( fraction > 1 ) {
+				position.add( displacement );
+				return;
+			}
+
+			// move up to the surface, leaving the skin width between them
+			distance = Math.max( fraction * length - this.skin_width, 0 );
+			step.scaleVector( displacement, distance / length );
+			position.add( step );
+			displacement.scale( 1 - distance / length );
+
+			normal.copy( this.hit_normal );
+			if ( !this.isWalkable( normal ) ) {
+				cosine = normal.dot( this.up );
+				if ( record_hits ) {
+					if ( cosine <= -Math.cos( this.max_slope ) ) {
+						this.is_touching_ceiling = true;
+					} else {
+						this.is_touching_wall = true;
+						this.wall_normal.copy( normal );
+					}
+				}
+
+				if ( cosine > 0 && displacement.dot( this.up ) >= 0 ) {
+					// steep slopes are slid along as if they were vertical walls, so they can't be climbed
+					step.scaleVector( this.up, cosine );
+					normal.subtract( step );
+					normal.normalize();
+				}
+			}
+
+			// remove the part of the motion going into the surface
+			step.scaleVector( normal, displacement.dot( normal ) );
+			displacement.subtract( step );
+		}
+	};
+})();
+
+/**
+ * Sweeps the character's shape from `position` along `displacement`, finding the first surface it runs into. The
+ * point, normal and body hit are stored in `hit_point`, `hit_normal` & `hit_object`. Surfaces the shape already touches are only
+ * hit if the motion goes into them
+ *
+ * @method _sweep
+ * @param position {Vector3} where the sweep starts
+ * @param displacement {Vector3} motion to sweep along
+ * @param [ignored_body] {RigidBody} body the shape passes through
+ * @return {Number} fraction of `displacement` travelled before hitting a surface, or Infinity if nothing was hit
+ * @private
+ */
+Goblin.CharacterController.prototype._sweep = (function(){
+	var from = { position: new Goblin.Vector3(), rotation: null },
+		to = { position: new Goblin.Vector3(), rotation: null },
+		options = { collision_groups: 0, collision_mask: 0, exclude: [] };
+
+	return function( position, displacement, ignored_body ) {
+		from.position.copy( position );
+		to.position.addVectors( position, displacement );
+		from.rotation = to.rotation = this.body.rotation;
+
+		options.collision_groups = this.body.collision_groups;
+		options.collision_mask = this.body.collision_mask;
+		options.exclude[0] = this.body;
+		options.exclude.length = 1;
+		if ( ignored_body != null ) {
+			options.exclude[1] = ignored_body;
+		}
+
+		var intersection = this.world.convexSweep( this.body.shape, from, to, options ),
+			fraction;
+		if ( intersection == null ) {
+			return Infinity;
+		}
+
+		fraction = intersection.fraction;
+		this.hit_point.copy( intersection.point );
+		this.hit_normal.copy( intersection.normal );
+		this.hit_object = intersection.object;
+		Goblin.ObjectPool.freeObject( 'SweepIntersection', intersection );
+		return fraction;
+	};
+})();
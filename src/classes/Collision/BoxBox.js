@@ -0,0 +1,462 @@
+(function(){
+	var center_a = new Goblin.Vector3(),
+		center_b = new Goblin.Vector3(),
+		axes_a = [ new Goblin.Vector3(), new Goblin.Vector3(), new Goblin.Vector3() ],
+		axes_b = [ new Goblin.Vector3(), new Goblin.Vector3(), new Goblin.Vector3() ],
+		half_a = [ 0, 0, 0 ],
+		half_b = [ 0, 0, 0 ],
+		delta = new Goblin.Vector3(),
+		axis = new Goblin.Vector3(),
+		normal = new Goblin.Vector3(),
+		reference_normal = new Goblin.Vector3(),
+		face_center = new Goblin.Vector3(),
+		point_a = new Goblin.Vector3(),
+		point_b = new Goblin.Vector3(),
+		polygon = [],
+		clipped = [],
+		depths = [],
+		selected = [],
+		i;
+
+	// incident faces have four vertices, each of the four clipping planes can add at most one more
+	for ( i = 0; i < 8; i++ ) {
+		polygon.push( new Goblin.Vector3() );
+		clipped.push( new Goblin.Vector3() );
+	}
+
+	var FACE_A = 0,
+		FACE_B = 1,
+		EDGE = 2;
+
+	// an axis only replaces an earlier one if it is noticeably better, favouring A's faces, then B's, then edges.
+	// This keeps the reference face from flipping between nearly identical axes and the contacts stable
+	var RELATIVE_TOLERANCE = 0.98,
+		ABSOLUTE_TOLERANCE = 0.001;
+
+	function isSignificantlyBetter( separation, best_separation ) {
+		return separation > best_separation * RELATIVE_TOLERANCE + ABSOLUTE_TOLERANCE;
+	}
+
+	function loadBox( body, axes, half, center ) {
+		var transform = body.transform;
+
+		center.x = transform.e03;
+		center.y = transform.e13;
+		center.z = transform.e23;
+
+		axes[0].x = transform.e00;
+		axes[0].y = transform.e10;
+		axes[0].z = transform.e20;
+
+		axes[1].x = transform.e01;
+		axes[1].y = transform.e11;
+		axes[1].z = transform.e21;
+
+		axes[2].x = transform.e02;
+		axes[2].y = transform.e12;
+		axes[2].z = transform.e22;
+
+		half[0] = body.shape.half_width;
+		half[1] = body.shape.half_height;
+		half[2] = body.shape.half_depth;
+	}
+
+	function projectedRadius( axes, half, direction ) {
+		return half[0] * Math.abs( axes[0].dot( direction ) ) +
+			half[1] * Math.abs( axes[1].dot( direction ) ) +
+			half[2] * Math.abs( axes[2].dot( direction ) );
+	}
+
+	/**
+	 * clips `count` vertices of `input` against the plane ( point - face_center ) · `plane_normal` <= `offset`
+	 * writing the result into `output`
+	 */
+	function clipPolygon( input, count, output, plane_normal, offset ) {
+		var output_count = 0,
+			j, current, previous,
+			current_distance, previous_distance;
+
+		previous = input[count - 1];
+		_tmp_vec3_1.subtractVectors( previous, face_center );
+		previous_distance = _tmp_vec3_1.dot( plane_normal ) - offset;
+
+		for ( j = 0; j < count; j++ ) {
+			current = input[j];
+			_tmp_vec3_1.subtractVectors( current, face_center );
+			current_distance = _tmp_vec3_1.dot( plane_normal ) - offset;
+
+			if ( ( previous_distance <= 0 ) !== ( current_distance <= 0 ) ) {
+				// the edge crosses the plane, add the intersection
+				_tmp_vec3_1.subtractVectors( current, previous );
+				_tmp_vec3_1.scale( previous_distance / ( previous_distance - current_distance ) );
+				output[output_count++].addVectors( previous, _tmp_vec3_1 );
+			}
+
+			if ( current_distance <= 0 ) {
+				output[output_count++].copy( current );
+			}
+
+			previous = current;
+			previous_distance = current_distance;
+		}
+
+		return output_count;
+	}
+
+	function addContact( object_a, object_b, world_point_a, world_point_b, depth, contacts ) {
+		var contact = Goblin.ObjectPool.getObject( 'ContactDetails' );
+
+		contact.object_a = object_a;
+		contact.object_b = object_b;
+
+		contact.contact_normal.copy( normal );
+		contact.penetration_depth = depth;
+
+		contact.contact_point.addVectors( world_point_a, world_point_b );
+		contact.contact_point.scale( 0.5 );
+
+		object_a.transform_inverse.transformVector3Into( world_point_a, contact.contact_point_in_a );
+		object_b.transform_inverse.transformVector3Into( world_point_b, contact.contact_point_in_b );
+
+		contact.restitution = ( object_a.restitution + object_b.restitution ) / 2;
+		contact.friction = ( object_a.friction + object_b.friction ) / 2;
+
+		contacts.push( contact );
+	}
+
+	/**
+	 * picks up to four of the clipped points: the deepest, then those which maximize the area of the contact patch
+	 */
+	function selectPoints( count ) {
+		var j, k, best, best_value, value;
+
+		selected.length = 0;
+
+		// deepest point
+		best = 0;
+		for ( j = 1; j < count; j++ ) {
+			if ( depths[j] > depths[best] ) {
+				best = j;
+			}
+		}
+		selected.push( best );
+
+		// furthest point from the deepest
+		best = -1;
+		best_value = -1;
+		for ( j = 0; j < count; j++ ) {
+			if ( selected.indexOf( j ) !== -1 ) {
+				continue;
+			}
+			_tmp_vec3_1.subtractVectors( clipped[j], clipped[selected[0]] );
+			value = _tmp_vec3_1.lengthSquared();
+			if ( value > best_value ) {
+				best_value = value;
+				best = j;
+			}
+		}
+		selected.push( best );
+
+		// the remaining two points each add the largest triangle to the patch
+		for ( k = 0; k < 2; k++ ) {
+			best = -1;
+			best_value = -1;
+			for ( j = 0; j < count; j++ ) {
+				if ( selected.indexOf( j ) !== -1 ) {
+					continue;
+				}
+				_tmp_vec3_1.subtractVectors( clipped[selected[k]], clipped[j] );
+				_tmp_vec3_2.subtractVectors( clipped[selected[k + 1]], clipped[j] );
+				_tmp_vec3_1.cross( _tmp_vec3_2 );
+				value = _tmp_vec3_1.lengthSquared();
+				if ( value > best_value ) {
+					best_value = value;
+					best = j;
+				}
+			}
+			selected.splice( k + 1, 0, best );
+		}
+	}
+
+	/**
+	 * Finds the contact manifold between two boxes. The separating axis test is run over the 15 potential axes;
+	 * if the boxes are separated along a face normal the incident face is clipped against the reference face
+	 * producing up to four contacts, otherwise a single contact is made between the closest points of the two edges
+	 *
+	 * @method BoxBox
+	 * @param object_a {RigidBody} first box
+	 * @param object_b {RigidBody} second box
+	 * @param contacts {Array} array the resulting `ContactDetails` are added to
+	 * @return {Number} number of contacts added to `contacts`
+	 */
+	Goblin.BoxBox = function( object_a, object_b, contacts ) {
+		var j, k,
+			separation,
+			best_separation = -Infinity,
+			best_face_separation,
+			best_type = FACE_A,
+			best_a = 0,
+			best_b = 0,
+			length;
+
+		loadBox( object_a, axes_a, half_a, center_a );
+		loadBox( object_b, axes_b, half_b, center_b );
+		delta.subtractVectors( center_b, center_a );
+
+		// face normals of A
+		for ( j = 0; j < 3; j++ ) {
+			separation = Math.abs( delta.dot( axes_a[j] ) ) - ( half_a[j] + projectedRadius( axes_b, half_b, axes_a[j] ) );
+			if ( separation > 0 ) {
+				return 0;
+			}
+			if ( separation > best_separation ) {
+				best_separation = separation;
+				best_type = FACE_A;
+				best_a = j;
+			}
+		}
+
+		// face normals of B
+		best_face_separation = best_separation;
+		for ( j = 0; j < 3; j++ ) {
+			separation = Math.abs( delta.dot( axes_b[j] ) ) - ( projectedRadius( axes_a, half_a, axes_b[j] ) + half_b[j] );
+			if ( separation > 0 ) {
+				return 0;
+			}
+			if ( separation > best_separation && ( best_type === FACE_B || isSignificantlyBetter( separation, best_face_separation ) ) ) {
+				best_separation = separation;
+				best_type = FACE_B;
+				best_b = j;
+			}
+		}
+
+		// cross products of the edges
+		best_face_separation = best_separation;
+		for ( j = 0; j < 3; j++ ) {
+			for ( k = 0; k < 3; k++ ) {
+				axis.crossVectors( axes_a[j], axes_b[k] );
+				length = axis.length();
+				if ( length < Goblin.EPSILON ) {
+					// edges are parallel, this axis is covered by the face normals
+					continue;
+				}
+				axis.scale( 1 / length );
+
+				separation = Math.abs( delta.dot( axis ) ) - ( projectedRadius( axes_a, half_a, axis ) + projectedRadius( axes_b, half_b, axis ) );
+				if ( separation > 0 ) {
+					return 0;
+				}
+				if ( separation > best_separation && ( best_type === EDGE || isSignificantlyBetter( separation, best_face_separation ) ) ) {
+					best_separation = separation;
+					best_type = EDGE;
+					best_a = j;
+					best_b = k;
+				}
+			}
+		}
+
+		// contact normal points from A towards B
+		if ( best_type === FACE_A ) {
+			normal.copy( axes_a[best_a] );
+		} else if ( best_type === FACE_B ) {
+			normal.copy( axes_b[best_b] );
+		} else {
+			normal.crossVectors( axes_a[best_a], axes_b[best_b] );
+			normal.normalize();
+		}
+		if ( normal.dot( delta ) < 0 ) {
+			normal.scale( -1 );
+		}
+
+		if ( best_type === EDGE ) {
+			return Goblin.BoxBox.edgeContact( object_a, object_b, best_a, best_b, -best_separation, contacts );
+		}
+
+		return Goblin.BoxBox.faceContacts( object_a, object_b, best_type === FACE_B, contacts );
+	};
+
+	/**
+	 * Clips the incident face against the reference face, adding a contact for each clipped point below the reference face
+	 *
+	 * @method faceContacts
+	 * @param object_a {RigidBody}
+	 * @param object_b {RigidBody}
+	 * @param reference_is_b {Boolean} whether the reference face belongs to `object_b`
+	 * @param contacts {Array}
+	 * @return {Number} number of contacts added to `contacts`
+	 * @private
+	 * @static
+	 */
+	Goblin.BoxBox.faceContacts = function( object_a, object_b, reference_is_b, contacts ) {
+		var reference_axes = reference_is_b ? axes_b : axes_a,
+			reference_half = reference_is_b ? half_b : half_a,
+			reference_center = reference_is_b ? center_b : center_a,
+			incident_axes = reference_is_b ? axes_a : axes_b,
+			incident_half = reference_is_b ? half_a : half_b,
+			incident_center = reference_is_b ? center_a : center_b,
+			reference_face = 0,
+			incident_face = 0,
+			u, v, hu, hv,
+			count, kept, j, value, best_value, sign,
+			incident_point, depth;
+
+		// reference face's outward normal points at the other box
+		reference_normal.copy( normal );
+		if ( reference_is_b ) {
+			reference_normal.scale( -1 );
+		}
+
+		best_value = -1;
+		for ( j = 0; j < 3; j++ ) {
+			value = Math.abs( reference_axes[j].dot( reference_normal ) );
+			if ( value > best_value ) {
+				best_value = value;
+				reference_face = j;
+			}
+		}
+
+		face_center.scaleVector( reference_normal, reference_half[reference_face] );
+		face_center.add( reference_center );
+
+		// the incident face is the face of the other box most anti-parallel to the reference normal
+		best_value = -1;
+		for ( j = 0; j < 3; j++ ) {
+			value = Math.abs( incident_axes[j].dot( reference_normal ) );
+			if ( value > best_value ) {
+				best_value = value;
+				incident_face = j;
+			}
+		}
+		sign = incident_axes[incident_face].dot( reference_normal ) > 0 ? -1 : 1;
+
+		u = incident_axes[( incident_face + 1 ) % 3];
+		v = incident_axes[( incident_face + 2 ) % 3];
+		hu = incident_half[( incident_face + 1 ) % 3];
+		hv = incident_half[( incident_face + 2 ) % 3];
+
+		_tmp_vec3_2.scaleVector( incident_axes[incident_face], sign * incident_half[incident_face] );
+		_tmp_vec3_2.add( incident_center );
+		for ( j = 0; j < 4; j++ ) {
+			// walk the face's corners in order: (+,+) (-,+) (-,-) (+,-)
+			polygon[j].scaleVector( u, j === 0 || j === 3 ? hu : -hu );
+			_tmp_vec3_3.scaleVector( v, j < 2 ? hv : -hv );
+			polygon[j].add( _tmp_vec3_3 );
+			polygon[j].add( _tmp_vec3_2 );
+		}
+
+		// clip against the side planes of the reference face
+		u = reference_axes[( reference_face + 1 ) % 3];
+		v = reference_axes[( reference_face + 2 ) % 3];
+		hu = reference_half[( reference_face + 1 ) % 3];
+		hv = reference_half[( reference_face + 2 ) % 3];
+
+		count = clipPolygon( polygon, 4, clipped, u, hu );
+		if ( count === 0 ) { return 0; }
+		_tmp_vec3_3.scaleVector( u, -1 );
+		count = clipPolygon( clipped, count, polygon, _tmp_vec3_3, hu );
+		if ( count === 0 ) { return 0; }
+		count = clipPolygon( polygon, count, clipped, v, hv );
+		if ( count === 0 ) { return 0; }
+		_tmp_vec3_3.scaleVector( v, -1 );
+		count = clipPolygon( clipped, count, polygon, _tmp_vec3_3, hv );
+
+		// keep the points which are below the reference face
+		kept = 0;
+		for ( j = 0; j < count; j++ ) {
+			_tmp_vec3_1.subtractVectors( face_center, polygon[j] );
+			value = _tmp_vec3_1.dot( reference_normal );
+			if ( value >= 0 ) {
+				clipped[kept].copy( polygon[j] );
+				depths[kept] = value;
+				kept++;
+			}
+		}
+
+		if ( kept > 4 ) {
+			selectPoints( kept );
+		} else {
+			selected.length = 0;
+			for ( j = 0; j < kept; j++ ) {
+				selected.push( j );
+			}
+		}
+
+		for ( j = 0; j < selected.length; j++ ) {
+			// the incident point lies inside the reference box, its projection is on the reference face
+			incident_point = clipped[selected[j]];
+			depth = depths[selected[j]];
+
+			if ( reference_is_b ) {
+				point_a.copy( incident_point );
+				point_b.scaleVector( reference_normal, depth );
+				point_b.add( incident_point );
+			} else {
+				point_b.copy( incident_point );
+				point_a.scaleVector( reference_normal, depth );
+				point_a.add( incident_point );
+			}
+
+			addContact( object_a, object_b, point_a, point_b, depth, contacts );
+		}
+
+		return selected.length;
+	};
+
+	/**
+	 * Adds a single contact between the closest points of an edge of each box
+	 *
+	 * @method edgeContact
+	 * @param object_a {RigidBody}
+	 * @param object_b {RigidBody}
+	 * @param edge_a {Number} index of the axis `object_a`'s edge is parallel to
+	 * @param edge_b {Number} index of the axis `object_b`'s edge is parallel to
+	 * @param depth {Number} penetration depth along the contact normal
+	 * @param contacts {Array}
+	 * @return {Number} number of contacts added to `contacts`
+	 * @private
+	 * @static
+	 */
+	Goblin.BoxBox.edgeContact = function( object_a, object_b, edge_a, edge_b, depth, contacts ) {
+		var j, direction_a, direction_b,
+			a_dot_b, a_dot_r, b_dot_r, denominator,
+			s, t;
+
+		// find a point on each edge: the edge of A furthest along the normal & the edge of B furthest against it
+		point_a.copy( center_a );
+		point_b.copy( center_b );
+		for ( j = 0; j < 3; j++ ) {
+			if ( j !== edge_a ) {
+				_tmp_vec3_1.scaleVector( axes_a[j], axes_a[j].dot( normal ) > 0 ? half_a[j] : -half_a[j] );
+				point_a.add( _tmp_vec3_1 );
+			}
+			if ( j !== edge_b ) {
+				_tmp_vec3_1.scaleVector( axes_b[j], axes_b[j].dot( normal ) > 0 ? -half_b[j] : half_b[j] );
+				point_b.add( _tmp_vec3_1 );
+			}
+		}
+
+		// closest points between the two lines
+		direction_a = axes_a[edge_a];
+		direction_b = axes_b[edge_b];
+		_tmp_vec3_1.subtractVectors( point_a, point_b );
+		a_dot_b = direction_a.dot( direction_b );
+		a_dot_r = direction_a.dot( _tmp_vec3_1 );
+		b_dot_r = direction_b.dot( _tmp_vec3_1 );
+		denominator = 1 - a_dot_b * a_dot_b;
+
+		s = ( a_dot_b * b_dot_r - a_dot_r ) / denominator;
+		t = ( b_dot_r - a_dot_b * a_dot_r ) / denominator;
+
+		// stay on the edges
+		s = Math.max( -half_a[edge_a], Math.min( s, half_a[edge_a] ) );
+		t = Math.max( -half_b[edge_b], Math.min( t, half_b[edge_b] ) );
+
+		_tmp_vec3_1.scaleVector( direction_a, s );
+		point_a.add( _tmp_vec3_1 );
+		_tmp_vec3_1.scaleVector( direction_b, t );
+		point_b.add( _tmp_vec3_1 );
+
+		addContact( object_a, object_b, point_a, point_b, depth, contacts );
+		return 1;
+	};
+})();
@@ -0,0 +1,56 @@
+/**
+ * Tests two capsules for contact by finding the closest points of their core segments
+ *
+ * @method CapsuleCapsule
+ * @param object_a {RigidBody}
+ * @param object_b {RigidBody}
+ * @return {ContactDetails|undefined}
+ */
+Goblin.CapsuleCapsule = (function(){
+	var start_a = new Goblin.Vector3(),
+		end_a = new Goblin.Vector3(),
+		start_b = new Goblin.Vector3(),
+		end_b = new Goblin.Vector3(),
+		direction_a = new Goblin.Vector3(),
+		direction_b = new Goblin.Vector3(),
+		r = new Goblin.Vector3(),
+		closest_a = new Goblin.Vector3(),
+		closest_b = new Goblin.Vector3();
+
+	return function( object_a, object_b ) {
+		Goblin.CapsuleSphere.getSegment( object_a, start_a, end_a );
+		Goblin.CapsuleSphere.getSegment( object_b, start_b, end_b );
+
+		// closest points of two segments, from Ericson's Real-Time Collision Detection 5.1.9
+		direction_a.subtractVectors( end_a, start_a );
+		direction_b.subtractVectors( end_b, start_b );
+		r.subtractVectors( start_a, start_b );
+
+		var a = direction_a.dot( direction_a ),
+			e = direction_b.dot( direction_b ),
+			f = direction_b.dot( r ),
+			c = direction_a.dot( r ),
+			b = direction_a.dot( direction_b ),
+			denominator = a * e - b * b,
+			s, t;
+
+		// parallel segments have no unique closest points, start from the middle of segment A
+		s = denominator > Goblin.EPSILON ? Math.max( 0, Math.min( ( b * f - c * e ) / denominator, 1 ) ) : 0.5;
+		t = e > 0 ? ( b * s + f ) / e : 0;
+
+		if ( t < 0 ) {
+			t = 0;
+			s = a > 0 ? Math.max( 0, Math.min( -c / a, 1 ) ) : 0;
+		} else if ( t > 1 ) {
+			t = 1;
+			s = a > 0 ? Math.max( 0, Math.min( ( b - c ) / a, 1 ) ) : 0;
+		}
+
+		closest_a.scaleVector( direction_a, s );
+		closest_a.add( start_a );
+		closest_b.scaleVector( direction_b, t );
+		closest_b.add( start_b );
+
+		return Goblin.CapsuleSphere.sphereContact( object_a, closest_a, object_b, closest_b );
+	};
+})();
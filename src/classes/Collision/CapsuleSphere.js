@@ -0,0 +1,121 @@
+/**
+ * Tests a capsule and a sphere for contact by treating the capsule as a sphere centered
+ * on the point of its core segment closest to the sphere
+ *
+ * @method CapsuleSphere
+ * @param object_a {RigidBody}
+ * @param object_b {RigidBody}
+ * @return {ContactDetails|undefined}
+ */
+Goblin.CapsuleSphere = (function(){
+	var segment_start = new Goblin.Vector3(),
+		segment_end = new Goblin.Vector3(),
+		closest = new Goblin.Vector3();
+
+	return function( object_a, object_b ) {
+		var capsule = object_a.shape instanceof Goblin.CapsuleShape ? object_a : object_b,
+			sphere = capsule === object_a ? object_b : object_a;
+
+		Goblin.CapsuleSphere.getSegment( capsule, segment_start, segment_end );
+		Goblin.CapsuleSphere.closestPointOnSegment( segment_start, segment_end, sphere.position, closest );
+
+		if ( capsule === object_a ) {
+			return Goblin.CapsuleSphere.sphereContact( object_a, closest, object_b, sphere.position );
+		} else {
+			return Goblin.CapsuleSphere.sphereContact( object_a, sphere.position, object_b, closest );
+		}
+	};
+})();
+
+/**
+ * Finds the world coordinates of the ends of a capsule's core segment
+ *
+ * @method getSegment
+ * @param capsule {RigidBody} body with a CapsuleShape
+ * @param start {vec3} receives the bottom of the segment
+ * @param end {vec3} receives the top of the segment
+ * @static
+ */
+Goblin.CapsuleSphere.getSegment = function( capsule, start, end ) {
+	start.set( 0, -capsule.shape.half_height, 0 );
+	capsule.transform.transformVector3( start );
+	end.set( 0, capsule.shape.half_height, 0 );
+	capsule.transform.transformVector3( end );
+};
+
+/**
+ * Finds the point on the segment `start`-`end` closest to `point`
+ *
+ * @method closestPointOnSegment
+ * @param start {vec3}
+ * @param end {vec3}
+ * @param point {vec3}
+ * @param closest {vec3} receives the closest point
+ * @static
+ */
+Goblin.CapsuleSphere.closestPointOnSegment = function( start, end, point, closest ) {
+	_tmp_vec3_1.subtractVectors( end, start );
+	_tmp_vec3_2.subtractVectors( point, start );
+
+	var length_squared = _tmp_vec3_1.lengthSquared(),
+		t = length_squared > 0 ? _tmp_vec3_2.dot( _tmp_vec3_1 ) / length_squared : 0;
+
+	t = Math.max( 0, Math.min( t, 1 ) );
+	closest.scaleVector( _tmp_vec3_1, t );
+	closest.add( start );
+};
+
+/**
+ * Builds a contact between two spheres, one centered at `center_a` with `object_a`'s radius and one centered at
+ * `center_b` with `object_b`'s radius. Used by capsule contacts once the closest points of the core segments are known
+ *
+ * @method sphereContact
+ * @param object_a {RigidBody}
+ * @param center_a {vec3}
+ * @param object_b {RigidBody}
+ * @param center_b {vec3}
+ * @return {ContactDetails|undefined}
+ * @static
+ */
+Goblin.CapsuleSphere.sphereContact = function( object_a, center_a, object_b, center_b ) {
+	var radius_a = object_a.shape.radius,
+		radius_b = object_b.shape.radius;
+
+	_tmp_vec3_1.subtractVectors( center_b, center_a );
+	var distance = _tmp_vec3_1.length();
+
+	if ( distance > radius_a + radius_b ) {
+		return;
+	}
+
+	var contact = Goblin.ObjectPool.getObject( 'ContactDetails' );
+	contact.object_a = object_a;
+	contact.object_b = object_b;
+
+	if ( distance < Goblin.EPSILON ) {
+		// centers coincide, any direction separates them
+		contact.contact_normal.set( 0, 1, 0 );
+	} else {
+		contact.contact_normal.scaleVector( _tmp_vec3_1, 1 / distance );
+	}
+
+	contact.penetration_depth = radius_a + radius_b - distance;
+
+	// Contact points in both objects - in world coordinates at first
+	contact.contact_point_in_a.scaleVector( contact.contact_normal, radius_a );
+	contact.contact_point_in_a.add( center_a );
+	contact.contact_point_in_b.scaleVector( contact.contact_normal, -radius_b );
+	contact.contact_point_in_b.add( center_b );
+
+	contact.contact_point.addVectors( contact.contact_point_in_a, contact.contact_point_in_b );
+	contact.contact_point.scale( 0.5 );
+
+	// Convert contact_point_in_a and contact_point_in_b to those objects' local frames
+	object_a.transform_inverse.transformVector3( contact.contact_point_in_a );
+	object_b.transform_inverse.transformVector3( contact.contact_point_in_b );
+
+	contact.restitution = ( object_a.restitution + object_b.restitution ) / 2;
+	contact.friction = ( object_a.friction + object_b.friction ) / 2;
+
+	return contact;
+};
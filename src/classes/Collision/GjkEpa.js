@@ -765,3 +765,303 @@ Goblin.GjkEpa.Face.prototype = {
         }
     };
 })();
+
+/**
+ * Separation between two objects, found by `GjkEpa.distance`
+ *
+ * @class GjkEpa.DistanceResult
+ * @constructor
+ */
+Goblin.GjkEpa.DistanceResult = function() {
+	/**
+	 * distance between the objects' surfaces, negative when they overlap
+	 *
+	 * @property distance
+	 * @type {Number}
+	 */
+	this.distance = 0;
+
+	/**
+	 * world space point on object_a's surface closest to object_b, or deepest inside it when they overlap
+	 *
+	 * @property point_a
+	 * @type {Vector3}
+	 */
+	this.point_a = new Goblin.Vector3();
+
+	/**
+	 * world space point on object_b's surface closest to object_a, or deepest inside it when they overlap
+	 *
+	 * @property point_b
+	 * @type {Vector3}
+	 */
+	this.point_b = new Goblin.Vector3();
+
+	/**
+	 * unit direction separating the objects, pointing from object_a towards object_b
+	 *
+	 * @property normal
+	 * @type {Vector3}
+	 */
+	this.normal = new Goblin.Vector3();
+};
+
+/**
+ * Finds the distance between two convex objects and the closest points on their surfaces. GJK walks a simplex of the
+ * objects' Minkowski difference towards the origin; the difference's point closest to the origin is the vector between
+ * the closest points, which are interpolated from the simplex's witnesses. Overlapping objects are measured by EPA
+ * instead, giving a negative distance
+ *
+ * @method distance
+ * @param object_a {RigidBody}
+ * @param object_b {RigidBody}
+ * @param [result] {GjkEpa.DistanceResult} result to fill in, a new one is created if omitted
+ * @return {GjkEpa.DistanceResult}
+ * @static
+ */
+Goblin.GjkEpa.distance = (function(){
+	var closest = new Goblin.Vector3(),
+		direction = new Goblin.Vector3(),
+		ab = new Goblin.Vector3(),
+		ac = new Goblin.Vector3(),
+		normal = new Goblin.Vector3(),
+		other = new Goblin.Vector3(),
+		points = [],
+		weights = [ 0, 0, 0, 0 ],
+		face_weights = [ 0, 0, 0 ],
+		best_weights = [ 0, 0, 0 ],
+		faces = [ [ 0, 1, 2, 3 ], [ 0, 1, 3, 2 ], [ 0, 2, 3, 1 ], [ 1, 2, 3, 0 ] ],
+		max_iterations = 64,
+		tolerance = 1e-6; // iterating stops once the closest point can't get nearer by this fraction of its distance
+
+	// weights of `a` & `b` for the point on segment ab closest to the origin
+	function closestOnSegment( a, b, out ) {
+		ab.subtractVectors( b, a );
+		var length_squared = ab.lengthSquared(),
+			t = length_squared > 0 ? Math.min( Math.max( -a.dot( ab ) / length_squared, 0 ), 1 ) : 0;
+		out[0] = 1 - t;
+		out[1] = t;
+	}
+
+	// weights of `a`, `b` & `c` for the point on triangle abc closest to the origin
+	function closestOnTriangle( a, b, c, out ) {
+		ab.subtractVectors( b, a );
+		ac.subtractVectors( c, a );
+
+		var d1 = -ab.dot( a ),
+			d2 = -ac.dot( a ),
+			d3 = -ab.dot( b ),
+			d4 = -ac.dot( b ),
+			d5 = -ab.dot( c ),
+			d6 = -ac.dot( c ),
+			va = d3 * d6 - d5 * d4,
+			vb = d5 * d2 - d1 * d6,
+			vc = d1 * d4 - d3 * d2,
+			t;
+
+		out[0] = out[1] = out[2] = 0;
+		if ( d1 <= 0 && d2 <= 0 ) {
+			out[0] = 1;
+		} else if ( d3 >= 0 && d4 <= d3 ) {
+			out[1] = 1;
+		} else if ( d6 >= 0 && d5 <= d6 ) {
+			out[2] = 1;
+		} else if ( vc <= 0 && d1 >= 0 && d3 <= 0 ) {
+			t = d1 / ( d1 - d3 );
+			out[0] = 1 - t;
+			out[1] = t;
+		} else if ( vb <= 0 && d2 >= 0 && d6 <= 0 ) {
+			t = d2 / ( d2 - d6 );
+			out[0] = 1 - t;
+			out[2] = t;
+		} else if ( va <= 0 && d4 - d3 >= 0 && d5 - d6 >= 0 ) {
+			t = ( d4 - d3 ) / ( ( d4 - d3 ) + ( d5 - d6 ) );
+			out[1] = 1 - t;
+			out[2] = t;
+		} else if ( va + vb + vc > 0 ) {
+			out[1] = vb / ( va + vb + vc );
+			out[2] = vc / ( va + vb + vc );
+			out[0] = 1 - out[1] - out[2];
+		} else {
+			// degenerate triangle, its edge from `a` to `c` covers it
+			closestOnSegment( a, c, out );
+			out[2] = out[1];
+			out[1] = 0;
+		}
+	}
+
+	// whether the origin and `d` are on opposite sides of triangle abc
+	function separatedByFace( a, b, c, d ) {
+		ab.subtractVectors( b, a );
+		ac.subtractVectors( c, a );
+		normal.crossVectors( ab, ac );
+		other.subtractVectors( d, a );
+		return normal.dot( a ) * normal.dot( other ) > 0;
+	}
+
+	// weights of the tetrahedron's corners for its point closest to the origin; returns false if it contains the origin
+	function closestOnTetrahedron( out ) {
+		var best_distance = Infinity,
+			is_outside = false,
+			face, distance, i;
+
+		for ( i = 0; i < 4; i++ ) {
+			face = faces[i];
+			if ( !separatedByFace( points[face[0]].point, points[face[1]].point, points[face[2]].point, points[face[3]].point ) ) {
+				continue;
+			}
+			is_outside = true;
+
+			closestOnTriangle( points[face[0]].point, points[face[1]].point, points[face[2]].point, face_weights );
+			closest.scaleVector( points[face[0]].point, face_weights[0] );
+			closest.x += points[face[1]].point.x * face_weights[1] + points[face[2]].point.x * face_weights[2];
+			closest.y += points[face[1]].point.y * face_weights[1] + points[face[2]].point.y * face_weights[2];
+			closest.z += points[face[1]].point.z * face_weights[1] + points[face[2]].point.z * face_weights[2];
+			distance = closest.lengthSquared();
+
+			if ( distance < best_distance ) {
+				best_distance = distance;
+				out[0] = out[1] = out[2] = out[3] = 0;
+				out[face[0]] = face_weights[0];
+				out[face[1]] = face_weights[1];
+				out[face[2]] = face_weights[2];
+			}
+		}
+
+		return is_outside;
+	}
+
+	// moves `closest` to the simplex's point nearest the origin and drops the points not needed to reach it; returns
+	// false if the simplex contains the origin
+	function reduceSimplex() {
+		var kept = 0,
+			i;
+
+		if ( points.length === 1 ) {
+			weights[0] = 1;
+		} else if ( points.length === 2 ) {
+			closestOnSegment( points[0].point, points[1].point, weights );
+		} else if ( points.length === 3 ) {
+			closestOnTriangle( points[0].point, points[1].point, points[2].point, weights );
+		} else if ( !closestOnTetrahedron( weights ) ) {
+			return false;
+		}
+
+		closest.set( 0, 0, 0 );
+		for ( i = 0; i < points.length; i++ ) {
+			if ( weights[i] > 0 ) {
+				closest.x += points[i].point.x * weights[i];
+				closest.y += points[i].point.y * weights[i];
+				closest.z += points[i].point.z * weights[i];
+				points[kept] = points[i];
+				weights[kept] = weights[i];
+				kept++;
+			} else {
+				Goblin.ObjectPool.freeObject( 'GJK2SupportPoint', points[i] );
+			}
+		}
+		points.length = kept;
+
+		return true;
+	}
+
+	function freePoints() {
+		for ( var i = 0; i < points.length; i++ ) {
+			Goblin.ObjectPool.freeObject( 'GJK2SupportPoint', points[i] );
+		}
+		points.length = 0;
+	}
+
+	// moves `result`'s points to the simplex's witnesses, weighted as for the closest point of the difference
+	function interpolateWitnesses( result ) {
+		result.point_a.set( 0, 0, 0 );
+		result.point_b.set( 0, 0, 0 );
+		for ( var i = 0; i < points.length; i++ ) {
+			result.point_a.x += points[i].witness_a.x * weights[i];
+			result.point_a.y += points[i].witness_a.y * weights[i];
+			result.point_a.z += points[i].witness_a.z * weights[i];
+			result.point_b.x += points[i].witness_b.x * weights[i];
+			result.point_b.y += points[i].witness_b.y * weights[i];
+			result.point_b.z += points[i].witness_b.z * weights[i];
+		}
+	}
+
+	// fills in `result` for touching or overlapping objects, from their deepest points found by EPA
+	function measureOverlap( object_a, object_b, result ) {
+		var simplex, contact;
+
+		// objects which only just touch meet where the simplex reached the origin
+		result.distance = 0;
+		interpolateWitnesses( result );
+		result.normal.subtractVectors( object_b.position, object_a.position );
+		if ( result.normal.lengthSquared() < Goblin.EPSILON * Goblin.EPSILON ) {
+			result.normal.set( 1, 0, 0 );
+		}
+		result.normal.normalize();
+
+		simplex = Goblin.GjkEpa.GJK( object_a, object_b );
+		if ( Goblin.GjkEpa.result != null ) {
+			// contacts found within GJK's margins have no reliable normal this close
+			Goblin.GjkEpa.result.destroy();
+			Goblin.GjkEpa.result = null;
+			return;
+		} else if ( simplex == null || ( contact = Goblin.GjkEpa.EPA( simplex ) ) == null ) {
+			return;
+		}
+
+		// EPA adds the margins to its depth, and can't tell which way objects which only just touch face
+		if ( contact.penetration_depth - Goblin.GjkEpa.margins < Goblin.EPSILON ) {
+			contact.destroy();
+			return;
+		}
+		result.distance = Goblin.GjkEpa.margins - contact.penetration_depth;
+		result.normal.copy( contact.contact_normal );
+		object_a.transform.transformVector3Into( contact.contact_point_in_a, result.point_a );
+		object_b.transform.transformVector3Into( contact.contact_point_in_b, result.point_b );
+		contact.destroy();
+	}
+
+	return function( object_a, object_b, result ) {
+		result = result || new Goblin.GjkEpa.DistanceResult();
+
+		var support_point, closest_squared, i;
+
+		// start searching along the direction between the objects' centers
+		closest.subtractVectors( object_a.position, object_b.position );
+		if ( closest.lengthSquared() < Goblin.EPSILON * Goblin.EPSILON ) {
+			closest.set( 1, 0, 0 );
+		}
+
+		for ( i = 0; i < max_iterations; i++ ) {
+			direction.scaleVector( closest, -1 );
+			support_point = Goblin.ObjectPool.getObject( 'GJK2SupportPoint' );
+			Goblin.GjkEpa.findSupportPoint( object_a, object_b, direction, support_point );
+
+			// done once the difference doesn't reach any closer to the origin than the current closest point
+			closest_squared = closest.lengthSquared();
+			if ( points.length > 0 && closest_squared - closest.dot( support_point.point ) <= tolerance * closest_squared ) {
+				Goblin.ObjectPool.freeObject( 'GJK2SupportPoint', support_point );
+				break;
+			}
+
+			points.push( support_point );
+			if ( !reduceSimplex() ) {
+				// the tetrahedron holds the origin, which its base triangle was the closest to before
+				weights[3] = 0;
+			} else if ( closest.lengthSquared() >= Goblin.EPSILON * Goblin.EPSILON ) {
+				continue;
+			}
+
+			measureOverlap( object_a, object_b, result );
+			freePoints();
+			return result;
+		}
+
+		interpolateWitnesses( result );
+		result.distance = closest.length();
+		result.normal.scaleVector( closest, -1 / result.distance );
+		freePoints();
+
+		return result;
+	};
+})();
@@ -0,0 +1,286 @@
+/**
+ * Ball and socket joint which limits how far object_b can swing away from the joint axis, inside an elliptical cone,
+ * and how far it can twist around the axis. The pose the objects are in when the constraint is created is the
+ * joint's rest pose, with no swing or twist
+ *
+ * @class ConeTwistConstraint
+ * @param object_a {RigidBody}
+ * @param axis_a {Vector3} joint axis in object_a's local frame
+ * @param point_a {Vector3} joint position in object_a's local frame
+ * @param [object_b] {RigidBody} if null, object_a is attached to the world at `point_a`
+ * @param [point_b] {Vector3} joint position in object_b's local frame
+ * @constructor
+ */
+Goblin.ConeTwistConstraint = function( object_a, axis_a, point_a, object_b, point_b ) {
+	Goblin.Constraint.call( this );
+
+	this.object_a = object_a;
+	this.point_a = point_a;
+
+	this.object_b = object_b || null;
+	if ( this.object_b != null ) {
+		this.point_b = point_b;
+	} else {
+		this.point_b = new Goblin.Vector3();
+		this.object_a.updateDerived(); // Ensure the body's transform is correct
+		this.object_a.transform.transformVector3Into( this.point_a, this.point_b );
+	}
+
+	// the joint axis and a vector orthogonal to it, the reference, in each object's frame ( or the world's when there
+	// is no object_b ); the swing cone's first half-angle opens towards the reference
+	this.axis_a = new Goblin.Vector3();
+	this.axis_a.normalizeVector( axis_a );
+	this.reference_a = new Goblin.Vector3();
+	this.axis_a.findOrthogonal( this.reference_a, _tmp_vec3_1 );
+	this.reference_a.normalize();
+
+	this.axis_b = new Goblin.Vector3();
+	this.reference_b = new Goblin.Vector3();
+	this.object_a.rotation.transformVector3Into( this.axis_a, this.axis_b );
+	this.object_a.rotation.transformVector3Into( this.reference_a, this.reference_b );
+	if ( this.object_b != null ) {
+		_tmp_quat4_1.invertQuaternion( this.object_b.rotation );
+		_tmp_quat4_1.transformVector3( this.axis_b );
+		_tmp_quat4_1.transformVector3( this.reference_b );
+	}
+
+	this.erp = 0.1;
+
+	/**
+	 * largest angle, in radians, object_b can swing towards the reference direction
+	 *
+	 * @property swing_span_1
+	 * @type {Number}
+	 * @default Math.PI / 4
+	 */
+	this.swing_span_1 = Math.PI / 4;
+
+	/**
+	 * largest angle, in radians, object_b can swing towards the direction orthogonal to the axis and reference
+	 *
+	 * @property swing_span_2
+	 * @type {Number}
+	 * @default Math.PI / 4
+	 */
+	this.swing_span_2 = Math.PI / 4;
+
+	/**
+	 * largest angle, in radians, object_b can twist around the joint axis in either direction
+	 *
+	 * @property twist_span
+	 * @type {Number}
+	 * @default Math.PI / 4
+	 */
+	this.twist_span = Math.PI / 4;
+
+	/**
+	 * fraction of a limit violation which is corrected each step
+	 *
+	 * @property bias_factor
+	 * @type {Number}
+	 * @default 0.3
+	 */
+	this.bias_factor = 0.3;
+
+	/**
+	 * how much of the velocity carrying the joint past a limit is stopped, from 0 to 1. Lower values let the joint
+	 * overshoot its limits before being pulled back
+	 *
+	 * @property softness
+	 * @type {Number}
+	 * @default 1
+	 */
+	this.softness = 1;
+
+	/**
+	 * current swing angle, in radians, updated each step
+	 *
+	 * @property swing_angle
+	 * @type {Number}
+	 */
+	this.swing_angle = 0;
+
+	/**
+	 * current twist angle, in radians, updated each step
+	 *
+	 * @property twist_angle
+	 * @type {Number}
+	 */
+	this.twist_angle = 0;
+
+	/**
+	 * largest swing angle allowed in the current swing direction, updated each step
+	 *
+	 * @property swing_limit
+	 * @type {Number}
+	 */
+	this.swing_limit = this.swing_span_1;
+
+	// world space axes the swing and twist rows act about
+	this.swing_axis = new Goblin.Vector3();
+	this.twist_axis = new Goblin.Vector3();
+
+	// Create rows
+	// rows 0,1,2 are the same as point constraint and constrain the objects' positions
+	// row 3 enforces the swing cone and row 4 the twist range
+	for ( var i = 0; i < 5; i++ ) {
+		this.rows[i] = Goblin.ObjectPool.getObject( 'ConstraintRow' );
+		this.rows[i].lower_limit = -Infinity;
+		this.rows[i].upper_limit = Infinity;
+		this.rows[i].bias = 0;
+
+		this.rows[i].jacobian[0] = this.rows[i].jacobian[1] = this.rows[i].jacobian[2] =
+			this.rows[i].jacobian[3] = this.rows[i].jacobian[4] = this.rows[i].jacobian[5] =
+			this.rows[i].jacobian[6] = this.rows[i].jacobian[7] = this.rows[i].jacobian[8] =
+			this.rows[i].jacobian[9] = this.rows[i].jacobian[10] = this.rows[i].jacobian[11] = 0;
+	}
+};
+Goblin.ConeTwistConstraint.prototype = Object.create( Goblin.Constraint.prototype );
+
+/**
+ * Sets the swing cone's half-angles and the twist range
+ *
+ * @method setLimits
+ * @param swing_span_1 {Number} largest swing, in radians, towards the reference direction
+ * @param swing_span_2 {Number} largest swing, in radians, orthogonal to the reference direction
+ * @param twist_span {Number} largest twist, in radians, in either direction
+ */
+Goblin.ConeTwistConstraint.prototype.setLimits = function( swing_span_1, swing_span_2, twist_span ) {
+	this.swing_span_1 = swing_span_1;
+	this.swing_span_2 = swing_span_2;
+	this.twist_span = twist_span;
+};
+
+/**
+ * Measures the joint's current swing and twist, storing them in `swing_angle` and `twist_angle`
+ *
+ * @method updateAngles
+ */
+Goblin.ConeTwistConstraint.prototype.updateAngles = (function(){
+	var axis_a = new Goblin.Vector3(),
+		axis_b = new Goblin.Vector3(),
+		reference_a = new Goblin.Vector3(),
+		orthogonal_a = new Goblin.Vector3(),
+		reference_b = new Goblin.Vector3(),
+		untwisted = new Goblin.Vector3(),
+		cross = new Goblin.Vector3();
+
+	return function() {
+		var cos_swing, sin_swing, direction, span_cos, span_sin;
+
+		this.object_a.rotation.transformVector3Into( this.axis_a, axis_a );
+		this.object_a.rotation.transformVector3Into( this.reference_a, reference_a );
+		orthogonal_a.crossVectors( axis_a, reference_a );
+		if ( this.object_b != null ) {
+			this.object_b.rotation.transformVector3Into( this.axis_b, axis_b );
+			this.object_b.rotation.transformVector3Into( this.reference_b, reference_b );
+		} else {
+			axis_b.copy( this.axis_b );
+			reference_b.copy( this.reference_b );
+		}
+
+		// swing is the rotation carrying object_a's axis onto object_b's
+		cos_swing = Math.max( -1, Math.min( axis_a.dot( axis_b ), 1 ) );
+		this.swing_axis.crossVectors( axis_a, axis_b );
+		sin_swing = this.swing_axis.length();
+		this.swing_angle = Math.atan2( sin_swing, cos_swing );
+
+		if ( sin_swing > Goblin.EPSILON ) {
+			this.swing_axis.scale( 1 / sin_swing );
+
+			// the cone is an ellipse with the two half-angles as its radii
+			direction = Math.atan2( axis_b.dot( orthogonal_a ), axis_b.dot( reference_a ) );
+			span_cos = Math.cos( direction ) / this.swing_span_1;
+			span_sin = Math.sin( direction ) / this.swing_span_2;
+			this.swing_limit = 1 / Math.sqrt( span_cos * span_cos + span_sin * span_sin );
+
+			// undo the swing on object_b's reference, rotating it by -swing_angle around the swing axis
+			cross.crossVectors( this.swing_axis, reference_b );
+			untwisted.scaleVector( reference_b, cos_swing );
+			cross.scale( -sin_swing );
+			untwisted.add( cross );
+			cross.scaleVector( this.swing_axis, this.swing_axis.dot( reference_b ) * ( 1 - cos_swing ) );
+			untwisted.add( cross );
+		} else {
+			this.swing_axis.copy( reference_a );
+			this.swing_limit = this.swing_span_1;
+			untwisted.copy( reference_b );
+		}
+
+		// twist is what remains of the rotation around object_a's axis
+		cross.crossVectors( reference_a, untwisted );
+		this.twist_angle = Math.atan2( cross.dot( axis_a ), reference_a.dot( untwisted ) );
+
+		this.twist_axis.addVectors( axis_a, axis_b );
+		if ( this.twist_axis.lengthSquared() > Goblin.EPSILON ) {
+			this.twist_axis.normalize();
+		} else {
+			this.twist_axis.copy( axis_a );
+		}
+	};
+})();
+
+/**
+ * Updates the point rows holding the objects together and the swing & twist limit rows
+ *
+ * @method update
+ * @param time_delta {Number}
+ */
+Goblin.ConeTwistConstraint.prototype.update = (function(){
+	var reversed_axis = new Goblin.Vector3();
+
+	return function( time_delta ) {
+		// rows 0,1,2 share their layout with PointConstraint's
+		Goblin.PointConstraint.prototype.update.call( this, time_delta );
+
+		this.updateAngles();
+
+		this._updateLimitRow( this.rows[3], this.swing_axis, this.swing_limit - this.swing_angle, time_delta );
+		if ( this.twist_angle > 0 ) {
+			this._updateLimitRow( this.rows[4], this.twist_axis, this.twist_span - this.twist_angle, time_delta );
+		} else {
+			// the negative twist limit is the same as the positive one around the reversed axis
+			reversed_axis.scaleVector( this.twist_axis, -1 );
+			this._updateLimitRow( this.rows[4], reversed_axis, this.twist_span + this.twist_angle, time_delta );
+		}
+	};
+})();
+
+/**
+ * Configures `row` to keep object_b's rotation relative to object_a, around `axis`, from exceeding its limit
+ *
+ * @method _updateLimitRow
+ * @param row {ConstraintRow}
+ * @param axis {Vector3} world space axis, rotating object_b around it moves the joint towards the limit
+ * @param distance {Number} angle remaining before the limit is reached, negative once it is exceeded
+ * @param time_delta {Number}
+ * @private
+ */
+Goblin.ConeTwistConstraint.prototype._updateLimitRow = function( row, axis, distance, time_delta ) {
+	var velocity;
+
+	row.jacobian[3] = -axis.x;
+	row.jacobian[4] = -axis.y;
+	row.jacobian[5] = -axis.z;
+	if ( this.object_b != null ) {
+		row.jacobian[9] = axis.x;
+		row.jacobian[10] = axis.y;
+		row.jacobian[11] = axis.z;
+	}
+
+	// relative angular velocity carrying the joint towards, or past, its limit
+	velocity = -axis.dot( this.object_a.angular_velocity );
+	if ( this.object_b != null ) {
+		velocity += axis.dot( this.object_b.angular_velocity );
+	}
+
+	row.lower_limit = -Infinity;
+	row.upper_limit = 0;
+	if ( distance > 0 ) {
+		// the row only kicks in if the joint would pass its limit during this step
+		row.bias = distance / time_delta;
+	} else {
+		row.bias = distance * this.bias_factor / time_delta;
+	}
+	row.bias += ( 1 - this.softness ) * Math.max( velocity, 0 );
+};
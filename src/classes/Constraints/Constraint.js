@@ -22,4 +22,15 @@ Goblin.Constraint.prototype.deactivate = function() {
 	this.emit( 'deactivate' );
 };
 
-Goblin.Constraint.prototype.update = function(){};
\ No newline at end of file
+Goblin.Constraint.prototype.update = function(){};
+
+/**
+ * A constraint is sleeping when none of its bodies are dynamic & awake; sleeping constraints are skipped by the solver
+ *
+ * @method isSleeping
+ * @return {Boolean}
+ */
+Goblin.Constraint.prototype.isSleeping = function() {
+	return ( this.object_a == null || this.object_a._mass === Infinity || this.object_a.is_sleeping === true ) &&
+		( this.object_b == null || this.object_b._mass === Infinity || this.object_b.is_sleeping === true );
+};
\ No newline at end of file
@@ -7,6 +7,7 @@ Goblin.ConstraintRow = function() {
 	this.upper_limit = Infinity;
 
 	this.bias = 0;
+	this.cfm = 0; // constraint force mixing, 0 for rigid rows and positive for soft ones
 	this.multiplier = 0;
 	this.multiplier_cached = 0;
 	this.eta = 0;
@@ -75,8 +76,16 @@ Goblin.ConstraintRow.prototype.computeEta = function( constraint, time_delta ) {
 	var invmass,
 		inverse_time_delta = 1 / time_delta;
 
-	if ( constraint.object_a == null || constraint.object_a._mass === Infinity ) {
+	if ( constraint.object_a == null || ( constraint.object_a._mass === Infinity && constraint.object_a.is_kinematic !== true ) ) {
 		this.eta_row[0] = this.eta_row[1] = this.eta_row[2] = this.eta_row[3] = this.eta_row[4] = this.eta_row[5] = 0;
+	} else if ( constraint.object_a.is_kinematic === true ) {
+		// kinematic bodies ignore forces, only their velocity contributes
+		this.eta_row[0] = constraint.object_a.linear_velocity.x * inverse_time_delta;
+		this.eta_row[1] = constraint.object_a.linear_velocity.y * inverse_time_delta;
+		this.eta_row[2] = constraint.object_a.linear_velocity.z * inverse_time_delta;
+		this.eta_row[3] = constraint.object_a.angular_velocity.x * inverse_time_delta;
+		this.eta_row[4] = constraint.object_a.angular_velocity.y * inverse_time_delta;
+		this.eta_row[5] = constraint.object_a.angular_velocity.z * inverse_time_delta;
 	} else {
 		invmass = constraint.object_a._mass_inverted;
 
@@ -91,8 +100,15 @@ Goblin.ConstraintRow.prototype.computeEta = function( constraint, time_delta ) {
 		this.eta_row[5] = ( constraint.object_a.angular_velocity.z + _tmp_vec3_1.z ) * inverse_time_delta;
 	}
 
-	if ( constraint.object_b == null || constraint.object_b._mass === Infinity ) {
+	if ( constraint.object_b == null || ( constraint.object_b._mass === Infinity && constraint.object_b.is_kinematic !== true ) ) {
 		this.eta_row[6] = this.eta_row[7] = this.eta_row[8] = this.eta_row[9] = this.eta_row[10] = this.eta_row[11] = 0;
+	} else if ( constraint.object_b.is_kinematic === true ) {
+		this.eta_row[6] = constraint.object_b.linear_velocity.x * inverse_time_delta;
+		this.eta_row[7] = constraint.object_b.linear_velocity.y * inverse_time_delta;
+		this.eta_row[8] = constraint.object_b.linear_velocity.z * inverse_time_delta;
+		this.eta_row[9] = constraint.object_b.angular_velocity.x * inverse_time_delta;
+		this.eta_row[10] = constraint.object_b.angular_velocity.y * inverse_time_delta;
+		this.eta_row[11] = constraint.object_b.angular_velocity.z * inverse_time_delta;
 	} else {
 		invmass = constraint.object_b._mass_inverted;
 
@@ -0,0 +1,184 @@
+/**
+ * Keeps the distance between an anchor on object_a and an anchor on object_b, or a point in the world, within a range.
+ * A range with equal ends makes a rigid rod, while a range starting at zero makes a rope which can go slack but not
+ * stretch. The constraint starts out rigid at the anchors' initial distance
+ *
+ * @class DistanceConstraint
+ * @param object_a {RigidBody}
+ * @param point_a {Vector3} anchor in object_a's local frame
+ * @param [object_b] {RigidBody} if null, object_a is anchored to the world at `point_b`
+ * @param point_b {Vector3} anchor in object_b's local frame, or in world space when there is no object_b
+ * @constructor
+ */
+Goblin.DistanceConstraint = function( object_a, point_a, object_b, point_b ) {
+	Goblin.Constraint.call( this );
+
+	this.object_a = object_a;
+	this.point_a = point_a;
+
+	this.object_b = object_b || null;
+	this.point_b = point_b;
+
+	// world space direction from anchor a to anchor b, kept from the last step in case the anchors meet
+	this.normal = new Goblin.Vector3( 0, 1, 0 );
+
+	this.erp = 0.1;
+
+	/**
+	 * current distance between the anchors, updated each step
+	 *
+	 * @property distance
+	 * @type {Number}
+	 */
+	this.distance = this.measureDistance();
+
+	/**
+	 * shortest distance allowed between the anchors
+	 *
+	 * @property min_distance
+	 * @type {Number}
+	 */
+	this.min_distance = this.distance;
+
+	/**
+	 * longest distance allowed between the anchors
+	 *
+	 * @property max_distance
+	 * @type {Number}
+	 */
+	this.max_distance = this.distance;
+
+	// Create rows
+	this.rows[0] = Goblin.ObjectPool.getObject( 'ConstraintRow' );
+	this.rows[0].lower_limit = -Infinity;
+	this.rows[0].upper_limit = Infinity;
+	this.rows[0].bias = 0;
+	this.rows[0].jacobian[6] = this.rows[0].jacobian[7] = this.rows[0].jacobian[8] =
+		this.rows[0].jacobian[9] = this.rows[0].jacobian[10] = this.rows[0].jacobian[11] = 0;
+};
+Goblin.DistanceConstraint.prototype = Object.create( Goblin.Constraint.prototype );
+
+/**
+ * Keeps the anchors exactly `distance` apart
+ *
+ * @method setDistance
+ * @param distance {Number}
+ */
+Goblin.DistanceConstraint.prototype.setDistance = function( distance ) {
+	this.min_distance = this.max_distance = distance;
+};
+
+/**
+ * Lets the anchors move freely while they are between `min_distance` and `max_distance` apart
+ *
+ * @method setRange
+ * @param min_distance {Number}
+ * @param max_distance {Number}
+ */
+Goblin.DistanceConstraint.prototype.setRange = function( min_distance, max_distance ) {
+	this.min_distance = min_distance;
+	this.max_distance = max_distance;
+};
+
+/**
+ * Turns the constraint into a rope of the given length, which only pulls the anchors together
+ *
+ * @method setRope
+ * @param length {Number}
+ */
+Goblin.DistanceConstraint.prototype.setRope = function( length ) {
+	this.setRange( 0, length );
+};
+
+/**
+ * Computes the current distance between the anchors
+ *
+ * @method measureDistance
+ * @return {Number}
+ */
+Goblin.DistanceConstraint.prototype.measureDistance = function() {
+	this.object_a.updateDerived(); // Ensure the body's transform is correct
+	this.object_a.transform.transformVector3Into( this.point_a, _tmp_vec3_1 );
+	if ( this.object_b != null ) {
+		this.object_b.updateDerived();
+		this.object_b.transform.transformVector3Into( this.point_b, _tmp_vec3_2 );
+	} else {
+		_tmp_vec3_2.copy( this.point_b );
+	}
+	return _tmp_vec3_1.distanceTo( _tmp_vec3_2 );
+};
+
+Goblin.DistanceConstraint.prototype.update = function( time_delta ) {
+	var row = this.rows[0],
+		distance = this._updateRow( row );
+
+	if ( this.min_distance === this.max_distance ) {
+		row.lower_limit = -Infinity;
+		row.upper_limit = Infinity;
+		row.bias = ( this.max_distance - distance ) * this.erp / time_delta;
+	} else if ( distance < this.min_distance ) {
+		// only push the anchors apart
+		row.lower_limit = 0;
+		row.upper_limit = Infinity;
+		row.bias = ( this.min_distance - distance ) * this.erp / time_delta;
+	} else if ( distance > this.max_distance ) {
+		// only pull the anchors together
+		row.lower_limit = -Infinity;
+		row.upper_limit = 0;
+		row.bias = ( this.max_distance - distance ) * this.erp / time_delta;
+	} else {
+		row.lower_limit = row.upper_limit = 0;
+		row.bias = 0;
+	}
+};
+
+/**
+ * Points `row`'s jacobian along the line between the anchors, so the row acts on the rate the distance changes
+ *
+ * @method _updateRow
+ * @param row {ConstraintRow}
+ * @return {Number} the distance between the anchors
+ * @private
+ */
+Goblin.DistanceConstraint.prototype._updateRow = (function(){
+	var anchor_a = new Goblin.Vector3(),
+		anchor_b = new Goblin.Vector3(),
+		r = new Goblin.Vector3();
+
+	return function( row ) {
+		this.object_a.transform.transformVector3Into( this.point_a, anchor_a );
+		if ( this.object_b != null ) {
+			this.object_b.transform.transformVector3Into( this.point_b, anchor_b );
+		} else {
+			anchor_b.copy( this.point_b );
+		}
+
+		_tmp_vec3_1.subtractVectors( anchor_b, anchor_a );
+		this.distance = _tmp_vec3_1.length();
+		if ( this.distance > Goblin.EPSILON ) {
+			this.normal.scaleVector( _tmp_vec3_1, 1 / this.distance );
+		}
+
+		r.subtractVectors( anchor_a, this.object_a.position );
+		_tmp_vec3_1.crossVectors( r, this.normal );
+		row.jacobian[0] = -this.normal.x;
+		row.jacobian[1] = -this.normal.y;
+		row.jacobian[2] = -this.normal.z;
+		row.jacobian[3] = -_tmp_vec3_1.x;
+		row.jacobian[4] = -_tmp_vec3_1.y;
+		row.jacobian[5] = -_tmp_vec3_1.z;
+
+		if ( this.object_b != null ) {
+			r.subtractVectors( anchor_b, this.object_b.position );
+			_tmp_vec3_1.crossVectors( r, this.normal );
+			row.jacobian[6] = this.normal.x;
+			row.jacobian[7] = this.normal.y;
+			row.jacobian[8] = this.normal.z;
+			row.jacobian[9] = _tmp_vec3_1.x;
+			row.jacobian[10] = _tmp_vec3_1.y;
+			row.jacobian[11] = _tmp_vec3_1.z;
+		}
+
+		return this.distance;
+	};
+})();
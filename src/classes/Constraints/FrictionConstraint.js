@@ -1,17 +1,44 @@
+/**
+ * Opposes sliding at a contact with two tangential rows. When the contact's materials have rolling or spinning
+ * friction, three angular rows also oppose the objects rolling over and spinning against each other, each limited
+ * by the contact's normal force from the previous step times the coefficient
+ *
+ * @class FrictionConstraint
+ * @constructor
+ */
 Goblin.FrictionConstraint = function() {
 	Goblin.Constraint.call( this );
 
 	this.contact = null;
+
+	/**
+	 * the contact constraint keeping the objects apart, its force limits the rolling & spinning friction
+	 *
+	 * @property contact_constraint
+	 * @type {ContactConstraint}
+	 * @default null
+	 */
+	this.contact_constraint = null;
 };
 Goblin.FrictionConstraint.prototype = Object.create( Goblin.Constraint.prototype );
 
-Goblin.FrictionConstraint.prototype.buildFromContact = function( contact ) {
-	this.rows[0] = this.rows[0] || Goblin.ObjectPool.getObject( 'ConstraintRow' );
-	this.rows[1] = this.rows[1] || Goblin.ObjectPool.getObject( 'ConstraintRow' );
+Goblin.FrictionConstraint.prototype.buildFromContact = function( contact, world ) {
+	var num_rows, i;
 
 	this.object_a = contact.object_a;
 	this.object_b = contact.object_b;
 	this.contact = contact;
+	Goblin.Material.applyToContact( contact, world );
+
+	// rows 0,1 oppose sliding; rows 2,3,4 rolling & spinning, only needed if the materials resist them
+	num_rows = contact.rolling_friction > 0 || contact.spinning_friction > 0 ? 5 : 2;
+	for ( i = num_rows; i < this.rows.length; i++ ) {
+		Goblin.ObjectPool.freeObject( 'ConstraintRow', this.rows[i] );
+	}
+	this.rows.length = Math.min( this.rows.length, num_rows );
+	for ( i = 0; i < num_rows; i++ ) {
+		this.rows[i] = this.rows[i] || Goblin.ObjectPool.getObject( 'ConstraintRow' );
+	}
 
 	var self = this;
 	var onDestroy = function() {
@@ -39,7 +66,7 @@ Goblin.FrictionConstraint.prototype.update = (function(){
 
 		this.contact.contact_normal.findOrthogonal( u1, u2 );
 
-		if ( this.object_a == null || this.object_a._mass === Infinity ) {
+		if ( this.object_a == null || ( this.object_a._mass === Infinity && this.object_a.is_kinematic !== true ) ) {
 			row_1.jacobian[0] = row_1.jacobian[1] = row_1.jacobian[2] = 0;
 			row_1.jacobian[3] = row_1.jacobian[4] = row_1.jacobian[5] = 0;
 			row_2.jacobian[0] = row_2.jacobian[1] = row_2.jacobian[2] = 0;
@@ -64,7 +91,7 @@ Goblin.FrictionConstraint.prototype.update = (function(){
 			row_2.jacobian[5] = -_tmp_vec3_1.z;
 		}
 
-		if ( this.object_b == null || this.object_b._mass === Infinity ) {
+		if ( this.object_b == null || ( this.object_b._mass === Infinity && this.object_b.is_kinematic !== true ) ) {
 			row_1.jacobian[6] = row_1.jacobian[7] = row_1.jacobian[8] = 0;
 			row_1.jacobian[9] = row_1.jacobian[10] = row_1.jacobian[11] = 0;
 			row_2.jacobian[6] = row_2.jacobian[7] = row_2.jacobian[8] = 0;
@@ -120,5 +147,60 @@ Goblin.FrictionConstraint.prototype.update = (function(){
 
 		this.rows[0] = row_1;
 		this.rows[1] = row_2;
+
+		if ( this.rows.length > 2 ) {
+			this.updateRollingRows( u1, u2 );
+		}
 	};
-})();
\ No newline at end of file
+})();
+
+/**
+ * Updates the angular rows opposing rolling around the contact's tangents and spinning around its normal
+ *
+ * @method updateRollingRows
+ * @param u1 {Vector3} first contact tangent
+ * @param u2 {Vector3} second contact tangent
+ * @private
+ */
+Goblin.FrictionConstraint.prototype.updateRollingRows = function( u1, u2 ) {
+	var normal_force = this.contact_constraint != null ? Math.max( this.contact_constraint.rows[0].multiplier_cached, 0 ) : 0,
+		rolling_limit = this.contact.rolling_friction * normal_force,
+		spinning_limit = this.contact.spinning_friction * normal_force;
+
+	this._updateAngularRow( this.rows[2], this.contact.contact_normal, spinning_limit );
+	this._updateAngularRow( this.rows[3], u1, rolling_limit );
+	this._updateAngularRow( this.rows[4], u2, rolling_limit );
+};
+
+/**
+ * Configures `row` to oppose the objects' relative rotation around `axis` with a torque of at most `limit`
+ *
+ * @method _updateAngularRow
+ * @param row {ConstraintRow}
+ * @param axis {Vector3} world space axis
+ * @param limit {Number}
+ * @private
+ */
+Goblin.FrictionConstraint.prototype._updateAngularRow = function( row, axis, limit ) {
+	row.jacobian[0] = row.jacobian[1] = row.jacobian[2] = 0;
+	if ( this.object_a == null || ( this.object_a._mass === Infinity && this.object_a.is_kinematic !== true ) ) {
+		row.jacobian[3] = row.jacobian[4] = row.jacobian[5] = 0;
+	} else {
+		row.jacobian[3] = -axis.x;
+		row.jacobian[4] = -axis.y;
+		row.jacobian[5] = -axis.z;
+	}
+
+	row.jacobian[6] = row.jacobian[7] = row.jacobian[8] = 0;
+	if ( this.object_b == null || ( this.object_b._mass === Infinity && this.object_b.is_kinematic !== true ) ) {
+		row.jacobian[9] = row.jacobian[10] = row.jacobian[11] = 0;
+	} else {
+		row.jacobian[9] = axis.x;
+		row.jacobian[10] = axis.y;
+		row.jacobian[11] = axis.z;
+	}
+
+	row.lower_limit = -limit;
+	row.upper_limit = limit;
+	row.bias = 0;
+};
\ No newline at end of file
@@ -0,0 +1,518 @@
+/**
+ * Joint between two frames, one attached to each object, whose three linear and three angular axes are each configured
+ * individually. Linear axes measure frame b's position along frame a's X, Y & Z axes; angular axes measure frame b's
+ * rotation relative to frame a as X, Y, Z Euler angles. The Y angle must stay well within +/-PI / 2, so orient the
+ * frames to put any freely rotating axis on X or Z. All axes start locked
+ *
+ * @class Generic6DofConstraint
+ * @param object_a {RigidBody}
+ * @param position_a {Vector3} frame a's origin in object_a's local frame
+ * @param rotation_a {Quaternion} frame a's orientation in object_a's local frame
+ * @param [object_b] {RigidBody} if null, frame b is attached to the world
+ * @param [position_b] {Vector3} frame b's origin in object_b's local frame ( or the world's ), defaults to the point
+ *        matching frame a's current origin
+ * @param [rotation_b] {Quaternion} frame b's orientation in object_b's local frame ( or the world's ), defaults to the
+ *        orientation matching frame a's current orientation
+ * @constructor
+ */
+Goblin.Generic6DofConstraint = function( object_a, position_a, rotation_a, object_b, position_b, rotation_b ) {
+	Goblin.Constraint.call( this );
+
+	this.object_a = object_a;
+	this.position_a = position_a;
+	this.rotation_a = rotation_a;
+
+	this.object_b = object_b || null;
+
+	// unless given, frame b starts where frame a is so all axes begin at 0
+	this.object_a.updateDerived(); // Ensure the body's transform is correct
+	if ( position_b != null ) {
+		this.position_b = position_b;
+	} else {
+		this.position_b = new Goblin.Vector3();
+		this.object_a.transform.transformVector3Into( this.position_a, this.position_b );
+		if ( this.object_b != null ) {
+			this.object_b.updateDerived();
+			this.object_b.transform_inverse.transformVector3( this.position_b );
+		}
+	}
+	if ( rotation_b != null ) {
+		this.rotation_b = rotation_b;
+	} else {
+		this.rotation_b = new Goblin.Quaternion();
+		this.rotation_b.multiplyQuaternions( this.object_a.rotation, this.rotation_a );
+		if ( this.object_b != null ) {
+			_tmp_quat4_1.invertQuaternion( this.object_b.rotation );
+			_tmp_quat4_2.copy( this.rotation_b );
+			this.rotation_b.multiplyQuaternions( _tmp_quat4_1, _tmp_quat4_2 );
+		}
+	}
+
+	this.erp = 0.1;
+
+	/**
+	 * settings for each axis: indices 0, 1, 2 are the linear X, Y, Z axes and 3, 4, 5 the angular X, Y, Z axes
+	 *
+	 * @property axes
+	 * @type {Array<Generic6DofConstraint.Axis>}
+	 */
+	this.axes = [];
+
+	/**
+	 * position along each axis, measured by `updateFrames`; distances for the linear axes and angles, in radians,
+	 * for the angular axes
+	 *
+	 * @property positions
+	 * @type {Array<Number>}
+	 */
+	this.positions = [ 0, 0, 0, 0, 0, 0 ];
+
+	// world space direction each axis' rows act along or about, and the lever arms of the linear rows
+	this.world_axes = [];
+	this.world_point = new Goblin.Vector3();
+	this.lever_a = new Goblin.Vector3();
+	this.lever_b = new Goblin.Vector3();
+
+	for ( var i = 0; i < 6; i++ ) {
+		this.axes.push( new Goblin.Generic6DofConstraint.Axis() );
+		this.world_axes.push( new Goblin.Vector3() );
+	}
+
+	// Create rows
+	// each axis owns three rows: rows 0-5 lock or limit the axes, 6-11 are their motors and 12-17 their springs
+	for ( i = 0; i < 18; i++ ) {
+		this.rows[i] = Goblin.ObjectPool.getObject( 'ConstraintRow' );
+		this.rows[i].lower_limit = 0;
+		this.rows[i].upper_limit = 0;
+		this.rows[i].bias = 0;
+
+		this.rows[i].jacobian[0] = this.rows[i].jacobian[1] = this.rows[i].jacobian[2] =
+			this.rows[i].jacobian[3] = this.rows[i].jacobian[4] = this.rows[i].jacobian[5] =
+			this.rows[i].jacobian[6] = this.rows[i].jacobian[7] = this.rows[i].jacobian[8] =
+			this.rows[i].jacobian[9] = this.rows[i].jacobian[10] = this.rows[i].jacobian[11] = 0;
+	}
+};
+Goblin.Generic6DofConstraint.prototype = Object.create( Goblin.Constraint.prototype );
+
+/**
+ * axis is held at 0
+ *
+ * @property LOCKED
+ * @type {Number}
+ * @static
+ */
+Goblin.Generic6DofConstraint.LOCKED = 0;
+
+/**
+ * axis moves freely
+ *
+ * @property FREE
+ * @type {Number}
+ * @static
+ */
+Goblin.Generic6DofConstraint.FREE = 1;
+
+/**
+ * axis moves freely between its `lower_limit` and `upper_limit`
+ *
+ * @property LIMITED
+ * @type {Number}
+ * @static
+ */
+Goblin.Generic6DofConstraint.LIMITED = 2;
+
+/**
+ * Settings for one of a Generic6DofConstraint's axes. Whether the axis is locked, free or limited is set by `mode`;
+ * a motor and a spring can be enabled on top of any mode, though they have no effect on locked axes
+ *
+ * @class Generic6DofConstraint.Axis
+ * @constructor
+ */
+Goblin.Generic6DofConstraint.Axis = function() {
+	/**
+	 * one of Generic6DofConstraint.LOCKED, FREE or LIMITED
+	 *
+	 * @property mode
+	 * @type {Number}
+	 * @default Generic6DofConstraint.LOCKED
+	 */
+	this.mode = Goblin.Generic6DofConstraint.LOCKED;
+
+	/**
+	 * lowest position allowed in LIMITED mode
+	 *
+	 * @property lower_limit
+	 * @type {Number}
+	 * @default 0
+	 */
+	this.lower_limit = 0;
+
+	/**
+	 * highest position allowed in LIMITED mode
+	 *
+	 * @property upper_limit
+	 * @type {Number}
+	 * @default 0
+	 */
+	this.upper_limit = 0;
+
+	/**
+	 * whether the motor drives the axis
+	 *
+	 * @property motor_enabled
+	 * @type {Boolean}
+	 * @default false
+	 */
+	this.motor_enabled = false;
+
+	/**
+	 * velocity the motor drives the axis at
+	 *
+	 * @property motor_target_velocity
+	 * @type {Number}
+	 * @default 0
+	 */
+	this.motor_target_velocity = 0;
+
+	/**
+	 * maximum force, or torque for angular axes, the motor can apply
+	 *
+	 * @property motor_max_force
+	 * @type {Number}
+	 * @default 0
+	 */
+	this.motor_max_force = 0;
+
+	/**
+	 * whether a spring pulls the axis towards `spring_rest_position`
+	 *
+	 * @property spring_enabled
+	 * @type {Boolean}
+	 * @default false
+	 */
+	this.spring_enabled = false;
+
+	/**
+	 * position the spring is relaxed at
+	 *
+	 * @property spring_rest_position
+	 * @type {Number}
+	 * @default 0
+	 */
+	this.spring_rest_position = 0;
+
+	/**
+	 * spring force applied per unit of distance from the rest position
+	 *
+	 * @property spring_stiffness
+	 * @type {Number}
+	 * @default 0
+	 */
+	this.spring_stiffness = 0;
+
+	/**
+	 * spring force applied against each unit of velocity along the axis
+	 *
+	 * @property spring_damping
+	 * @type {Number}
+	 * @default 0
+	 */
+	this.spring_damping = 0;
+};
+
+/**
+ * Holds an axis at 0
+ *
+ * @method setLocked
+ * @param index {Number} axis index, 0-2 for the linear axes and 3-5 for the angular axes
+ */
+Goblin.Generic6DofConstraint.prototype.setLocked = function( index ) {
+	this.axes[index].mode = Goblin.Generic6DofConstraint.LOCKED;
+};
+
+/**
+ * Lets an axis move freely
+ *
+ * @method setFree
+ * @param index {Number} axis index, 0-2 for the linear axes and 3-5 for the angular axes
+ */
+Goblin.Generic6DofConstraint.prototype.setFree = function( index ) {
+	this.axes[index].mode = Goblin.Generic6DofConstraint.FREE;
+};
+
+/**
+ * Lets an axis move between two limits
+ *
+ * @method setLimit
+ * @param index {Number} axis index, 0-2 for the linear axes and 3-5 for the angular axes
+ * @param lower {Number} lowest position
+ * @param upper {Number} highest position
+ */
+Goblin.Generic6DofConstraint.prototype.setLimit = function( index, lower, upper ) {
+	var axis = this.axes[index];
+	axis.mode = Goblin.Generic6DofConstraint.LIMITED;
+	axis.lower_limit = lower;
+	axis.upper_limit = upper;
+};
+
+/**
+ * Drives an axis at a constant velocity, pass a `max_force` of 0 to disable the motor
+ *
+ * @method setMotor
+ * @param index {Number} axis index, 0-2 for the linear axes and 3-5 for the angular axes
+ * @param target_velocity {Number} linear or angular velocity to drive the axis at
+ * @param max_force {Number} maximum force, or torque, the motor can apply
+ */
+Goblin.Generic6DofConstraint.prototype.setMotor = function( index, target_velocity, max_force ) {
+	var axis = this.axes[index];
+	axis.motor_enabled = max_force > 0;
+	axis.motor_target_velocity = target_velocity;
+	axis.motor_max_force = max_force;
+	this._wakeObjects();
+};
+
+/**
+ * Pulls an axis towards a rest position, pass a `stiffness` of 0 to disable the spring. Damping is applied explicitly,
+ * so `damping * time_step / mass` should stay well below 1
+ *
+ * @method setSpring
+ * @param index {Number} axis index, 0-2 for the linear axes and 3-5 for the angular axes
+ * @param rest_position {Number} position the spring is relaxed at
+ * @param stiffness {Number} force, or torque, applied per unit of distance from `rest_position`
+ * @param [damping=0] {Number} force, or torque, applied against each unit of velocity
+ */
+Goblin.Generic6DofConstraint.prototype.setSpring = function( index, rest_position, stiffness, damping ) {
+	var axis = this.axes[index];
+	axis.spring_enabled = stiffness > 0;
+	axis.spring_rest_position = rest_position;
+	axis.spring_stiffness = stiffness;
+	axis.spring_damping = damping || 0;
+	this._wakeObjects();
+};
+
+/**
+ * Returns an axis' current position, a distance for the linear axes and an angle in radians for the angular axes
+ *
+ * @method getPosition
+ * @param index {Number} axis index, 0-2 for the linear axes and 3-5 for the angular axes
+ * @return {Number}
+ */
+Goblin.Generic6DofConstraint.prototype.getPosition = function( index ) {
+	this.updateFrames();
+	return this.positions[index];
+};
+
+/**
+ * Wakes the constrained objects so a newly enabled motor or spring can move them
+ *
+ * @method _wakeObjects
+ * @private
+ */
+Goblin.Generic6DofConstraint.prototype._wakeObjects = function() {
+	this.object_a.wake();
+	if ( this.object_b != null ) {
+		this.object_b.wake();
+	}
+};
+
+/**
+ * Calculates both frames in world space, updating `positions` and the world space axes the rows act along
+ *
+ * @method updateFrames
+ */
+Goblin.Generic6DofConstraint.prototype.updateFrames = (function(){
+	var frame_a = new Goblin.Quaternion(),
+		frame_b = new Goblin.Quaternion(),
+		point_b = new Goblin.Vector3(),
+		offset = new Goblin.Vector3(),
+		a_x = new Goblin.Vector3(),
+		a_y = new Goblin.Vector3(),
+		a_z = new Goblin.Vector3(),
+		b_x = new Goblin.Vector3(),
+		b_y = new Goblin.Vector3(),
+		b_z = new Goblin.Vector3(),
+		unit_x = new Goblin.Vector3( 1, 0, 0 ),
+		unit_y = new Goblin.Vector3( 0, 1, 0 ),
+		unit_z = new Goblin.Vector3( 0, 0, 1 );
+
+	return function() {
+		frame_a.multiplyQuaternions( this.object_a.rotation, this.rotation_a );
+		this.object_a.transform.transformVector3Into( this.position_a, this.world_point );
+		if ( this.object_b != null ) {
+			frame_b.multiplyQuaternions( this.object_b.rotation, this.rotation_b );
+			this.object_b.transform.transformVector3Into( this.position_b, point_b );
+		} else {
+			frame_b.copy( this.rotation_b );
+			point_b.copy( this.position_b );
+		}
+
+		frame_a.transformVector3Into( unit_x, a_x );
+		frame_a.transformVector3Into( unit_y, a_y );
+		frame_a.transformVector3Into( unit_z, a_z );
+		frame_b.transformVector3Into( unit_x, b_x );
+		frame_b.transformVector3Into( unit_y, b_y );
+		frame_b.transformVector3Into( unit_z, b_z );
+
+		// linear axes are frame a's axes, positions are frame b's offset along them
+		offset.subtractVectors( point_b, this.world_point );
+		this.world_axes[0].copy( a_x );
+		this.world_axes[1].copy( a_y );
+		this.world_axes[2].copy( a_z );
+		this.positions[0] = offset.dot( a_x );
+		this.positions[1] = offset.dot( a_y );
+		this.positions[2] = offset.dot( a_z );
+
+		// linear rows act at frame b's origin
+		this.lever_a.subtractVectors( point_b, this.object_a.position );
+		if ( this.object_b != null ) {
+			this.lever_b.subtractVectors( point_b, this.object_b.position );
+		}
+
+		// frame b's rotation relative to frame a is Rx * Ry * Rz, element [i][j] is a's i axis dotted with b's j axis
+		this.positions[3] = Math.atan2( -a_y.dot( b_z ), a_z.dot( b_z ) );
+		this.positions[4] = Math.asin( Math.max( -1, Math.min( a_x.dot( b_z ), 1 ) ) );
+		this.positions[5] = Math.atan2( -a_x.dot( b_y ), a_x.dot( b_x ) );
+
+		// the Euler angles change around frame a's X, frame b's Z, and the axis orthogonal to both; each angular row
+		// acts along the direction which is orthogonal to the other two axes so it only affects its own angle
+		this.world_axes[4].crossVectors( b_z, a_x );
+		this.world_axes[4].normalize();
+		this.world_axes[3].crossVectors( this.world_axes[4], b_z );
+		this.world_axes[3].normalize();
+		this.world_axes[5].crossVectors( a_x, this.world_axes[4] );
+		this.world_axes[5].normalize();
+	};
+})();
+
+/**
+ * Updates every axis' rows for the coming step
+ *
+ * @method update
+ * @param time_delta {Number}
+ */
+Goblin.Generic6DofConstraint.prototype.update = (function(){
+	var cross = new Goblin.Vector3();
+
+	return function( time_delta ) {
+		var axis, world_axis, row, velocity, i, j;
+
+		this.updateFrames();
+
+		for ( i = 0; i < 6; i++ ) {
+			axis = this.axes[i];
+			world_axis = this.world_axes[i];
+
+			// all three of the axis' rows share a jacobian
+			for ( j = i; j < 18; j += 6 ) {
+				row = this.rows[j];
+				if ( i < 3 ) {
+					row.jacobian[0] = -world_axis.x;
+					row.jacobian[1] = -world_axis.y;
+					row.jacobian[2] = -world_axis.z;
+					cross.crossVectors( this.lever_a, world_axis );
+					row.jacobian[3] = -cross.x;
+					row.jacobian[4] = -cross.y;
+					row.jacobian[5] = -cross.z;
+					if ( this.object_b != null ) {
+						row.jacobian[6] = world_axis.x;
+						row.jacobian[7] = world_axis.y;
+						row.jacobian[8] = world_axis.z;
+						cross.crossVectors( this.lever_b, world_axis );
+						row.jacobian[9] = cross.x;
+						row.jacobian[10] = cross.y;
+						row.jacobian[11] = cross.z;
+					}
+				} else {
+					row.jacobian[3] = -world_axis.x;
+					row.jacobian[4] = -world_axis.y;
+					row.jacobian[5] = -world_axis.z;
+					if ( this.object_b != null ) {
+						row.jacobian[9] = world_axis.x;
+						row.jacobian[10] = world_axis.y;
+						row.jacobian[11] = world_axis.z;
+					}
+				}
+			}
+
+			this._updatePositionRow( this.rows[i], axis, this.positions[i], time_delta );
+
+			// motor
+			row = this.rows[i + 6];
+			if ( axis.motor_enabled === true && axis.mode !== Goblin.Generic6DofConstraint.LOCKED ) {
+				row.lower_limit = -axis.motor_max_force;
+				row.upper_limit = axis.motor_max_force;
+				row.bias = axis.motor_target_velocity;
+			} else {
+				row.lower_limit = row.upper_limit = row.bias = 0;
+			}
+
+			// spring, its force is known up front so the row's limits pin the multiplier to it
+			row = this.rows[i + 12];
+			if ( axis.spring_enabled === true && axis.mode !== Goblin.Generic6DofConstraint.LOCKED ) {
+				velocity = this._getRowVelocity( row );
+				row.lower_limit = row.upper_limit =
+					-axis.spring_stiffness * ( this.positions[i] - axis.spring_rest_position ) - axis.spring_damping * velocity;
+			} else {
+				row.lower_limit = row.upper_limit = 0;
+			}
+			row.bias = 0;
+		}
+	};
+})();
+
+/**
+ * Configures `row` to lock or limit `axis`
+ *
+ * @method _updatePositionRow
+ * @param row {ConstraintRow}
+ * @param axis {Generic6DofConstraint.Axis}
+ * @param position {Number} the axis' current position
+ * @param time_delta {Number}
+ * @private
+ */
+Goblin.Generic6DofConstraint.prototype._updatePositionRow = function( row, axis, position, time_delta ) {
+	if ( axis.mode === Goblin.Generic6DofConstraint.LOCKED ) {
+		row.lower_limit = -Infinity;
+		row.upper_limit = Infinity;
+		row.bias = -position * this.erp / time_delta;
+	} else if ( axis.mode === Goblin.Generic6DofConstraint.LIMITED && position <= axis.lower_limit ) {
+		row.lower_limit = 0;
+		row.upper_limit = Infinity;
+		row.bias = ( axis.lower_limit - position ) * this.erp / time_delta;
+	} else if ( axis.mode === Goblin.Generic6DofConstraint.LIMITED && position >= axis.upper_limit ) {
+		row.lower_limit = -Infinity;
+		row.upper_limit = 0;
+		row.bias = ( axis.upper_limit - position ) * this.erp / time_delta;
+	} else {
+		// free, or inside its limits
+		row.lower_limit = row.upper_limit = row.bias = 0;
+	}
+};
+
+/**
+ * Returns the objects' current relative velocity along `row`'s jacobian
+ *
+ * @method _getRowVelocity
+ * @param row {ConstraintRow}
+ * @return {Number}
+ * @private
+ */
+Goblin.Generic6DofConstraint.prototype._getRowVelocity = function( row ) {
+	var velocity = row.jacobian[0] * this.object_a.linear_velocity.x +
+		row.jacobian[1] * this.object_a.linear_velocity.y +
+		row.jacobian[2] * this.object_a.linear_velocity.z +
+		row.jacobian[3] * this.object_a.angular_velocity.x +
+		row.jacobian[4] * this.object_a.angular_velocity.y +
+		row.jacobian[5] * this.object_a.angular_velocity.z;
+
+	if ( this.object_b != null ) {
+		velocity += row.jacobian[6] * this.object_b.linear_velocity.x +
+			row.jacobian[7] * this.object_b.linear_velocity.y +
+			row.jacobian[8] * this.object_b.linear_velocity.z +
+			row.jacobian[9] * this.object_b.angular_velocity.x +
+			row.jacobian[10] * this.object_b.angular_velocity.y +
+			row.jacobian[11] * this.object_b.angular_velocity.z;
+	}
+
+	return velocity;
+};
@@ -22,10 +22,107 @@ Goblin.HingeConstraint = function( object_a, hinge_a, point_a, object_b, point_b
 
 	this.erp = 0.1;
 
+	// vectors orthogonal to the hinge in each object's frame ( or the world's when there is no object_b ),
+	// the angle between them is the hinge's angle which starts at 0
+	this.reference_a = new Goblin.Vector3();
+	this.reference_b = new Goblin.Vector3();
+	_tmp_vec3_1.copy( this.hinge_a );
+	_tmp_vec3_1.normalize();
+	_tmp_vec3_1.findOrthogonal( this.reference_a, _tmp_vec3_2 );
+	this.reference_a.normalize();
+	this.object_a.rotation.transformVector3Into( this.reference_a, this.reference_b );
+	if ( this.object_b != null ) {
+		_tmp_quat4_1.invertQuaternion( this.object_b.rotation );
+		_tmp_quat4_1.transformVector3( this.reference_b );
+	}
+
+	/**
+	 * lowest angle, in radians, the hinge may rotate to
+	 *
+	 * @property limit_lower
+	 * @type {Number}
+	 * @default -Infinity
+	 */
+	this.limit_lower = -Infinity;
+
+	/**
+	 * highest angle, in radians, the hinge may rotate to
+	 *
+	 * @property limit_upper
+	 * @type {Number}
+	 * @default Infinity
+	 */
+	this.limit_upper = Infinity;
+
+	/**
+	 * how much of the hinge's angular velocity is reversed when it hits a limit
+	 *
+	 * @property limit_restitution
+	 * @type {Number}
+	 * @default 0
+	 */
+	this.limit_restitution = 0;
+
+	/**
+	 * fraction of `erp` used to correct a limit violation, lower values give softer limits
+	 *
+	 * @property limit_softness
+	 * @type {Number}
+	 * @default 1
+	 */
+	this.limit_softness = 1;
+
+	/**
+	 * whether the motor drives the hinge
+	 *
+	 * @property motor_enabled
+	 * @type {Boolean}
+	 * @default false
+	 */
+	this.motor_enabled = false;
+
+	/**
+	 * angular velocity, in radians per second, the motor drives the hinge at; in servo mode this is the fastest
+	 * the hinge is driven towards `servo_target`
+	 *
+	 * @property motor_target_velocity
+	 * @type {Number}
+	 * @default 0
+	 */
+	this.motor_target_velocity = 0;
+
+	/**
+	 * maximum torque the motor can apply
+	 *
+	 * @property motor_max_torque
+	 * @type {Number}
+	 * @default 0
+	 */
+	this.motor_max_torque = 0;
+
+	/**
+	 * whether the motor drives the hinge to `servo_target` instead of spinning at `motor_target_velocity`
+	 *
+	 * @property servo_enabled
+	 * @type {Boolean}
+	 * @default false
+	 */
+	this.servo_enabled = false;
+
+	/**
+	 * angle, in radians, the motor drives the hinge to in servo mode
+	 *
+	 * @property servo_target
+	 * @type {Number}
+	 * @default 0
+	 */
+	this.servo_target = 0;
+
 	// Create rows
 	// rows 0,1,2 are the same as point constraint and constrain the objects' positions
 	// rows 3,4 introduce the rotational constraints which constrains angular velocity orthogonal to the hinge axis
-	for ( var i = 0; i < 5; i++ ) {
+	// row 5 enforces the angle limits and row 6 is the motor, both act about the hinge axis
+	for ( var i = 0; i < 7; i++ ) {
 		this.rows[i] = Goblin.ObjectPool.getObject( 'ConstraintRow' );
 		this.rows[i].lower_limit = -Infinity;
 		this.rows[i].upper_limit = Infinity;
@@ -139,5 +236,180 @@ Goblin.HingeConstraint.prototype.update = (function(){
 		} else {
 			this.rows[3].bias = this.rows[4].bias = 0;
 		}
+
+		// 5,6 act about the hinge axis, driving object_a's rotation relative to object_b
+		this.rows[5].jacobian[3] = this.rows[6].jacobian[3] = world_axis.x;
+		this.rows[5].jacobian[4] = this.rows[6].jacobian[4] = world_axis.y;
+		this.rows[5].jacobian[5] = this.rows[6].jacobian[5] = world_axis.z;
+		if ( this.object_b != null ) {
+			this.rows[5].jacobian[9] = this.rows[6].jacobian[9] = -world_axis.x;
+			this.rows[5].jacobian[10] = this.rows[6].jacobian[10] = -world_axis.y;
+			this.rows[5].jacobian[11] = this.rows[6].jacobian[11] = -world_axis.z;
+		}
+
+		this._updateLimit( time_delta, world_axis );
+		this._updateMotor( time_delta );
+	};
+})( );
+
+/**
+ * Configures row 5 to keep the hinge's angle between `limit_lower` and `limit_upper`
+ *
+ * @method _updateLimit
+ * @param time_delta {Number}
+ * @param world_axis {Vector3} hinge axis in world coordinates
+ * @private
+ */
+Goblin.HingeConstraint.prototype._updateLimit = function( time_delta, world_axis ) {
+	var row = this.rows[5],
+		angle = this.getAngle(),
+		velocity, correction;
+
+	if ( angle > this.limit_lower && angle < this.limit_upper ) {
+		// limit isn't reached, the row can't apply any torque
+		row.lower_limit = row.upper_limit = row.bias = 0;
+		return;
+	}
+
+	// relative angular velocity about the hinge, positive when the angle is increasing
+	velocity = world_axis.dot( this.object_a.angular_velocity );
+	if ( this.object_b != null ) {
+		velocity -= world_axis.dot( this.object_b.angular_velocity );
+	}
+
+	if ( angle <= this.limit_lower ) {
+		// push the angle back up, bouncing off the limit if the hinge is moving into it
+		correction = ( this.limit_lower - angle ) * this.erp * this.limit_softness / time_delta;
+		row.lower_limit = 0;
+		row.upper_limit = Infinity;
+		row.bias = Math.max( correction, -velocity * this.limit_restitution );
+	} else {
+		correction = ( this.limit_upper - angle ) * this.erp * this.limit_softness / time_delta;
+		row.lower_limit = -Infinity;
+		row.upper_limit = 0;
+		row.bias = Math.min( correction, -velocity * this.limit_restitution );
+	}
+};
+
+/**
+ * Configures row 6 to drive the hinge, either at `motor_target_velocity` or towards `servo_target`
+ *
+ * @method _updateMotor
+ * @param time_delta {Number}
+ * @private
+ */
+Goblin.HingeConstraint.prototype._updateMotor = function( time_delta ) {
+	var row = this.rows[6],
+		max_velocity, difference;
+
+	if ( this.motor_enabled === false ) {
+		row.lower_limit = row.upper_limit = row.bias = 0;
+		return;
+	}
+
+	row.lower_limit = -this.motor_max_torque;
+	row.upper_limit = this.motor_max_torque;
+
+	if ( this.servo_enabled === true ) {
+		// shortest way around to the target angle, covered in a single step if the motor is fast enough
+		difference = this.servo_target - this.getAngle();
+		difference -= Math.round( difference / ( Math.PI * 2 ) ) * Math.PI * 2;
+		max_velocity = Math.abs( this.motor_target_velocity );
+		row.bias = Math.max( -max_velocity, Math.min( difference / time_delta, max_velocity ) );
+	} else {
+		row.bias = this.motor_target_velocity;
+	}
+};
+
+/**
+ * Limits the hinge's angle to the range [`lower`, `upper`]
+ *
+ * @method setLimits
+ * @param lower {Number} lowest angle, in radians, between -PI and 0
+ * @param upper {Number} highest angle, in radians, between 0 and PI
+ */
+Goblin.HingeConstraint.prototype.setLimits = function( lower, upper ) {
+	this.limit_lower = lower;
+	this.limit_upper = upper;
+};
+
+/**
+ * Drives the hinge at a constant angular velocity
+ *
+ * @method enableMotor
+ * @param target_velocity {Number} angular velocity, in radians per second
+ * @param max_torque {Number} maximum torque the motor can apply
+ */
+Goblin.HingeConstraint.prototype.enableMotor = function( target_velocity, max_torque ) {
+	this.motor_enabled = true;
+	this.servo_enabled = false;
+	this.motor_target_velocity = target_velocity;
+	this.motor_max_torque = max_torque;
+	this._wakeObjects();
+};
+
+/**
+ * Drives the hinge towards, and holds it at, a target angle
+ *
+ * @method enableServo
+ * @param target_angle {Number} angle, in radians, to drive the hinge to
+ * @param max_velocity {Number} fastest angular velocity, in radians per second, the hinge is driven at
+ * @param max_torque {Number} maximum torque the motor can apply
+ */
+Goblin.HingeConstraint.prototype.enableServo = function( target_angle, max_velocity, max_torque ) {
+	this.motor_enabled = true;
+	this.servo_enabled = true;
+	this.servo_target = target_angle;
+	this.motor_target_velocity = max_velocity;
+	this.motor_max_torque = max_torque;
+	this._wakeObjects();
+};
+
+/**
+ * Stops the motor from driving the hinge
+ *
+ * @method disableMotor
+ */
+Goblin.HingeConstraint.prototype.disableMotor = function() {
+	this.motor_enabled = false;
+	this.servo_enabled = false;
+};
+
+/**
+ * Wakes the constrained objects so a newly enabled motor can move them
+ *
+ * @method _wakeObjects
+ * @private
+ */
+Goblin.HingeConstraint.prototype._wakeObjects = function() {
+	this.object_a.wake();
+	if ( this.object_b != null ) {
+		this.object_b.wake();
+	}
+};
+
+/**
+ * Returns the hinge's current angle, the rotation of object_a about the hinge axis relative to object_b ( or the world )
+ *
+ * @method getAngle
+ * @return {Number} angle in radians between -PI and PI, 0 being the angle at which the constraint was created
+ */
+Goblin.HingeConstraint.prototype.getAngle = (function(){
+	var axis = new Goblin.Vector3(),
+		reference_a = new Goblin.Vector3(),
+		reference_b = new Goblin.Vector3(),
+		cross = new Goblin.Vector3();
+
+	return function() {
+		this.object_a.rotation.transformVector3Into( this.hinge_a, axis );
+		this.object_a.rotation.transformVector3Into( this.reference_a, reference_a );
+		if ( this.object_b != null ) {
+			this.object_b.rotation.transformVector3Into( this.reference_b, reference_b );
+		} else {
+			reference_b.copy( this.reference_b );
+		}
+
+		cross.crossVectors( reference_b, reference_a );
+		return Math.atan2( cross.dot( axis ) / axis.length(), reference_a.dot( reference_b ) );
 	};
-})( );
\ No newline at end of file
+})();
\ No newline at end of file
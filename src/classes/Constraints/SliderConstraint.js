@@ -19,9 +19,91 @@ Goblin.SliderConstraint = function( object_a, axis, object_b ) {
 
 	this.erp = 0.1;
 
+	/**
+	 * lowest position, along `axis`, object_b may slide to relative to object_a
+	 *
+	 * @property limit_lower
+	 * @type {Number}
+	 * @default -Infinity
+	 */
+	this.limit_lower = -Infinity;
+
+	/**
+	 * highest position, along `axis`, object_b may slide to relative to object_a
+	 *
+	 * @property limit_upper
+	 * @type {Number}
+	 * @default Infinity
+	 */
+	this.limit_upper = Infinity;
+
+	/**
+	 * whether the motor drives the slider
+	 *
+	 * @property motor_enabled
+	 * @type {Boolean}
+	 * @default false
+	 */
+	this.motor_enabled = false;
+
+	/**
+	 * velocity along `axis` the motor drives object_b at, relative to object_a
+	 *
+	 * @property motor_target_velocity
+	 * @type {Number}
+	 * @default 0
+	 */
+	this.motor_target_velocity = 0;
+
+	/**
+	 * maximum force the motor can apply
+	 *
+	 * @property motor_max_force
+	 * @type {Number}
+	 * @default 0
+	 */
+	this.motor_max_force = 0;
+
+	/**
+	 * whether a spring pulls the slider towards `spring_rest_position`
+	 *
+	 * @property spring_enabled
+	 * @type {Boolean}
+	 * @default false
+	 */
+	this.spring_enabled = false;
+
+	/**
+	 * position along `axis` the spring is relaxed at
+	 *
+	 * @property spring_rest_position
+	 * @type {Number}
+	 * @default 0
+	 */
+	this.spring_rest_position = 0;
+
+	/**
+	 * spring force applied per unit of distance from the rest position
+	 *
+	 * @property spring_stiffness
+	 * @type {Number}
+	 * @default 0
+	 */
+	this.spring_stiffness = 0;
+
+	/**
+	 * spring force applied against each unit of sliding velocity
+	 *
+	 * @property spring_damping
+	 * @type {Number}
+	 * @default 0
+	 */
+	this.spring_damping = 0;
+
 	// First two rows constrain the linear velocities orthogonal to `axis`
 	// Rows three through five constrain angular velocities
-	for ( var i = 0; i < 5; i++ ) {
+	// Rows six through eight act along `axis`: the position limits, the motor, and the spring
+	for ( var i = 0; i < 8; i++ ) {
 		this.rows[i] = Goblin.ObjectPool.getObject( 'ConstraintRow' );
 		this.rows[i].lower_limit = -Infinity;
 		this.rows[i].upper_limit = Infinity;
@@ -49,9 +131,102 @@ Goblin.SliderConstraint.prototype.update = (function(){
 
 		this._updateLinearConstraints( time_delta, n1, n2 );
 		this._updateAngularConstraints( time_delta, n1, n2 );
+		this._updateAxialConstraints( time_delta, _axis );
+	};
+})();
+
+/**
+ * Returns how far object_b has slid along `axis`, relative to object_a, since the constraint was created
+ *
+ * @method getPosition
+ * @return {Number}
+ */
+Goblin.SliderConstraint.prototype.getPosition = (function(){
+	var _axis = new Goblin.Vector3(),
+		offset = new Goblin.Vector3();
+
+	return function() {
+		this.object_a.rotation.transformVector3Into( this.axis, _axis );
+		this.object_a.rotation.transformVector3Into( this.position_error, offset );
+		offset.subtractVectors( this.object_b.position, offset );
+		offset.subtract( this.object_a.position );
+
+		return offset.dot( _axis ) / _axis.length();
 	};
 })();
 
+/**
+ * Limits object_b's position along `axis` to the range [`lower`, `upper`]
+ *
+ * @method setLimits
+ * @param lower {Number} lowest position
+ * @param upper {Number} highest position
+ */
+Goblin.SliderConstraint.prototype.setLimits = function( lower, upper ) {
+	this.limit_lower = lower;
+	this.limit_upper = upper;
+};
+
+/**
+ * Drives object_b along `axis` at a constant velocity
+ *
+ * @method enableMotor
+ * @param target_velocity {Number} velocity along `axis`, relative to object_a
+ * @param max_force {Number} maximum force the motor can apply
+ */
+Goblin.SliderConstraint.prototype.enableMotor = function( target_velocity, max_force ) {
+	this.motor_enabled = true;
+	this.motor_target_velocity = target_velocity;
+	this.motor_max_force = max_force;
+	this._wakeObjects();
+};
+
+/**
+ * Stops the motor from driving the slider
+ *
+ * @method disableMotor
+ */
+Goblin.SliderConstraint.prototype.disableMotor = function() {
+	this.motor_enabled = false;
+};
+
+/**
+ * Pulls object_b towards a rest position along `axis`. Damping is applied explicitly, so
+ * `damping * time_step / mass` should stay well below 1
+ *
+ * @method enableSpring
+ * @param rest_position {Number} position the spring is relaxed at
+ * @param stiffness {Number} force applied per unit of distance from `rest_position`
+ * @param [damping=0] {Number} force applied against each unit of sliding velocity
+ */
+Goblin.SliderConstraint.prototype.enableSpring = function( rest_position, stiffness, damping ) {
+	this.spring_enabled = true;
+	this.spring_rest_position = rest_position;
+	this.spring_stiffness = stiffness;
+	this.spring_damping = damping || 0;
+	this._wakeObjects();
+};
+
+/**
+ * Removes the slider's spring
+ *
+ * @method disableSpring
+ */
+Goblin.SliderConstraint.prototype.disableSpring = function() {
+	this.spring_enabled = false;
+};
+
+/**
+ * Wakes the constrained objects so a newly enabled motor or spring can move them
+ *
+ * @method _wakeObjects
+ * @private
+ */
+Goblin.SliderConstraint.prototype._wakeObjects = function() {
+	this.object_a.wake();
+	this.object_b.wake();
+};
+
 Goblin.SliderConstraint.prototype._updateLinearConstraints = function( time_delta, n1, n2 ) {
 	var c = new Goblin.Vector3();
 	c.subtractVectors( this.object_b.position, this.object_a.position );
@@ -120,4 +295,64 @@ Goblin.SliderConstraint.prototype._updateAngularConstraints = function( time_del
 	//this.rows[2].bias = error[0];
 	//this.rows[3].bias = error[1];
 	//this.rows[4].bias = error[2];
-};
\ No newline at end of file
+};
+
+/**
+ * Configures the rows acting along `axis`: row 5 enforces the position limits, row 6 is the motor,
+ * and row 7 applies the spring's force
+ *
+ * @method _updateAxialConstraints
+ * @param time_delta {Number}
+ * @param axis {Vector3} slider axis in world coordinates
+ * @private
+ */
+Goblin.SliderConstraint.prototype._updateAxialConstraints = function( time_delta, axis ) {
+	var length = axis.length(),
+		position = this.getPosition(),
+		velocity, force, row, i;
+
+	for ( i = 5; i < 8; i++ ) {
+		row = this.rows[i];
+		row.jacobian[0] = -axis.x / length;
+		row.jacobian[1] = -axis.y / length;
+		row.jacobian[2] = -axis.z / length;
+		row.jacobian[6] = axis.x / length;
+		row.jacobian[7] = axis.y / length;
+		row.jacobian[8] = axis.z / length;
+	}
+
+	// limits
+	row = this.rows[5];
+	if ( position <= this.limit_lower ) {
+		row.lower_limit = 0;
+		row.upper_limit = Infinity;
+		row.bias = ( this.limit_lower - position ) * this.erp / time_delta;
+	} else if ( position >= this.limit_upper ) {
+		row.lower_limit = -Infinity;
+		row.upper_limit = 0;
+		row.bias = ( this.limit_upper - position ) * this.erp / time_delta;
+	} else {
+		row.lower_limit = row.upper_limit = row.bias = 0;
+	}
+
+	// motor
+	row = this.rows[6];
+	if ( this.motor_enabled === true ) {
+		row.lower_limit = -this.motor_max_force;
+		row.upper_limit = this.motor_max_force;
+		row.bias = this.motor_target_velocity;
+	} else {
+		row.lower_limit = row.upper_limit = row.bias = 0;
+	}
+
+	// spring, its force is known up front so the row's limits pin the multiplier to it
+	row = this.rows[7];
+	if ( this.spring_enabled === true ) {
+		velocity = ( this.object_b.linear_velocity.dot( axis ) - this.object_a.linear_velocity.dot( axis ) ) / length;
+		force = -this.spring_stiffness * ( position - this.spring_rest_position ) - this.spring_damping * velocity;
+		row.lower_limit = row.upper_limit = force;
+	} else {
+		row.lower_limit = row.upper_limit = 0;
+	}
+	row.bias = 0;
+};
@@ -0,0 +1,98 @@
+/**
+ * Damped spring between an anchor on object_a and an anchor on object_b, or a point in the world. Unlike a spring
+ * applied as a force the spring is solved alongside the other constraints as a soft distance constraint, tuned by
+ * its natural frequency and damping ratio, which keeps it stable however stiff it is
+ *
+ * @class SpringConstraint
+ * @param object_a {RigidBody}
+ * @param point_a {Vector3} anchor in object_a's local frame
+ * @param [object_b] {RigidBody} if null, object_a is anchored to the world at `point_b`
+ * @param point_b {Vector3} anchor in object_b's local frame, or in world space when there is no object_b
+ * @param [frequency=2] {Number} natural frequency of the spring, in hertz
+ * @param [damping_ratio=0.5] {Number} 0 for no damping, 1 to return to rest as quickly as possible without oscillating
+ * @constructor
+ */
+Goblin.SpringConstraint = function( object_a, point_a, object_b, point_b, frequency, damping_ratio ) {
+	Goblin.Constraint.call( this );
+
+	this.object_a = object_a;
+	this.point_a = point_a;
+
+	this.object_b = object_b || null;
+	this.point_b = point_b;
+
+	// world space direction from anchor a to anchor b, kept from the last step in case the anchors meet
+	this.normal = new Goblin.Vector3( 0, 1, 0 );
+
+	/**
+	 * current distance between the anchors, updated each step
+	 *
+	 * @property distance
+	 * @type {Number}
+	 */
+	this.distance = this.measureDistance();
+
+	/**
+	 * distance between the anchors at which the spring is relaxed
+	 *
+	 * @property rest_length
+	 * @type {Number}
+	 * @default the anchors' initial distance
+	 */
+	this.rest_length = this.distance;
+
+	/**
+	 * natural frequency of the spring, in hertz; higher values make a stiffer spring
+	 *
+	 * @property frequency
+	 * @type {Number}
+	 * @default 2
+	 */
+	this.frequency = frequency != null ? frequency : 2;
+
+	/**
+	 * how quickly oscillations die out, 0 for none and 1 for critical damping
+	 *
+	 * @property damping_ratio
+	 * @type {Number}
+	 * @default 0.5
+	 */
+	this.damping_ratio = damping_ratio != null ? damping_ratio : 0.5;
+
+	// Create rows
+	this.rows[0] = Goblin.ObjectPool.getObject( 'ConstraintRow' );
+	this.rows[0].lower_limit = -Infinity;
+	this.rows[0].upper_limit = Infinity;
+	this.rows[0].bias = 0;
+	this.rows[0].jacobian[6] = this.rows[0].jacobian[7] = this.rows[0].jacobian[8] =
+		this.rows[0].jacobian[9] = this.rows[0].jacobian[10] = this.rows[0].jacobian[11] = 0;
+};
+Goblin.SpringConstraint.prototype = Object.create( Goblin.Constraint.prototype );
+
+Goblin.SpringConstraint.prototype.measureDistance = Goblin.DistanceConstraint.prototype.measureDistance;
+
+Goblin.SpringConstraint.prototype._updateRow = Goblin.DistanceConstraint.prototype._updateRow;
+
+Goblin.SpringConstraint.prototype.update = function( time_delta ) {
+	var row = this.rows[0],
+		distance = this._updateRow( row ),
+		omega = 2 * Math.PI * this.frequency,
+		stiffness = time_delta * omega * ( 2 * this.damping_ratio + time_delta * omega );
+
+	row.lower_limit = -Infinity;
+	row.upper_limit = Infinity;
+
+	if ( stiffness <= 0 ) {
+		// a spring without stiffness or damping does nothing
+		row.lower_limit = row.upper_limit = 0;
+		row.bias = row.cfm = 0;
+		return;
+	}
+
+	// stiffness & damping are scaled by the row's effective mass, so the spring's frequency doesn't depend on the
+	// objects' masses
+	row.computeB( this );
+	row.computeD();
+	row.cfm = row.D / stiffness;
+	row.bias = ( this.rest_length - distance ) * ( time_delta * omega * omega / stiffness );
+};
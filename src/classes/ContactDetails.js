@@ -77,6 +77,22 @@ Goblin.ContactDetails = function() {
 	 */
 	this.friction = 0;
 
+	/**
+	 * amount of rolling friction between the objects in contact
+	 *
+	 * @property rolling_friction
+	 * @type {Number}
+	 */
+	this.rolling_friction = 0;
+
+	/**
+	 * amount of spinning friction between the objects in contact
+	 *
+	 * @property spinning_friction
+	 * @type {Number}
+	 */
+	this.spinning_friction = 0;
+
 	this.listeners = {};
 };
 Goblin.EventEmitter.apply( Goblin.ContactDetails );
@@ -84,4 +100,24 @@ Goblin.EventEmitter.apply( Goblin.ContactDetails );
 Goblin.ContactDetails.prototype.destroy = function() {
 	this.emit( 'destroy' );
 	Goblin.ObjectPool.freeObject( 'ContactDetails', this );
+};
+
+/**
+ * Copies the contact's details from `contact`
+ *
+ * @method copy
+ * @param contact {Goblin.ContactDetails} contact to copy
+ */
+Goblin.ContactDetails.prototype.copy = function( contact ) {
+	this.object_a = contact.object_a;
+	this.object_b = contact.object_b;
+	this.contact_point.copy( contact.contact_point );
+	this.contact_point_in_a.copy( contact.contact_point_in_a );
+	this.contact_point_in_b.copy( contact.contact_point_in_b );
+	this.contact_normal.copy( contact.contact_normal );
+	this.penetration_depth = contact.penetration_depth;
+	this.restitution = contact.restitution;
+	this.friction = contact.friction;
+	this.rolling_friction = contact.rolling_friction;
+	this.spinning_friction = contact.spinning_friction;
 };
\ No newline at end of file
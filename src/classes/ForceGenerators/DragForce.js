@@ -63,6 +63,11 @@ Goblin.DragForce.prototype.applyForce = function() {
 	for ( i = 0, affected_count = this.affected.length; i < affected_count; i++ ) {
 		object = this.affected[i];
 
+		// Sleeping objects have no velocity to drag against
+		if ( object.is_sleeping === true ) {
+			continue;
+		}
+
 		force.copy( object.linear_velocity );
 
 		// Calculate the total drag coefficient.
@@ -30,4 +30,15 @@ Goblin.GhostBody.prototype.checkForEndedContacts = function() {
         }
     }
     this.tick_contacts.length = 0;
-};
\ No newline at end of file
+};
+Goblin.GhostBody.prototype.saveState = function() {
+    var state = Goblin.RigidBody.prototype.saveState.call( this );
+    state.contacts = this.contacts.slice();
+    return state;
+};
+
+Goblin.GhostBody.prototype.restoreState = function( state ) {
+    Goblin.RigidBody.prototype.restoreState.call( this, state );
+    this.contacts.length = 0;
+    Array.prototype.push.apply( this.contacts, state.contacts );
+};
@@ -38,7 +38,15 @@ Goblin.IterativeSolver = function() {
 	this.constraints = [];
 
 	/**
-	 * maximum solver iterations per time step
+	 * groups of bodies & constraints which are solved independently of each other, rebuilt every time step
+	 *
+	 * @property islands
+	 * @type {Array<Goblin.SimulationIsland>}
+	 */
+	this.islands = [];
+
+	/**
+	 * maximum solver iterations per island per time step
 	 *
 	 * @property max_iterations
 	 * @type {number}
@@ -46,7 +54,16 @@ Goblin.IterativeSolver = function() {
 	this.max_iterations = 10;
 
 	/**
-	 * maximum solver iterations per time step to resolve contacts
+	 * an island stops iterating once the largest impulse applied in an iteration is at or below this value
+	 *
+	 * @property convergence_threshold
+	 * @type {number}
+	 * @default 0.1
+	 */
+	this.convergence_threshold = 0.1;
+
+	/**
+	 * maximum solver iterations per island per time step to resolve contacts
 	 *
 	 * @property penetrations_max_iterations
 	 * @type {number}
@@ -78,6 +95,14 @@ Goblin.IterativeSolver = function() {
 	 */
 	this.warmstarting_factor = 0.95;
 
+	/**
+	 * world the solver belongs to, set when the world is created; its material pairs apply to new contacts
+	 *
+	 * @property world
+	 * @type {Goblin.World}
+	 * @default null
+	 */
+	this.world = null;
 
 	var solver = this;
 	/**
@@ -132,60 +157,306 @@ Goblin.IterativeSolver.prototype.removeConstraint = function( constraint ) {
 };
 
 /**
- * Converts contact manifolds into contact constraints
+ * Captures the solver's warm starting multipliers. Contact & friction constraints are recorded by the position of
+ * their contact in `contact_manifolds` so they can be rebuilt for the restored contacts
+ *
+ * @method saveState
+ * @param contact_manifolds {Goblin.ContactManifoldList} the narrowphase's contact manifolds
+ * @return {Object} state which can be passed to `restoreState`
+ */
+Goblin.IterativeSolver.prototype.saveState = (function(){
+	var saveMultipliers = function( constraint ) {
+		var multipliers = [];
+		for ( var i = 0; i < constraint.rows.length; i++ ) {
+			multipliers.push( constraint.rows[i].multiplier_cached );
+		}
+		return multipliers;
+	};
+
+	return function( contact_manifolds ) {
+		var contacts = [],
+			manifold = contact_manifolds.first,
+			i;
+
+		while ( manifold !== null ) {
+			Array.prototype.push.apply( contacts, manifold.points );
+			manifold = manifold.next_manifold;
+		}
+
+		var saveContactConstraint = function( constraint ) {
+			return {
+				contact: contacts.indexOf( constraint.contact ),
+				multipliers: saveMultipliers( constraint )
+			};
+		};
+
+		var state = {
+			contact_constraints: this.contact_constraints.map( saveContactConstraint ),
+			friction_constraints: this.friction_constraints.map( saveContactConstraint ),
+			constraints: []
+		};
+
+		for ( i = 0; i < this.constraints.length; i++ ) {
+			state.constraints.push({
+				active: this.constraints[i].active,
+				multipliers: saveMultipliers( this.constraints[i] )
+			});
+		}
+
+		return state;
+	};
+})();
+
+/**
+ * Restores a state captured by `saveState`, rebuilding contact & friction constraints for the contacts in
+ * `contact_manifolds`. The solver must hold the same constraints as when the state was saved
+ *
+ * @method restoreState
+ * @param state {Object} state returned by `saveState`
+ * @param contact_manifolds {Goblin.ContactManifoldList} the narrowphase's restored contact manifolds
+ */
+Goblin.IterativeSolver.prototype.restoreState = (function(){
+	var restoreMultipliers = function( constraint, multipliers ) {
+		for ( var i = 0; i < multipliers.length; i++ ) {
+			constraint.rows[i].multiplier_cached = multipliers[i];
+		}
+	};
+
+	return function( state, contact_manifolds ) {
+		var contacts = [],
+			contact_constraint_indices = {}, // maps a contact's index to its contact constraint's
+			manifold = contact_manifolds.first,
+			constraint,
+			i;
+
+		while ( manifold !== null ) {
+			Array.prototype.push.apply( contacts, manifold.points );
+			manifold = manifold.next_manifold;
+		}
+
+		for ( i = 0; i < this.contact_constraints.length; i++ ) {
+			this.contact_constraints[i].removeListener( 'deactivate', this.onContactDeactivate );
+		}
+		this.contact_constraints.length = 0;
+		for ( i = 0; i < this.friction_constraints.length; i++ ) {
+			this.friction_constraints[i].removeListener( 'deactivate', this.onFrictionDeactivate );
+		}
+		this.friction_constraints.length = 0;
+
+		for ( i = 0; i < state.contact_constraints.length; i++ ) {
+			constraint = Goblin.ObjectPool.getObject( 'ContactConstraint' );
+			contact_constraint_indices[ state.contact_constraints[i].contact ] = i;
+			constraint.buildFromContact( contacts[ state.contact_constraints[i].contact ], this.world );
+			restoreMultipliers( constraint, state.contact_constraints[i].multipliers );
+			this.contact_constraints.push( constraint );
+			constraint.addListener( 'deactivate', this.onContactDeactivate );
+		}
+
+		for ( i = 0; i < state.friction_constraints.length; i++ ) {
+			constraint = Goblin.ObjectPool.getObject( 'FrictionConstraint' );
+			constraint.contact_constraint = this.contact_constraints[ contact_constraint_indices[ state.friction_constraints[i].contact ] ] || null;
+			constraint.buildFromContact( contacts[ state.friction_constraints[i].contact ], this.world );
+			restoreMultipliers( constraint, state.friction_constraints[i].multipliers );
+			this.friction_constraints.push( constraint );
+			constraint.addListener( 'deactivate', this.onFrictionDeactivate );
+		}
+
+		for ( i = 0; i < state.constraints.length; i++ ) {
+			this.constraints[i].active = state.constraints[i].active;
+			restoreMultipliers( this.constraints[i], state.constraints[i].multipliers );
+		}
+	};
+})();
+
+/**
+ * Converts contact manifolds into contact constraints, waking any sleeping bodies disturbed by their contacts or constraints
  *
  * @method processContactManifolds
  * @param contact_manifolds {Array} contact manifolds to process
  */
-Goblin.IterativeSolver.prototype.processContactManifolds = function( contact_manifolds ) {
-	var i, j,
-		manifold,
-		contacts_length,
-		contact,
-		constraint;
-
-	manifold = contact_manifolds.first;
-
-	// @TODO this seems like it should be very optimizable
-	while( manifold ) {
-		contacts_length = manifold.points.length;
-
-		for ( i = 0; i < contacts_length; i++ ) {
-			contact = manifold.points[i];
-
-			var existing_constraint = null;
-			for ( j = 0; j < this.contact_constraints.length; j++ ) {
-				if ( this.contact_constraints[j].contact === contact ) {
-					existing_constraint = this.contact_constraints[j];
-					break;
+Goblin.IterativeSolver.prototype.processContactManifolds = (function(){
+	var isMoving = function( body ) {
+		return body != null && ( body._mass !== Infinity || body.is_kinematic === true ) && body.is_sleeping === false && !body.isResting();
+	};
+
+	/**
+	 * wakes either body if it is asleep and the other body is moving. A moving body touching a sleeping one
+	 * only wakes it once it exceeds its sleep thresholds, which keeps resting bodies from waking each other
+	 */
+	var wakeDisturbed = function( object_a, object_b ) {
+		if ( object_a != null && object_a.is_sleeping === true && isMoving( object_b ) ) {
+			object_a.wake();
+		} else if ( object_b != null && object_b.is_sleeping === true && isMoving( object_a ) ) {
+			object_b.wake();
+		}
+	};
+
+	return function( contact_manifolds ) {
+		var i, j,
+			manifold,
+			contacts_length,
+			contact,
+			contact_constraint,
+			constraint;
+
+		manifold = contact_manifolds.first;
+
+		// @TODO this seems like it should be very optimizable
+		while( manifold ) {
+			wakeDisturbed( manifold.object_a, manifold.object_b );
+
+			contacts_length = manifold.points.length;
+
+			for ( i = 0; i < contacts_length; i++ ) {
+				contact = manifold.points[i];
+
+				var existing_constraint = null;
+				for ( j = 0; j < this.contact_constraints.length; j++ ) {
+					if ( this.contact_constraints[j].contact === contact ) {
+						existing_constraint = this.contact_constraints[j];
+						break;
+					}
 				}
-			}
 
-			if ( !existing_constraint ) {
-				// Build contact constraint
-				constraint = Goblin.ObjectPool.getObject( 'ContactConstraint' );
-				constraint.buildFromContact( contact );
-				this.contact_constraints.push( constraint );
-				constraint.addListener( 'deactivate', this.onContactDeactivate );
-
-				// Build friction constraint
-				constraint = Goblin.ObjectPool.getObject( 'FrictionConstraint' );
-				constraint.buildFromContact( contact );
-				this.friction_constraints.push( constraint );
-				constraint.addListener( 'deactivate', this.onFrictionDeactivate );
+				if ( !existing_constraint ) {
+					// Build contact constraint
+					contact_constraint = Goblin.ObjectPool.getObject( 'ContactConstraint' );
+					contact_constraint.buildFromContact( contact, this.world );
+					this.contact_constraints.push( contact_constraint );
+					contact_constraint.addListener( 'deactivate', this.onContactDeactivate );
+
+					// Build friction constraint
+					constraint = Goblin.ObjectPool.getObject( 'FrictionConstraint' );
+					constraint.contact_constraint = contact_constraint;
+					constraint.buildFromContact( contact, this.world );
+					this.friction_constraints.push( constraint );
+					constraint.addListener( 'deactivate', this.onFrictionDeactivate );
+				}
 			}
+
+			manifold = manifold.next_manifold;
 		}
 
-		manifold = manifold.next_manifold;
-	}
+		for ( i = 0; i < this.constraints.length; i++ ) {
+			wakeDisturbed( this.constraints[i].object_a, this.constraints[i].object_b );
+		}
+
+		// @TODO just for now
+		this.all_constraints.length = 0;
+		this.addAwakeConstraints( this.friction_constraints );
+		this.addAwakeConstraints( this.constraints );
+		this.addAwakeConstraints( this.contact_constraints );
 
-	// @TODO just for now
-	this.all_constraints.length = 0;
-	Array.prototype.push.apply( this.all_constraints, this.friction_constraints );
-	Array.prototype.push.apply( this.all_constraints, this.constraints );
-	Array.prototype.push.apply( this.all_constraints, this.contact_constraints );
+		this.buildIslands();
+	};
+})();
+
+/**
+ * adds the constraints in `constraints` which are not sleeping to `all_constraints`
+ *
+ * @method addAwakeConstraints
+ * @param constraints {Array} constraints to add
+ * @private
+ */
+Goblin.IterativeSolver.prototype.addAwakeConstraints = function( constraints ) {
+	for ( var i = 0; i < constraints.length; i++ ) {
+		if ( !constraints[i].isSleeping() ) {
+			this.all_constraints.push( constraints[i] );
+		}
+	}
 };
 
+/**
+ * Groups the bodies affected by `all_constraints` into islands, joining bodies which share a constraint.
+ * Static and sleeping bodies are not added to islands
+ *
+ * @method buildIslands
+ * @private
+ */
+Goblin.IterativeSolver.prototype.buildIslands = (function(){
+	var parents, // body id -> id of the body's parent in the union-find forest
+		islands_by_root,
+		bodies = [];
+
+	var isIslandBody = function( body ) {
+		return body != null && body._mass !== Infinity && body.is_sleeping !== true;
+	};
+
+	var addBody = function( body ) {
+		if ( parents[body.id] === undefined ) {
+			parents[body.id] = body.id;
+			bodies.push( body );
+		}
+	};
+
+	var findRoot = function( id ) {
+		while ( parents[id] !== id ) {
+			// path halving keeps the trees shallow
+			parents[id] = parents[parents[id]];
+			id = parents[id];
+		}
+		return id;
+	};
+
+	return function() {
+		var i,
+			constraint,
+			body,
+			root,
+			island;
+
+		for ( i = 0; i < this.islands.length; i++ ) {
+			this.islands[i].reset();
+			Goblin.ObjectPool.freeObject( 'SimulationIsland', this.islands[i] );
+		}
+		this.islands.length = 0;
+
+		parents = {};
+		islands_by_root = {};
+		bodies.length = 0;
+
+		// Union the bodies of every constraint
+		for ( i = 0; i < this.all_constraints.length; i++ ) {
+			constraint = this.all_constraints[i];
+
+			if ( isIslandBody( constraint.object_a ) ) {
+				addBody( constraint.object_a );
+			}
+			if ( isIslandBody( constraint.object_b ) ) {
+				addBody( constraint.object_b );
+				if ( isIslandBody( constraint.object_a ) ) {
+					parents[ findRoot( constraint.object_a.id ) ] = findRoot( constraint.object_b.id );
+				}
+			}
+		}
+
+		// Create an island for each tree
+		for ( i = 0; i < bodies.length; i++ ) {
+			body = bodies[i];
+			root = findRoot( body.id );
+
+			island = islands_by_root[root];
+			if ( island === undefined ) {
+				island = islands_by_root[root] = Goblin.ObjectPool.getObject( 'SimulationIsland' );
+				this.islands.push( island );
+			}
+			island.bodies.push( body );
+		}
+
+		// Assign constraints, keeping the order of `all_constraints`
+		for ( i = 0; i < this.all_constraints.length; i++ ) {
+			constraint = this.all_constraints[i];
+			body = isIslandBody( constraint.object_a ) ? constraint.object_a : constraint.object_b;
+
+			island = islands_by_root[ findRoot( body.id ) ];
+			island.constraints.push( constraint );
+			if ( constraint instanceof Goblin.ContactConstraint ) {
+				island.contact_constraints.push( constraint );
+			}
+		}
+	};
+})();
+
 Goblin.IterativeSolver.prototype.prepareConstraints = function( time_delta ) {
 	var num_constraints = this.all_constraints.length,
 		num_rows,
@@ -211,7 +482,25 @@ Goblin.IterativeSolver.prototype.prepareConstraints = function( time_delta ) {
 	}
 };
 
+/**
+ * Pushes apart penetrating bodies, island by island
+ *
+ * @method resolveContacts
+ */
 Goblin.IterativeSolver.prototype.resolveContacts = function() {
+	for ( var i = 0; i < this.islands.length; i++ ) {
+		this.resolveIslandContacts( this.islands[i] );
+	}
+};
+
+/**
+ * Pushes apart penetrating bodies in `island`
+ *
+ * @method resolveIslandContacts
+ * @param island {Goblin.SimulationIsland} island to resolve
+ * @private
+ */
+Goblin.IterativeSolver.prototype.resolveIslandContacts = function( island ) {
 	var iteration,
 		constraint,
 		jdot, row, i,
@@ -222,8 +511,8 @@ Goblin.IterativeSolver.prototype.resolveContacts = function() {
 	// Solve penetrations
 	for ( iteration = 0; iteration < this.penetrations_max_iterations; iteration++ ) {
 		max_impulse = 0;
-		for ( i = 0; i < this.contact_constraints.length; i++ ) {
-			constraint = this.contact_constraints[i];
+		for ( i = 0; i < island.contact_constraints.length; i++ ) {
+			constraint = island.contact_constraints[i];
 			row = constraint.rows[0];
 
 			jdot = 0;
@@ -286,8 +575,8 @@ Goblin.IterativeSolver.prototype.resolveContacts = function() {
 	}
 
 	// Apply position/rotation solver
-	for ( i = 0; i < this.contact_constraints.length; i++ ) {
-		constraint = this.contact_constraints[i];
+	for ( i = 0; i < island.contact_constraints.length; i++ ) {
+		constraint = island.contact_constraints[i];
 		row = constraint.rows[0];
 
 		if ( constraint.object_a != null && constraint.object_a._mass !== Infinity ) {
@@ -342,8 +631,27 @@ Goblin.IterativeSolver.prototype.resolveContacts = function() {
 	}
 };
 
+/**
+ * Solves the constraints of each island independently
+ *
+ * @method solveConstraints
+ */
 Goblin.IterativeSolver.prototype.solveConstraints = function() {
-	var num_constraints = this.all_constraints.length,
+	for ( var i = 0; i < this.islands.length; i++ ) {
+		this.solveIsland( this.islands[i] );
+	}
+};
+
+/**
+ * Solves the constraints in `island`, iterating until the island's largest impulse falls to `convergence_threshold`
+ * or `max_iterations` is reached
+ *
+ * @method solveIsland
+ * @param island {Goblin.SimulationIsland} island to solve
+ * @private
+ */
+Goblin.IterativeSolver.prototype.solveIsland = function( island ) {
+	var num_constraints = island.constraints.length,
 		constraint,
 		num_rows,
 		row,
@@ -357,7 +665,7 @@ Goblin.IterativeSolver.prototype.solveConstraints = function() {
 
 	// Warm starting
 	for ( i = 0; i < num_constraints; i++ ) {
-		constraint = this.all_constraints[i];
+		constraint = island.constraints[i];
 		if ( constraint.active === false ) {
 			continue;
 		}
@@ -391,7 +699,7 @@ Goblin.IterativeSolver.prototype.solveConstraints = function() {
 	for ( iteration = 0; iteration < this.max_iterations; iteration++ ) {
 		max_impulse = 0;
 		for ( i = 0; i < num_constraints; i++ ) {
-			constraint = this.all_constraints[i];
+			constraint = island.constraints[i];
 			if ( constraint.active === false ) {
 				continue;
 			}
@@ -422,7 +730,8 @@ Goblin.IterativeSolver.prototype.solveConstraints = function() {
 					);
 				}
 
-				delta_lambda = ( ( row.eta - jdot ) / row.D || 0) * constraint.factor;
+				// `cfm` softens the row, letting it trade some of its error for a smaller multiplier
+				delta_lambda = ( ( row.eta - jdot - row.cfm * row.multiplier ) / ( row.D + row.cfm ) || 0) * constraint.factor;
 				var cache = row.multiplier,
 					multiplier_target = cache + delta_lambda;
 
@@ -467,10 +776,12 @@ Goblin.IterativeSolver.prototype.solveConstraints = function() {
 			}
 		}
 
-		if ( max_impulse <= 0.1 ) {
+		if ( max_impulse <= this.convergence_threshold ) {
 			break;
 		}
 	}
+
+	island.iterations = Math.min( iteration + 1, this.max_iterations );
 };
 
 Goblin.IterativeSolver.prototype.applyConstraints = function( time_delta ) {
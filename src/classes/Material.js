@@ -0,0 +1,190 @@
+/**
+ * Surface & bulk properties shared by any number of bodies or shapes, through their `material` property. A body
+ * uses its own material, falling back to its shape's; bodies with neither use their `friction` & `restitution` values
+ *
+ * @class Material
+ * @param [friction=0.5] {Number}
+ * @param [restitution=0.1] {Number}
+ * @param [rolling_friction=0] {Number}
+ * @param [density=1] {Number}
+ * @constructor
+ */
+Goblin.Material = (function() {
+	var material_count = 0;
+
+	return function( friction, restitution, rolling_friction, density ) {
+		/**
+		 * goblin ID of the material
+		 *
+		 * @property id
+		 * @type {Number}
+		 */
+		this.id = material_count++;
+
+		/**
+		 * amount of friction opposing sliding
+		 *
+		 * @property friction
+		 * @type {Number}
+		 * @default 0.5
+		 */
+		this.friction = friction != null ? friction : 0.5;
+
+		/**
+		 * how much of the objects' approaching velocity is returned when they collide, from 0 to 1
+		 *
+		 * @property restitution
+		 * @type {Number}
+		 * @default 0.1
+		 */
+		this.restitution = restitution != null ? restitution : 0.1;
+
+		/**
+		 * amount of friction opposing rolling
+		 *
+		 * @property rolling_friction
+		 * @type {Number}
+		 * @default 0
+		 */
+		this.rolling_friction = rolling_friction != null ? rolling_friction : 0;
+
+		/**
+		 * amount of friction opposing spinning in place around the contact normal
+		 *
+		 * @property spinning_friction
+		 * @type {Number}
+		 * @default 0
+		 */
+		this.spinning_friction = 0;
+
+		/**
+		 * mass per unit of volume; Goblin does not derive masses itself, multiply by a shape's volume when choosing
+		 * a body's mass
+		 *
+		 * @property density
+		 * @type {Number}
+		 * @default 1
+		 */
+		this.density = density != null ? density : 1;
+
+		/**
+		 * how this material's sliding, rolling & spinning friction are combined with another's, one of the `COMBINE_` modes
+		 *
+		 * @property friction_combine
+		 * @type {Number}
+		 * @default Goblin.Material.COMBINE_AVERAGE
+		 */
+		this.friction_combine = Goblin.Material.COMBINE_AVERAGE;
+
+		/**
+		 * how this material's restitution is combined with another's, one of the `COMBINE_` modes
+		 *
+		 * @property restitution_combine
+		 * @type {Number}
+		 * @default Goblin.Material.COMBINE_AVERAGE
+		 */
+		this.restitution_combine = Goblin.Material.COMBINE_AVERAGE;
+	};
+})();
+
+// combine modes; when two materials ask for different modes the one with the higher value is used
+Goblin.Material.COMBINE_AVERAGE = 0;
+Goblin.Material.COMBINE_MIN = 1;
+Goblin.Material.COMBINE_MULTIPLY = 2;
+Goblin.Material.COMBINE_MAX = 3;
+
+/**
+ * Combines two values with the higher priority of their two modes
+ *
+ * @method combine
+ * @param value_a {Number}
+ * @param mode_a {Number}
+ * @param value_b {Number}
+ * @param mode_b {Number}
+ * @return {Number}
+ * @static
+ */
+Goblin.Material.combine = function( value_a, mode_a, value_b, mode_b ) {
+	switch ( Math.max( mode_a, mode_b ) ) {
+		case Goblin.Material.COMBINE_MIN:
+			return Math.min( value_a, value_b );
+		case Goblin.Material.COMBINE_MULTIPLY:
+			return value_a * value_b;
+		case Goblin.Material.COMBINE_MAX:
+			return Math.max( value_a, value_b );
+		default:
+			return ( value_a + value_b ) / 2;
+	}
+};
+
+/**
+ * Returns the material used by `body`, or null if it has none
+ *
+ * @method getBodyMaterial
+ * @param body {RigidBody}
+ * @return {Material|null}
+ * @static
+ */
+Goblin.Material.getBodyMaterial = function( body ) {
+	if ( body == null ) {
+		return null;
+	}
+	return body.material || ( body.shape && body.shape.material ) || null;
+};
+
+/**
+ * Sets the contact's friction, restitution, rolling & spinning friction from its objects' materials, using `world`'s
+ * material pair overrides. Contacts between objects without materials keep the values given by the narrowphase
+ *
+ * @method applyToContact
+ * @param contact {ContactDetails}
+ * @param [world] {World} world whose material pairs are used
+ * @static
+ */
+Goblin.Material.applyToContact = function( contact, world ) {
+	var material_a = Goblin.Material.getBodyMaterial( contact.object_a ),
+		material_b = Goblin.Material.getBodyMaterial( contact.object_b ),
+		pair;
+
+	if ( material_a == null && material_b == null ) {
+		contact.rolling_friction = contact.spinning_friction = 0;
+		return;
+	}
+
+	if ( material_a != null && material_b != null && world != null ) {
+		pair = world.getMaterialPair( material_a, material_b );
+		if ( pair != null ) {
+			contact.friction = pair.friction;
+			contact.restitution = pair.restitution;
+			contact.rolling_friction = pair.rolling_friction;
+			contact.spinning_friction = pair.spinning_friction;
+			return;
+		}
+	}
+
+	// an object without a material behaves like one with its own friction & restitution, averaged
+	contact.friction = Goblin.Material.combine(
+		material_a != null ? material_a.friction : contact.object_a.friction,
+		material_a != null ? material_a.friction_combine : Goblin.Material.COMBINE_AVERAGE,
+		material_b != null ? material_b.friction : contact.object_b.friction,
+		material_b != null ? material_b.friction_combine : Goblin.Material.COMBINE_AVERAGE
+	);
+	contact.restitution = Goblin.Material.combine(
+		material_a != null ? material_a.restitution : contact.object_a.restitution,
+		material_a != null ? material_a.restitution_combine : Goblin.Material.COMBINE_AVERAGE,
+		material_b != null ? material_b.restitution : contact.object_b.restitution,
+		material_b != null ? material_b.restitution_combine : Goblin.Material.COMBINE_AVERAGE
+	);
+	contact.rolling_friction = Goblin.Material.combine(
+		material_a != null ? material_a.rolling_friction : 0,
+		material_a != null ? material_a.friction_combine : Goblin.Material.COMBINE_AVERAGE,
+		material_b != null ? material_b.rolling_friction : 0,
+		material_b != null ? material_b.friction_combine : Goblin.Material.COMBINE_AVERAGE
+	);
+	contact.spinning_friction = Goblin.Material.combine(
+		material_a != null ? material_a.spinning_friction : 0,
+		material_a != null ? material_a.friction_combine : Goblin.Material.COMBINE_AVERAGE,
+		material_b != null ? material_b.spinning_friction : 0,
+		material_b != null ? material_b.friction_combine : Goblin.Material.COMBINE_AVERAGE
+	);
+};
@@ -27,6 +27,20 @@ Goblin.Matrix3.prototype = {
 		this.e22 = 1;
 	},
 
+	copy: function( m ) {
+		this.e00 = m.e00;
+		this.e01 = m.e01;
+		this.e02 = m.e02;
+
+		this.e10 = m.e10;
+		this.e11 = m.e11;
+		this.e12 = m.e12;
+
+		this.e20 = m.e20;
+		this.e21 = m.e21;
+		this.e22 = m.e22;
+	},
+
 	fromMatrix4: function( m ) {
 		this.e00 = m.e00;
 		this.e01 = m.e01;
@@ -12,6 +12,15 @@ Goblin.NarrowPhase = function() {
 	 * @type Goblin.ContactManifoldList
 	 */
 	this.contact_manifolds = new Goblin.ContactManifoldList();
+
+	/**
+	 * when set, contacts are collected here by `getContacts` instead of being added to `contact_manifolds`
+	 *
+	 * @property collected_contacts
+	 * @type {Array<ContactDetails>}
+	 * @private
+	 */
+	this.collected_contacts = null;
 };
 
 /**
@@ -41,6 +50,80 @@ Goblin.NarrowPhase.prototype.updateContactManifolds = function() {
 	}
 };
 
+/**
+ * Captures the contact manifolds and their contacts, in order
+ *
+ * @method saveState
+ * @return {Array} state which can be passed to `restoreState`
+ */
+Goblin.NarrowPhase.prototype.saveState = function() {
+	var state = [],
+		manifold = this.contact_manifolds.first,
+		saved_manifold,
+		contact,
+		i;
+
+	while ( manifold !== null ) {
+		saved_manifold = {
+			object_a: manifold.object_a,
+			object_b: manifold.object_b,
+			points: []
+		};
+
+		for ( i = 0; i < manifold.points.length; i++ ) {
+			contact = new Goblin.ContactDetails();
+			contact.copy( manifold.points[i] );
+			saved_manifold.points.push( contact );
+		}
+
+		state.push( saved_manifold );
+		manifold = manifold.next_manifold;
+	}
+
+	return state;
+};
+
+/**
+ * Replaces the current contact manifolds with those captured by `saveState`. The current contacts are destroyed,
+ * which removes their contact & friction constraints from the solver
+ *
+ * @method restoreState
+ * @param state {Array} state returned by `saveState`
+ */
+Goblin.NarrowPhase.prototype.restoreState = function( state ) {
+	var manifold = this.contact_manifolds.first,
+		next_manifold,
+		contact,
+		i, j;
+
+	while ( manifold !== null ) {
+		for ( i = 0; i < manifold.points.length; i++ ) {
+			manifold.points[i].destroy();
+		}
+		manifold.points.length = 0;
+
+		next_manifold = manifold.next_manifold;
+		Goblin.ObjectPool.freeObject( 'ContactManifold', manifold );
+		manifold = next_manifold;
+	}
+	this.contact_manifolds.first = null;
+
+	// manifolds are inserted at the front of the list, so rebuild it back to front
+	for ( i = state.length - 1; i >= 0; i-- ) {
+		manifold = Goblin.ObjectPool.getObject( 'ContactManifold' );
+		manifold.object_a = state[i].object_a;
+		manifold.object_b = state[i].object_b;
+
+		for ( j = 0; j < state[i].points.length; j++ ) {
+			contact = Goblin.ObjectPool.getObject( 'ContactDetails' );
+			contact.copy( state[i].points[j] );
+			manifold.points.push( contact );
+		}
+
+		this.contact_manifolds.insert( manifold );
+	}
+};
+
 Goblin.NarrowPhase.prototype.midPhase = function( object_a, object_b ) {
 	var compound,
 		other;
@@ -261,6 +344,132 @@ Goblin.NarrowPhase.prototype.meshCollision = (function(){
 	};
 })();
 
+/**
+ * Tests a heightfield against a convex object. Triangles are only generated for the grid cells overlapped by
+ * the convex object's AABB; heightfield-heightfield and heightfield-mesh pairs are not supported
+ *
+ * @method heightfieldCollision
+ * @param {RigidBody} object_a
+ * @param {RigidBody} object_b
+ * @private
+ */
+Goblin.NarrowPhase.prototype.heightfieldCollision = (function(){
+	var convex_aabb_in_heightfield = new Goblin.AABB(),
+		triangle = new Goblin.TriangleShape( new Goblin.Vector3(), new Goblin.Vector3(), new Goblin.Vector3() ),
+		child_shape = new Goblin.CompoundShapeChild( triangle, new Goblin.Vector3(), new Goblin.Quaternion() );
+
+	function triangleConvex( heightfield, convex ) {
+		// Create proxy to convert convex into heightfield's space
+		var proxy = Goblin.ObjectPool.getObject( 'RigidBodyProxy' );
+		proxy.setFrom( heightfield, child_shape );
+
+		var simplex = Goblin.GjkEpa.GJK( proxy, convex ),
+			contact;
+		if ( Goblin.GjkEpa.result != null ) {
+			contact = Goblin.GjkEpa.result;
+		} else if ( simplex != null ) {
+			contact = Goblin.GjkEpa.EPA( simplex );
+		}
+
+		Goblin.ObjectPool.freeObject( 'RigidBodyProxy', proxy );
+
+		return contact;
+	}
+
+	// maps a contact point from a compound child's frame into its root body's frame, returning the root body
+	function toRootBody( object, point ) {
+		while ( object.parent != null ) {
+			if ( object instanceof Goblin.RigidBodyProxy ) {
+				object.shape_data.transform.transformVector3( point );
+			}
+			object = object.parent;
+		}
+		return object;
+	}
+
+	return function heightfieldCollision( object_a, object_b ) {
+		var heightfield = object_a.shape instanceof Goblin.HeightfieldShape ? object_a : object_b,
+			convex = heightfield === object_a ? object_b : object_a,
+			shape = heightfield.shape;
+
+		if ( convex.shape instanceof Goblin.HeightfieldShape || convex.shape instanceof Goblin.MeshShape ) {
+			return;
+		}
+
+		convex_aabb_in_heightfield.transform( convex.aabb, heightfield.transform_inverse );
+
+		// range of grid cells overlapped by the convex object
+		var min_x = Math.max( Math.floor( ( convex_aabb_in_heightfield.min.x + shape.half_width ) / shape.scale.x ), 0 ),
+			max_x = Math.min( Math.floor( ( convex_aabb_in_heightfield.max.x + shape.half_width ) / shape.scale.x ), shape.width_samples - 2 ),
+			min_z = Math.max( Math.floor( ( convex_aabb_in_heightfield.min.z + shape.half_depth ) / shape.scale.z ), 0 ),
+			max_z = Math.min( Math.floor( ( convex_aabb_in_heightfield.max.z + shape.half_depth ) / shape.scale.z ), shape.depth_samples - 2 ),
+			contact, x, z, i;
+
+		for ( z = min_z; z <= max_z; z++ ) {
+			for ( x = min_x; x <= max_x; x++ ) {
+				for ( i = 0; i < 2; i++ ) {
+					shape.getTriangle( x, z, i, triangle );
+					if ( !triangle.aabb.intersects( convex_aabb_in_heightfield ) ) {
+						continue;
+					}
+
+					contact = triangleConvex( heightfield, convex );
+					if ( contact != null ) {
+						// contacts are added directly, so compound children must be mapped onto their root bodies here
+						contact.object_a = toRootBody( heightfield, contact.contact_point_in_a );
+						contact.object_b = toRootBody( convex, contact.contact_point_in_b );
+						this.addContact( contact.object_a, contact.object_b, contact );
+					}
+				}
+			}
+		}
+	};
+})();
+
+/**
+ * Finds the contact manifold between two boxes. The deepest contact is returned and the rest of the
+ * manifold is added directly, so a resting box gets all of its contact points in a single step
+ *
+ * @method boxBoxCollision
+ * @param {RigidBody} object_a
+ * @param {RigidBody} object_b
+ * @return {ContactDetails} the deepest contact, if the boxes are touching
+ * @private
+ */
+Goblin.NarrowPhase.prototype.boxBoxCollision = (function(){
+	var contacts = [];
+
+	return function( object_a, object_b ) {
+		var i, deepest = 0;
+
+		contacts.length = 0;
+		if ( Goblin.BoxBox( object_a, object_b, contacts ) === 0 ) {
+			return;
+		}
+
+		for ( i = 1; i < contacts.length; i++ ) {
+			if ( contacts[i].penetration_depth > contacts[deepest].penetration_depth ) {
+				deepest = i;
+			}
+		}
+
+		for ( i = 0; i < contacts.length; i++ ) {
+			if ( i === deepest ) {
+				continue;
+			}
+
+			if ( object_a instanceof Goblin.RigidBodyProxy || object_b instanceof Goblin.RigidBodyProxy ) {
+				// midPhase maps a single contact from the proxy onto the compound body, only keep the deepest
+				contacts[i].destroy();
+			} else {
+				this.addContact( object_a, object_b, contacts[i] );
+			}
+		}
+
+		return contacts[deepest];
+	};
+})();
+
 /**
  * Tests two objects for contact
  *
@@ -274,6 +483,11 @@ Goblin.NarrowPhase.prototype.getContact = function( object_a, object_b ) {
 		return;
 	}
 
+	if ( object_a.shape instanceof Goblin.HeightfieldShape || object_b.shape instanceof Goblin.HeightfieldShape ) {
+		this.heightfieldCollision( object_a, object_b );
+		return;
+	}
+
 	if ( object_a.shape instanceof Goblin.MeshShape || object_b.shape instanceof Goblin.MeshShape ) {
 		this.meshCollision( object_a, object_b );
 		return;
@@ -290,6 +504,18 @@ Goblin.NarrowPhase.prototype.getContact = function( object_a, object_b ) {
 	) {
 		// Sphere - Box contact check
 		contact = Goblin.BoxSphere( object_a, object_b );
+	} else if ( object_a.shape instanceof Goblin.CapsuleShape && object_b.shape instanceof Goblin.CapsuleShape ) {
+		// Capsule - Capsule contact check
+		contact = Goblin.CapsuleCapsule( object_a, object_b );
+	} else if (
+		object_a.shape instanceof Goblin.CapsuleShape && object_b.shape instanceof Goblin.SphereShape ||
+		object_a.shape instanceof Goblin.SphereShape && object_b.shape instanceof Goblin.CapsuleShape
+	) {
+		// Capsule - Sphere contact check
+		contact = Goblin.CapsuleSphere( object_a, object_b );
+	} else if ( object_a.shape instanceof Goblin.BoxShape && object_b.shape instanceof Goblin.BoxShape ) {
+		// Box - Box contact check
+		contact = this.boxBoxCollision( object_a, object_b );
 	} else {
 		// contact check based on GJK
 		var simplex = Goblin.GjkEpa.GJK( object_a, object_b );
@@ -303,7 +529,37 @@ Goblin.NarrowPhase.prototype.getContact = function( object_a, object_b ) {
 	return contact;
 };
 
+/**
+ * Tests two objects for contact without changing the contact manifolds, for queries outside of the simulation. Pairs
+ * which `getContact` adds contacts for directly, such as compound, mesh & heightfield pairs, have them collected
+ * here instead. The contacts should be destroyed when done with
+ *
+ * @method getContacts
+ * @param {RigidBody} object_a
+ * @param {RigidBody} object_b
+ * @param [contacts] {Array} array the contacts are added to, a new one is created if omitted
+ * @return {Array<ContactDetails>} every contact found between the objects
+ */
+Goblin.NarrowPhase.prototype.getContacts = function( object_a, object_b, contacts ) {
+	var outer_contacts = this.collected_contacts,
+		contact;
+
+	contacts = contacts || [];
+	this.collected_contacts = contacts;
+	contact = this.getContact( object_a, object_b );
+	this.collected_contacts = outer_contacts;
+
+	if ( contact != null ) {
+		contacts.push( contact );
+	}
+	return contacts;
+};
+
 Goblin.NarrowPhase.prototype.addContact = function( object_a, object_b, contact ) {
+	if ( this.collected_contacts !== null ) {
+		this.collected_contacts.push( contact );
+		return;
+	}
 	this.contact_manifolds.getManifoldForObjects( object_a, object_b ).addContact( contact );
 };
 
@@ -313,18 +569,30 @@ Goblin.NarrowPhase.prototype.addContact = function( object_a, object_b, contact
  *
  * @param possible_contacts {Array}
  */
-Goblin.NarrowPhase.prototype.generateContacts = function( possible_contacts ) {
-	var i,
-		contact,
-		possible_contacts_length = possible_contacts.length;
+Goblin.NarrowPhase.prototype.generateContacts = (function(){
+	// sleeping bodies and static bodies don't move, ghost and kinematic bodies are still tested as they are moved externally
+	var isAtRest = function( body ) {
+		return body.is_sleeping === true || ( body._mass === Infinity && body.is_kinematic !== true && !( body instanceof Goblin.GhostBody ) );
+	};
 
-	// Make sure all of the manifolds are up to date
-	this.updateContactManifolds();
+	return function( possible_contacts ) {
+		var i,
+			contact,
+			possible_contacts_length = possible_contacts.length;
 
-	for ( i = 0; i < possible_contacts_length; i++ ) {
-		contact = this.getContact( possible_contacts[i][0], possible_contacts[i][1] );
-		if ( contact != null ) {
-			this.addContact( possible_contacts[i][0], possible_contacts[i][1], contact );
+		// Make sure all of the manifolds are up to date
+		this.updateContactManifolds();
+
+		for ( i = 0; i < possible_contacts_length; i++ ) {
+			if ( isAtRest( possible_contacts[i][0] ) && isAtRest( possible_contacts[i][1] ) ) {
+				// Neither body has moved, their existing contacts are still valid
+				continue;
+			}
+
+			contact = this.getContact( possible_contacts[i][0], possible_contacts[i][1] );
+			if ( contact != null ) {
+				this.addContact( possible_contacts[i][0], possible_contacts[i][1], contact );
+			}
 		}
-	}
-};
\ No newline at end of file
+	};
+})();
\ No newline at end of file
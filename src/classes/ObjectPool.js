@@ -70,4 +70,6 @@ Goblin.ObjectPool.registerType( 'ConstraintRow', function() { return new Goblin.
 Goblin.ObjectPool.registerType( 'ContactConstraint', function() { return new Goblin.ContactConstraint(); } );
 Goblin.ObjectPool.registerType( 'FrictionConstraint', function() { return new Goblin.FrictionConstraint(); } );
 Goblin.ObjectPool.registerType( 'RayIntersection', function() { return new Goblin.RayIntersection(); } );
-Goblin.ObjectPool.registerType( 'RigidBodyProxy', function() { return new Goblin.RigidBodyProxy(); } );
\ No newline at end of file
+Goblin.ObjectPool.registerType( 'RigidBodyProxy', function() { return new Goblin.RigidBodyProxy(); } );
+Goblin.ObjectPool.registerType( 'SweepIntersection', function() { return new Goblin.SweepIntersection(); } );
+Goblin.ObjectPool.registerType( 'SimulationIsland', function() { return new Goblin.SimulationIsland(); } );
\ No newline at end of file
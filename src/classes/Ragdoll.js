@@ -0,0 +1,423 @@
+/**
+ * Builds a ragdoll's bodies and joints from a description of its skeleton. Each bone becomes a capsule or box body
+ * lying along the bone, joined to its parent bone's body by a cone twist or hinge constraint at the bone's head.
+ * Bones joined to each other don't collide, every bone is put in its own collision group ( the groups wrap around
+ * after 31 bones ) and its `collision_mask` excludes the groups of its parent and children; other bodies in those
+ * groups don't collide with the bone either
+ *
+ * Bones are described in the ragdoll's model space, in the pose the skeleton rests in. The ragdoll is created in that
+ * pose, which is the rest pose of its joints
+ *
+ * @class Ragdoll
+ * @param bones {Array<Object>} descriptions of the bones, parents before their children, each with:
+ *     - `name` {String} unique name of the bone
+ *     - `parent` {String} name of the parent bone, omitted for the root bone
+ *     - `length` {Number} distance from the bone's head to its tail
+ *     - `radius` {Number} radius of a capsule, or half the width of a box
+ *     - `mass_fraction` {Number} share of the ragdoll's mass, relative to the other bones' shares; defaults to 1
+ *     - `shape` {String} 'capsule' or 'box', defaults to 'capsule'
+ *     - `head` {Vector3} position of the bone's head, defaults to the parent's tail or the origin
+ *     - `direction` {Vector3} direction from the bone's head to its tail, defaults to the parent's direction or ( 0, 1, 0 )
+ *     - `rotation` {Quaternion} orientation of the animation's bone in the rest pose, used by `setPose` & `getPose`;
+ *       defaults to the rotation taking ( 0, 1, 0 ) to `direction`
+ *     - `joint` {Object} joint to the parent bone; `type` is 'cone_twist' ( the default ) or 'hinge'. Cone twist joints
+ *       take `swing_span_1`, `swing_span_2` & `twist_span`, twist around `axis` ( defaults to `direction` ) and
+ *       swing first towards `reference`. Hinge joints turn around `axis` ( defaults to ( 1, 0, 0 ) ) between
+ *       `limit_lower` & `limit_upper`
+ * @param mass {Number} total mass of the ragdoll's bodies
+ * @param [position] {Vector3} position of the model's origin in the world
+ * @param [rotation] {Quaternion} rotation of the model in the world
+ * @constructor
+ */
+Goblin.Ragdoll = function( bones, mass, position, rotation ) {
+	/**
+	 * the ragdoll's bones, in the order they were described
+	 *
+	 * @property bones
+	 * @type {Array<Ragdoll.Bone>}
+	 */
+	this.bones = [];
+
+	/**
+	 * world the ragdoll is simulated in
+	 *
+	 * @property world
+	 * @type {World}
+	 * @default null
+	 */
+	this.world = null;
+
+	// bones keyed by their names
+	this.bones_by_name = {};
+
+	var model_position = position || new Goblin.Vector3(),
+		model_rotation = rotation || new Goblin.Quaternion(),
+		total_fraction = 0,
+		i, bone;
+
+	for ( i = 0; i < bones.length; i++ ) {
+		total_fraction += bones[i].mass_fraction != null ? bones[i].mass_fraction : 1;
+	}
+
+	for ( i = 0; i < bones.length; i++ ) {
+		bone = new Goblin.Ragdoll.Bone(
+			bones[i],
+			bones[i].parent != null ? this.bones_by_name[ bones[i].parent ] : null,
+			mass * ( bones[i].mass_fraction != null ? bones[i].mass_fraction : 1 ) / total_fraction,
+			model_position,
+			model_rotation
+		);
+
+		// each bone gets its own collision group, and stops colliding with its parent's
+		bone.body.collision_groups = 1 << ( 1 + i % 31 );
+		if ( bone.parent != null ) {
+			bone.body.collision_mask |= bone.parent.body.collision_groups;
+			bone.parent.body.collision_mask |= bone.body.collision_groups;
+		}
+
+		this.bones.push( bone );
+		this.bones_by_name[ bone.name ] = bone;
+	}
+};
+
+/**
+ * Adds the ragdoll's bodies and joints to `world`
+ *
+ * @method addToWorld
+ * @param world {World}
+ */
+Goblin.Ragdoll.prototype.addToWorld = function( world ) {
+	if ( this.world != null ) {
+		this.removeFromWorld();
+	}
+	this.world = world;
+
+	var i;
+	for ( i = 0; i < this.bones.length; i++ ) {
+		world.addRigidBody( this.bones[i].body );
+	}
+	for ( i = 0; i < this.bones.length; i++ ) {
+		if ( this.bones[i].joint != null ) {
+			world.addConstraint( this.bones[i].joint );
+		}
+	}
+};
+
+/**
+ * Removes the ragdoll's bodies and joints from its world
+ *
+ * @method removeFromWorld
+ */
+Goblin.Ragdoll.prototype.removeFromWorld = function() {
+	if ( this.world == null ) {
+		return;
+	}
+
+	for ( var i = 0; i < this.bones.length; i++ ) {
+		if ( this.bones[i].joint != null ) {
+			this.world.removeConstraint( this.bones[i].joint );
+		}
+		this.world.removeRigidBody( this.bones[i].body );
+	}
+	this.world = null;
+};
+
+/**
+ * Returns the bone named `name`, or null if the ragdoll has no such bone
+ *
+ * @method getBone
+ * @param name {String}
+ * @return {Ragdoll.Bone|null}
+ */
+Goblin.Ragdoll.prototype.getBone = function( name ) {
+	return this.bones_by_name[ name ] || null;
+};
+
+/**
+ * Moves the ragdoll's bones to an animation's pose
+ *
+ * @method setPose
+ * @param pose {Object} world space transforms keyed by bone name, each with a `position` for the bone's head and a
+ *     `rotation` for the animation's bone. Bones missing from the pose are left where they are
+ * @param [time_delta] {Number} time, in seconds, since the previous pose; when given, the bodies are moved with the
+ *     velocities which take them from their current transforms to the pose in that time, otherwise they are stopped
+ */
+Goblin.Ragdoll.prototype.setPose = function( pose, time_delta ) {
+	var transform;
+	for ( var i = 0; i < this.bones.length; i++ ) {
+		transform = pose[ this.bones[i].name ];
+		if ( transform != null ) {
+			this.bones[i].setTransform( transform.position, transform.rotation, time_delta );
+		}
+	}
+};
+
+/**
+ * Reads the bones' current transforms back into a pose
+ *
+ * @method getPose
+ * @param [pose] {Object} pose to write into, missing bones' transforms are created
+ * @return {Object} world space transforms keyed by bone name, each with the `position` of the bone's head and the
+ *     `rotation` of the animation's bone
+ */
+Goblin.Ragdoll.prototype.getPose = function( pose ) {
+	pose = pose || {};
+
+	var bone, transform;
+	for ( var i = 0; i < this.bones.length; i++ ) {
+		bone = this.bones[i];
+		transform = pose[ bone.name ];
+		if ( transform == null ) {
+			transform = pose[ bone.name ] = {
+				position: new Goblin.Vector3(),
+				rotation: new Goblin.Quaternion()
+			};
+		}
+		bone.getTransform( transform.position, transform.rotation );
+	}
+
+	return pose;
+};
+
+/**
+ * A bone of a ragdoll, with the body lying along it and the joint attaching it to its parent
+ *
+ * @class Ragdoll.Bone
+ * @param description {Object} the bone's description, see `Ragdoll`
+ * @param parent {Ragdoll.Bone|null} the bone's parent
+ * @param mass {Number} mass of the bone's body
+ * @param model_position {Vector3} position of the ragdoll's model in the world
+ * @param model_rotation {Quaternion} rotation of the ragdoll's model in the world
+ * @constructor
+ */
+Goblin.Ragdoll.Bone = function( description, parent, mass, model_position, model_rotation ) {
+	/**
+	 * name of the bone
+	 *
+	 * @property name
+	 * @type {String}
+	 */
+	this.name = description.name;
+
+	/**
+	 * the bone's parent, null for the root bone
+	 *
+	 * @property parent
+	 * @type {Ragdoll.Bone|null}
+	 */
+	this.parent = parent;
+
+	/**
+	 * bones attached to this one
+	 *
+	 * @property children
+	 * @type {Array<Ragdoll.Bone>}
+	 */
+	this.children = [];
+	if ( parent != null ) {
+		parent.children.push( this );
+	}
+
+	/**
+	 * distance from the bone's head to its tail
+	 *
+	 * @property length
+	 * @type {Number}
+	 */
+	this.length = description.length;
+
+	/**
+	 * radius of the bone's shape
+	 *
+	 * @property radius
+	 * @type {Number}
+	 */
+	this.radius = description.radius;
+
+	/**
+	 * position of the bone's head in the rest pose, in model space
+	 *
+	 * @property head
+	 * @type {Vector3}
+	 */
+	this.head = new Goblin.Vector3();
+	if ( description.head != null ) {
+		this.head.copy( description.head );
+	} else if ( parent != null ) {
+		this.head.scaleVector( parent.direction, parent.length );
+		this.head.add( parent.head );
+	}
+
+	/**
+	 * direction from the bone's head to its tail in the rest pose, in model space
+	 *
+	 * @property direction
+	 * @type {Vector3}
+	 */
+	this.direction = new Goblin.Vector3( 0, 1, 0 );
+	if ( description.direction != null ) {
+		this.direction.normalizeVector( description.direction );
+	} else if ( parent != null ) {
+		this.direction.copy( parent.direction );
+	}
+
+	// the body lies along its local Y axis, rotate that onto the bone's direction by the shortest arc
+	var body_rotation = new Goblin.Quaternion( this.direction.z, 0, -this.direction.x, 1 + this.direction.y );
+	if ( body_rotation.w < Goblin.EPSILON ) {
+		// the bone points straight down
+		body_rotation.set( 1, 0, 0, 0 );
+	}
+	body_rotation.normalize();
+
+	// rotation of the body in the animation bone's frame
+	this.body_offset = new Goblin.Quaternion();
+	if ( description.rotation != null ) {
+		this.body_offset.invertQuaternion( description.rotation );
+		this.body_offset.multiply( body_rotation );
+	}
+
+	var shape;
+	if ( description.shape === 'box' ) {
+		shape = new Goblin.BoxShape( this.radius, this.length / 2, this.radius );
+	} else {
+		shape = new Goblin.CapsuleShape( this.radius, Math.max( this.length / 2 - this.radius, 0 ) );
+	}
+
+	/**
+	 * body lying along the bone, centered between its head & tail
+	 *
+	 * @property body
+	 * @type {RigidBody}
+	 */
+	this.body = new Goblin.RigidBody( shape, mass );
+	this.body.rotation.multiplyQuaternions( model_rotation, body_rotation );
+	this.body.position.scaleVector( this.direction, this.length / 2 );
+	this.body.position.add( this.head );
+	model_rotation.transformVector3( this.body.position );
+	this.body.position.add( model_position );
+	this.body.updateDerived();
+
+	/**
+	 * constraint joining the bone to its parent, null for the root bone
+	 *
+	 * @property joint
+	 * @type {ConeTwistConstraint|HingeConstraint|null}
+	 */
+	this.joint = null;
+	if ( parent != null ) {
+		this.joint = this.createJoint( description.joint || {}, model_position, model_rotation );
+	}
+};
+
+/**
+ * Creates the constraint joining the bone's body to its parent's at the bone's head
+ *
+ * @method createJoint
+ * @param description {Object} the joint's description, see `Ragdoll`
+ * @param model_position {Vector3} position of the ragdoll's model in the world
+ * @param model_rotation {Quaternion} rotation of the ragdoll's model in the world
+ * @return {ConeTwistConstraint|HingeConstraint}
+ * @private
+ */
+Goblin.Ragdoll.Bone.prototype.createJoint = function( description, model_position, model_rotation ) {
+	var parent_body = this.parent.body,
+		point_a = new Goblin.Vector3(),
+		point_b = new Goblin.Vector3( 0, -this.length / 2, 0 ),
+		axis_a = new Goblin.Vector3(),
+		joint;
+
+	model_rotation.transformVector3Into( this.head, point_a );
+	point_a.add( model_position );
+	parent_body.transform_inverse.transformVector3( point_a );
+
+	// model space axis into the parent body's frame
+	var toParentFrame = function( v, dest ) {
+		model_rotation.transformVector3Into( v, dest );
+		_tmp_quat4_1.invertQuaternion( parent_body.rotation );
+		_tmp_quat4_1.transformVector3( dest );
+		dest.normalize();
+	};
+
+	if ( description.type === 'hinge' ) {
+		toParentFrame( description.axis || new Goblin.Vector3( 1, 0, 0 ), axis_a );
+		joint = new Goblin.HingeConstraint( parent_body, axis_a, point_a, this.body, point_b );
+		if ( description.limit_lower != null ) {
+			joint.limit_lower = description.limit_lower;
+		}
+		if ( description.limit_upper != null ) {
+			joint.limit_upper = description.limit_upper;
+		}
+	} else {
+		toParentFrame( description.axis || this.direction, axis_a );
+		joint = new Goblin.ConeTwistConstraint( parent_body, axis_a, point_a, this.body, point_b );
+		if ( description.reference != null ) {
+			toParentFrame( description.reference, joint.reference_a );
+			parent_body.rotation.transformVector3Into( joint.reference_a, joint.reference_b );
+			_tmp_quat4_1.invertQuaternion( this.body.rotation );
+			_tmp_quat4_1.transformVector3( joint.reference_b );
+		}
+		if ( description.swing_span_1 != null ) {
+			joint.swing_span_1 = description.swing_span_1;
+		}
+		if ( description.swing_span_2 != null ) {
+			joint.swing_span_2 = description.swing_span_2;
+		}
+		if ( description.twist_span != null ) {
+			joint.twist_span = description.twist_span;
+		}
+	}
+
+	return joint;
+};
+
+/**
+ * Moves the bone's body to match an animation's bone
+ *
+ * @method setTransform
+ * @param position {Vector3} world position of the bone's head
+ * @param rotation {Quaternion} world rotation of the animation's bone
+ * @param [time_delta] {Number} time, in seconds, since the previous transform; when given, the body is moved with
+ *     the velocities which take it from its current transform to the new one in that time, otherwise it is stopped
+ */
+Goblin.Ragdoll.Bone.prototype.setTransform = (function(){
+	var body_position = new Goblin.Vector3(),
+		body_rotation = new Goblin.Quaternion();
+
+	return function( position, rotation, time_delta ) {
+		var body = this.body;
+
+		body_rotation.multiplyQuaternions( rotation, this.body_offset );
+		body_rotation.normalize();
+		body_position.set( 0, this.length / 2, 0 );
+		body_rotation.transformVector3( body_position );
+		body_position.add( position );
+
+		if ( time_delta != null ) {
+			body.setKinematicTarget( body_position, body_rotation, time_delta );
+		} else {
+			body.linear_velocity.set( 0, 0, 0 );
+			body.angular_velocity.set( 0, 0, 0 );
+			body.wake();
+		}
+
+		body.position.copy( body_position );
+		body.rotation.copy( body_rotation );
+		body.updateDerived();
+	};
+})();
+
+/**
+ * Reads the bone's current transform from its body
+ *
+ * @method getTransform
+ * @param position {Vector3} set to the world position of the bone's head
+ * @param rotation {Quaternion} set to the world rotation of the animation's bone
+ */
+Goblin.Ragdoll.Bone.prototype.getTransform = function( position, rotation ) {
+	_tmp_quat4_1.invertQuaternion( this.body_offset );
+	rotation.multiplyQuaternions( this.body.rotation, _tmp_quat4_1 );
+
+	position.set( 0, -this.length / 2, 0 );
+	this.body.rotation.transformVector3( position );
+	position.add( this.body.position );
+};
@@ -0,0 +1,40 @@
+/**
+ * First hit of a shape swept through the world, returned by `World.convexSweep`. Free it with
+ * `Goblin.ObjectPool.freeObject( 'SweepIntersection', intersection )` when done with it
+ *
+ * @class SweepIntersection
+ * @constructor
+ */
+Goblin.SweepIntersection = function() {
+	/**
+	 * body which was hit
+	 *
+	 * @property object
+	 * @type {RigidBody}
+	 */
+	this.object = null;
+
+	/**
+	 * fraction of the motion, from 0 to 1, the shape travelled before hitting the body
+	 *
+	 * @property fraction
+	 * @type {Number}
+	 */
+	this.fraction = 0;
+
+	/**
+	 * world space point where the shape touched the body
+	 *
+	 * @property point
+	 * @type {Vector3}
+	 */
+	this.point = new Goblin.Vector3();
+
+	/**
+	 * world space normal of the body's surface at `point`, pointing towards the shape
+	 *
+	 * @property normal
+	 * @type {Vector3}
+	 */
+	this.normal = new Goblin.Vector3();
+};
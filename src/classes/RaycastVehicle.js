@@ -0,0 +1,657 @@
+/**
+ * Vehicle whose wheels are rays cast down from a chassis body instead of bodies of their own. At the start of each
+ * time step every wheel's suspension ray is cast into the world; wheels on the ground push the chassis up with a
+ * spring & damper and grip the ground with tire friction, which is limited by how hard the wheel is pressed down
+ * so the tires skid when asked for too much
+ *
+ * @class RaycastVehicle
+ * @param chassis {RigidBody} body the wheels are attached to
+ * @constructor
+ */
+Goblin.RaycastVehicle = function( chassis ) {
+	/**
+	 * body the wheels are attached to
+	 *
+	 * @property chassis
+	 * @type {RigidBody}
+	 */
+	this.chassis = chassis;
+
+	/**
+	 * the vehicle's wheels, in the order they were added
+	 *
+	 * @property wheels
+	 * @type {Array<RaycastVehicle.Wheel>}
+	 */
+	this.wheels = [];
+
+	/**
+	 * world the vehicle is simulated in
+	 *
+	 * @property world
+	 * @type {World}
+	 * @default null
+	 */
+	this.world = null;
+
+	var vehicle = this;
+	/**
+	 * simulates the wheels at the start of each of the world's time steps
+	 *
+	 * @method onStepStart
+	 * @private
+	 */
+	this.onStepStart = function( ticks, time_delta ) {
+		vehicle.update( time_delta );
+	};
+	/**
+	 * moves the wheels along with the chassis at the end of each of the world's time steps
+	 *
+	 * @method onStepEnd
+	 * @private
+	 */
+	this.onStepEnd = function() {
+		vehicle.updateWheelTransforms();
+	};
+};
+
+/**
+ * Adds a wheel to the vehicle
+ *
+ * @method addWheel
+ * @param connection_point {Vector3} top of the wheel's suspension in the chassis' frame
+ * @param [direction] {Vector3} direction of the suspension in the chassis' frame, defaults to ( 0, -1, 0 )
+ * @param [axle] {Vector3} axis the wheel rolls around in the chassis' frame, defaults to ( 1, 0, 0 ); the wheel rolls
+ *     forward along `axle` x -`direction`
+ * @param [suspension_rest_length=0.5] {Number} length of the suspension when it is not compressed
+ * @param [radius=0.5] {Number} the wheel's radius
+ * @return {RaycastVehicle.Wheel} the new wheel
+ */
+Goblin.RaycastVehicle.prototype.addWheel = function( connection_point, direction, axle, suspension_rest_length, radius ) {
+	var wheel = new Goblin.RaycastVehicle.Wheel( connection_point, direction, axle, suspension_rest_length, radius );
+	this.wheels.push( wheel );
+	wheel.updateTransform( this.chassis );
+	return wheel;
+};
+
+/**
+ * Starts simulating the vehicle in `world`; the chassis must be added to the world separately
+ *
+ * @method addToWorld
+ * @param world {World}
+ */
+Goblin.RaycastVehicle.prototype.addToWorld = function( world ) {
+	if ( this.world != null ) {
+		this.removeFromWorld();
+	}
+	this.world = world;
+	world.addListener( 'stepStart', this.onStepStart );
+	world.addListener( 'stepEnd', this.onStepEnd );
+};
+
+/**
+ * Stops simulating the vehicle
+ *
+ * @method removeFromWorld
+ */
+Goblin.RaycastVehicle.prototype.removeFromWorld = function() {
+	if ( this.world == null ) {
+		return;
+	}
+	this.world.removeListener( 'stepStart', this.onStepStart );
+	this.world.removeListener( 'stepEnd', this.onStepEnd );
+	this.world = null;
+};
+
+/**
+ * Sets the engine force driving a wheel forward, negative values drive it backward
+ *
+ * @method setEngineForce
+ * @param force {Number}
+ * @param wheel_index {Number}
+ */
+Goblin.RaycastVehicle.prototype.setEngineForce = function( force, wheel_index ) {
+	this.wheels[wheel_index].engine_force = force;
+	if ( force !== 0 ) {
+		this.chassis.wake();
+	}
+};
+
+/**
+ * Sets the largest force a wheel's brake can apply
+ *
+ * @method setBrake
+ * @param force {Number}
+ * @param wheel_index {Number}
+ */
+Goblin.RaycastVehicle.prototype.setBrake = function( force, wheel_index ) {
+	this.wheels[wheel_index].brake_force = force;
+};
+
+/**
+ * Sets a wheel's steering angle, in radians around the suspension's upward axis
+ *
+ * @method setSteering
+ * @param angle {Number}
+ * @param wheel_index {Number}
+ */
+Goblin.RaycastVehicle.prototype.setSteering = function( angle, wheel_index ) {
+	this.wheels[wheel_index].steering = angle;
+};
+
+/**
+ * The chassis' speed along its forward axis, the first wheel's forward axis when it isn't steered
+ *
+ * @method getForwardSpeed
+ * @return {Number}
+ */
+Goblin.RaycastVehicle.prototype.getForwardSpeed = function() {
+	if ( this.wheels.length === 0 ) {
+		return 0;
+	}
+	_tmp_vec3_1.crossVectors( this.wheels[0].axle, this.wheels[0].direction );
+	_tmp_vec3_1.scale( -1 );
+	this.chassis.rotation.transformVector3( _tmp_vec3_1 );
+	return _tmp_vec3_1.dot( this.chassis.linear_velocity ) / _tmp_vec3_1.length();
+};
+
+/**
+ * Casts the wheels' suspension rays and applies their suspension & tire forces to the chassis
+ *
+ * @method update
+ * @param time_delta {Number}
+ */
+Goblin.RaycastVehicle.prototype.update = (function(){
+	var ray_end = new Goblin.Vector3();
+
+	return function( time_delta ) {
+		var chassis = this.chassis,
+			wheels_in_contact = 0,
+			wheel, intersections, i, j;
+
+		if ( chassis.is_sleeping === true ) {
+			return;
+		}
+
+		// the world updates its bodies' transforms after `stepStart`
+		chassis.updateDerived();
+
+		for ( i = 0; i < this.wheels.length; i++ ) {
+			wheel = this.wheels[i];
+			wheel.updateTransform( chassis );
+
+			ray_end.scaleVector( wheel.world_direction, wheel.suspension_rest_length + wheel.radius );
+			ray_end.add( wheel.world_connection_point );
+
+			wheel.is_in_contact = false;
+			wheel.contact_body = null;
+			intersections = this.world.rayIntersect( wheel.world_connection_point, ray_end );
+			for ( j = 0; j < intersections.length; j++ ) {
+				if ( !wheel.is_in_contact && intersections[j].object !== chassis && !( intersections[j].object instanceof Goblin.GhostBody ) ) {
+					wheel.is_in_contact = true;
+					wheel.contact_body = intersections[j].object;
+					wheel.contact_point.copy( intersections[j].point );
+					wheel.contact_normal.copy( intersections[j].normal );
+					wheel.suspension_length = Math.max( intersections[j].t - wheel.radius, 0 );
+				}
+				Goblin.ObjectPool.freeObject( 'RayIntersection', intersections[j] );
+			}
+
+			if ( wheel.is_in_contact ) {
+				wheels_in_contact++;
+			} else {
+				wheel.suspension_length = wheel.suspension_rest_length;
+				wheel.contact_point.copy( ray_end );
+				wheel.contact_normal.scaleVector( wheel.world_direction, -1 );
+			}
+			wheel.compression = wheel.suspension_rest_length - wheel.suspension_length;
+		}
+
+		for ( i = 0; i < this.wheels.length; i++ ) {
+			wheel = this.wheels[i];
+			if ( wheel.is_in_contact ) {
+				this._updateSuspension( wheel, time_delta );
+				this._updateFriction( wheel, wheels_in_contact, time_delta );
+			} else {
+				wheel.suspension_force = 0;
+				wheel.skid = 0;
+				// a wheel in the air slowly spins down
+				wheel.rotation_velocity *= 0.99;
+			}
+			wheel.rotation += wheel.rotation_velocity * time_delta;
+		}
+	};
+})();
+
+/**
+ * Pushes the chassis away from the ground with the wheel's spring & damper
+ *
+ * @method _updateSuspension
+ * @param wheel {RaycastVehicle.Wheel}
+ * @param time_delta {Number}
+ * @private
+ */
+Goblin.RaycastVehicle.prototype._updateSuspension = function( wheel, time_delta ) {
+	var projection = -wheel.contact_normal.dot( wheel.world_direction ),
+		extension_velocity;
+
+	// velocity the suspension is extending at, measured along the ground normal
+	this._getRelativeVelocity( wheel, _tmp_vec3_1 );
+	extension_velocity = _tmp_vec3_1.dot( wheel.contact_normal );
+	if ( projection > Goblin.EPSILON ) {
+		extension_velocity /= projection;
+	}
+
+	wheel.suspension_force = this.chassis._mass * (
+		wheel.suspension_stiffness * wheel.compression - wheel.suspension_damping * extension_velocity
+	);
+	wheel.suspension_force = Math.max( 0, Math.min( wheel.suspension_force, wheel.max_suspension_force ) );
+
+	_tmp_vec3_1.scaleVector( wheel.contact_normal, wheel.suspension_force * time_delta );
+	this._applyImpulse( wheel, _tmp_vec3_1, wheel.contact_point );
+};
+
+/**
+ * Applies the engine, brake, and tire friction forces, limited by how hard the wheel is pressed into the ground
+ *
+ * @method _updateFriction
+ * @param wheel {RaycastVehicle.Wheel}
+ * @param wheels_in_contact {Number} number of wheels touching the ground, which share the chassis' mass
+ * @param time_delta {Number}
+ * @private
+ */
+Goblin.RaycastVehicle.prototype._updateFriction = (function(){
+	var forward = new Goblin.Vector3(),
+		side = new Goblin.Vector3(),
+		velocity = new Goblin.Vector3(),
+		side_point = new Goblin.Vector3();
+
+	return function( wheel, wheels_in_contact, time_delta ) {
+		var forward_speed, side_speed, forward_impulse, side_impulse, brake_impulse, max_impulse, total_impulse;
+
+		// the axle & rolling direction lying on the ground
+		side.scaleVector( wheel.contact_normal, -wheel.world_axle.dot( wheel.contact_normal ) );
+		side.add( wheel.world_axle );
+		side.normalize();
+		forward.crossVectors( side, wheel.contact_normal );
+
+		this._getRelativeVelocity( wheel, velocity );
+		forward_speed = velocity.dot( forward );
+		side_speed = velocity.dot( side );
+
+		// sideways slip is cancelled, with the chassis' mass shared between the wheels on the ground
+		side_impulse = -side_speed * this._getEffectiveMass( wheel.contact_point, side ) / wheels_in_contact;
+
+		// the brake opposes rolling, up to the brake force
+		forward_impulse = wheel.engine_force * time_delta;
+		if ( wheel.brake_force > 0 ) {
+			brake_impulse = -forward_speed * this._getEffectiveMass( wheel.contact_point, forward ) / wheels_in_contact;
+			max_impulse = wheel.brake_force * time_delta;
+			forward_impulse += Math.max( -max_impulse, Math.min( brake_impulse, max_impulse ) );
+		}
+
+		// both are limited by the tire's grip, the wheel skids when it's exceeded
+		max_impulse = wheel.friction_slip * wheel.suspension_force * time_delta;
+		total_impulse = Math.sqrt( forward_impulse * forward_impulse + side_impulse * side_impulse );
+		if ( total_impulse > max_impulse ) {
+			wheel.skid = total_impulse > Goblin.EPSILON ? 1 - max_impulse / total_impulse : 0;
+			forward_impulse *= 1 - wheel.skid;
+			side_impulse *= 1 - wheel.skid;
+		} else {
+			wheel.skid = 0;
+		}
+
+		_tmp_vec3_1.scaleVector( forward, forward_impulse );
+		this._applyImpulse( wheel, _tmp_vec3_1, wheel.contact_point );
+
+		// side forces act closer to the chassis' center of mass, by `roll_influence`, to keep it from rolling over
+		side_point.subtractVectors( wheel.contact_point, this.chassis.position );
+		_tmp_vec3_1.scaleVector( wheel.world_direction, side_point.dot( wheel.world_direction ) * ( 1 - wheel.roll_influence ) );
+		side_point.subtract( _tmp_vec3_1 );
+		side_point.add( this.chassis.position );
+		_tmp_vec3_1.scaleVector( side, side_impulse );
+		this._applyImpulse( wheel, _tmp_vec3_1, side_point );
+
+		// a locked brake stops the wheel, otherwise it rolls along with the ground
+		if ( wheel.brake_force > 0 && wheel.skid > 0 && wheel.engine_force === 0 ) {
+			wheel.rotation_velocity = 0;
+		} else {
+			wheel.rotation_velocity = forward_speed / wheel.radius;
+		}
+	};
+})();
+
+/**
+ * Computes the velocity of the chassis relative to the ground at the wheel's contact point
+ *
+ * @method _getRelativeVelocity
+ * @param wheel {RaycastVehicle.Wheel}
+ * @param out {Vector3}
+ * @private
+ */
+Goblin.RaycastVehicle.prototype._getRelativeVelocity = function( wheel, out ) {
+	var body = wheel.contact_body;
+
+	_tmp_vec3_2.subtractVectors( wheel.contact_point, this.chassis.position );
+	out.crossVectors( this.chassis.angular_velocity, _tmp_vec3_2 );
+	out.add( this.chassis.linear_velocity );
+
+	if ( body != null && ( body._mass !== Infinity || body.is_kinematic === true ) ) {
+		_tmp_vec3_2.subtractVectors( wheel.contact_point, body.position );
+		_tmp_vec3_3.crossVectors( body.angular_velocity, _tmp_vec3_2 );
+		_tmp_vec3_3.add( body.linear_velocity );
+		out.subtract( _tmp_vec3_3 );
+	}
+};
+
+/**
+ * Computes the chassis' mass as felt by an impulse along `axis` at `point`
+ *
+ * @method _getEffectiveMass
+ * @param point {Vector3} world space point
+ * @param axis {Vector3} world space direction
+ * @return {Number}
+ * @private
+ */
+Goblin.RaycastVehicle.prototype._getEffectiveMass = function( point, axis ) {
+	_tmp_vec3_2.subtractVectors( point, this.chassis.position );
+	_tmp_vec3_2.cross( axis );
+	this.chassis.inverseInertiaTensorWorldFrame.transformVector3Into( _tmp_vec3_2, _tmp_vec3_3 );
+	return 1 / ( this.chassis._mass_inverted + _tmp_vec3_2.dot( _tmp_vec3_3 ) );
+};
+
+/**
+ * Applies `impulse` to the chassis at `point`, and the opposite impulse to the dynamic body the wheel is on
+ *
+ * @method _applyImpulse
+ * @param wheel {RaycastVehicle.Wheel}
+ * @param impulse {Vector3}
+ * @param point {Vector3} world space point
+ * @private
+ */
+Goblin.RaycastVehicle.prototype._applyImpulse = (function(){
+	var force = new Goblin.Vector3(); // `impulse` is often a temporary vector, which `applyForceAtWorldPoint` overwrites
+
+	return function( wheel, impulse, point ) {
+		force.copy( impulse );
+		this.chassis.applyForceAtWorldPoint( force, point );
+
+		if ( wheel.contact_body != null && wheel.contact_body._mass !== Infinity ) {
+			force.scale( -1 );
+			wheel.contact_body.applyForceAtWorldPoint( force, wheel.contact_point );
+		}
+	};
+})();
+
+/**
+ * Moves the wheels to follow the chassis, updating each wheel's `world_position` & `world_rotation`
+ *
+ * @method updateWheelTransforms
+ */
+Goblin.RaycastVehicle.prototype.updateWheelTransforms = function() {
+	this.chassis.updateDerived();
+	for ( var i = 0; i < this.wheels.length; i++ ) {
+		this.wheels[i].updateTransform( this.chassis );
+	}
+};
+
+/**
+ * A single wheel of a `RaycastVehicle`; its properties can be changed at any time
+ *
+ * @class RaycastVehicle.Wheel
+ * @param connection_point {Vector3} top of the wheel's suspension in the chassis' frame
+ * @param [direction] {Vector3} direction of the suspension in the chassis' frame
+ * @param [axle] {Vector3} axis the wheel rolls around in the chassis' frame
+ * @param [suspension_rest_length=0.5] {Number}
+ * @param [radius=0.5] {Number}
+ * @constructor
+ */
+Goblin.RaycastVehicle.Wheel = function( connection_point, direction, axle, suspension_rest_length, radius ) {
+	this.connection_point = new Goblin.Vector3();
+	this.connection_point.copy( connection_point );
+
+	this.direction = new Goblin.Vector3( 0, -1, 0 );
+	if ( direction != null ) {
+		this.direction.normalizeVector( direction );
+	}
+
+	this.axle = new Goblin.Vector3( 1, 0, 0 );
+	if ( axle != null ) {
+		this.axle.normalizeVector( axle );
+	}
+
+	/**
+	 * length of the suspension when it is not compressed
+	 *
+	 * @property suspension_rest_length
+	 * @type {Number}
+	 * @default 0.5
+	 */
+	this.suspension_rest_length = suspension_rest_length != null ? suspension_rest_length : 0.5;
+
+	/**
+	 * @property radius
+	 * @type {Number}
+	 * @default 0.5
+	 */
+	this.radius = radius != null ? radius : 0.5;
+
+	/**
+	 * spring force per unit of compression, per unit of the chassis' mass
+	 *
+	 * @property suspension_stiffness
+	 * @type {Number}
+	 * @default 30
+	 */
+	this.suspension_stiffness = 30;
+
+	/**
+	 * damping force per unit of suspension velocity, per unit of the chassis' mass
+	 *
+	 * @property suspension_damping
+	 * @type {Number}
+	 * @default 4
+	 */
+	this.suspension_damping = 4;
+
+	/**
+	 * largest force the suspension can push with
+	 *
+	 * @property max_suspension_force
+	 * @type {Number}
+	 * @default Infinity
+	 */
+	this.max_suspension_force = Infinity;
+
+	/**
+	 * tire grip, the largest tire force is the suspension force times `friction_slip`
+	 *
+	 * @property friction_slip
+	 * @type {Number}
+	 * @default 1.5
+	 */
+	this.friction_slip = 1.5;
+
+	/**
+	 * how far from the chassis' center of mass side forces act, 1 at the contact point and 0 level with the center
+	 * of mass; lower values make the vehicle less likely to roll over when cornering
+	 *
+	 * @property roll_influence
+	 * @type {Number}
+	 * @default 0.1
+	 */
+	this.roll_influence = 0.1;
+
+	/**
+	 * force driving the wheel forward
+	 *
+	 * @property engine_force
+	 * @type {Number}
+	 * @default 0
+	 */
+	this.engine_force = 0;
+
+	/**
+	 * largest force the brake can apply
+	 *
+	 * @property brake_force
+	 * @type {Number}
+	 * @default 0
+	 */
+	this.brake_force = 0;
+
+	/**
+	 * steering angle, in radians around the suspension's upward axis
+	 *
+	 * @property steering
+	 * @type {Number}
+	 * @default 0
+	 */
+	this.steering = 0;
+
+	/**
+	 * whether the wheel is touching the ground, updated each step
+	 *
+	 * @property is_in_contact
+	 * @type {Boolean}
+	 */
+	this.is_in_contact = false;
+
+	/**
+	 * body the wheel is touching, updated each step
+	 *
+	 * @property contact_body
+	 * @type {RigidBody}
+	 */
+	this.contact_body = null;
+
+	/**
+	 * world space point where the wheel touches the ground, or the end of its ray when it isn't touching
+	 *
+	 * @property contact_point
+	 * @type {Vector3}
+	 */
+	this.contact_point = new Goblin.Vector3();
+
+	/**
+	 * world space normal of the ground under the wheel
+	 *
+	 * @property contact_normal
+	 * @type {Vector3}
+	 */
+	this.contact_normal = new Goblin.Vector3();
+
+	/**
+	 * current length of the suspension
+	 *
+	 * @property suspension_length
+	 * @type {Number}
+	 */
+	this.suspension_length = this.suspension_rest_length;
+
+	/**
+	 * how far the suspension is compressed
+	 *
+	 * @property compression
+	 * @type {Number}
+	 */
+	this.compression = 0;
+
+	/**
+	 * force the suspension pushed with during the last step
+	 *
+	 * @property suspension_force
+	 * @type {Number}
+	 */
+	this.suspension_force = 0;
+
+	/**
+	 * how much the tire is sliding, 0 when it grips and approaching 1 as the tire forces exceed its grip
+	 *
+	 * @property skid
+	 * @type {Number}
+	 */
+	this.skid = 0;
+
+	/**
+	 * angle, in radians, the wheel has rolled around its axle
+	 *
+	 * @property rotation
+	 * @type {Number}
+	 */
+	this.rotation = 0;
+
+	/**
+	 * speed, in radians per second, the wheel is rolling at
+	 *
+	 * @property rotation_velocity
+	 * @type {Number}
+	 */
+	this.rotation_velocity = 0;
+
+	/**
+	 * world space position of the wheel's center, for rendering
+	 *
+	 * @property world_position
+	 * @type {Vector3}
+	 */
+	this.world_position = new Goblin.Vector3();
+
+	/**
+	 * world space rotation of the wheel, including steering and rolling, for rendering
+	 *
+	 * @property world_rotation
+	 * @type {Quaternion}
+	 */
+	this.world_rotation = new Goblin.Quaternion();
+
+	// world space suspension frame, updated each step
+	this.world_connection_point = new Goblin.Vector3();
+	this.world_direction = new Goblin.Vector3();
+	this.world_axle = new Goblin.Vector3();
+};
+
+/**
+ * Updates the wheel's world space suspension frame, position, and rotation from the chassis' transform
+ *
+ * @method updateTransform
+ * @param chassis {RigidBody}
+ */
+Goblin.RaycastVehicle.Wheel.prototype.updateTransform = (function(){
+	var steering_rotation = new Goblin.Quaternion(),
+		rolling_rotation = new Goblin.Quaternion();
+
+	return function( chassis ) {
+		var half_angle, sin_half_angle;
+
+		// steering turns the wheel around the suspension's upward axis
+		half_angle = this.steering / 2;
+		sin_half_angle = Math.sin( half_angle );
+		steering_rotation.set(
+			-this.direction.x * sin_half_angle,
+			-this.direction.y * sin_half_angle,
+			-this.direction.z * sin_half_angle,
+			Math.cos( half_angle )
+		);
+
+		half_angle = this.rotation / 2;
+		sin_half_angle = Math.sin( half_angle );
+		rolling_rotation.set(
+			this.axle.x * sin_half_angle,
+			this.axle.y * sin_half_angle,
+			this.axle.z * sin_half_angle,
+			Math.cos( half_angle )
+		);
+
+		chassis.transform.transformVector3Into( this.connection_point, this.world_connection_point );
+		chassis.rotation.transformVector3Into( this.direction, this.world_direction );
+		steering_rotation.transformVector3Into( this.axle, this.world_axle );
+		chassis.rotation.transformVector3( this.world_axle );
+
+		this.world_position.scaleVector( this.world_direction, this.suspension_length );
+		this.world_position.add( this.world_connection_point );
+
+		this.world_rotation.multiplyQuaternions( chassis.rotation, steering_rotation );
+		this.world_rotation.multiply( rolling_rotation );
+	};
+})();
@@ -59,6 +59,41 @@ Goblin.RigidBody = (function() {
 		 */
 		this.rotation = new Goblin.Quaternion( 0, 0, 0, 1 );
 
+		/**
+		 * position of the rigid body before the most recent fixed time step
+		 *
+		 * @property previous_position
+		 * @type {vec3}
+		 * @private
+		 */
+		this.previous_position = new Goblin.Vector3();
+
+		/**
+		 * rotation of the rigid body before the most recent fixed time step
+		 *
+		 * @property previous_rotation
+		 * @type {quat4}
+		 * @private
+		 */
+		this.previous_rotation = new Goblin.Quaternion( 0, 0, 0, 1 );
+
+		/**
+		 * position to draw the rigid body at, interpolated between fixed time steps by `World.stepFixed`
+		 *
+		 * @property render_position
+		 * @type {vec3}
+		 * @default [ 0, 0, 0 ]
+		 */
+		this.render_position = new Goblin.Vector3();
+
+		/**
+		 * rotation to draw the rigid body with, interpolated between fixed time steps by `World.stepFixed`
+		 *
+		 * @property render_rotation
+		 * @type {quat4}
+		 */
+		this.render_rotation = new Goblin.Quaternion( 0, 0, 0, 1 );
+
 		/**
 		 * the rigid body's current linear velocity
 		 *
@@ -131,6 +166,15 @@ Goblin.RigidBody = (function() {
 		 */
 		this.friction = 0.5;
 
+		/**
+		 * material describing the body's surface, overriding `friction` & `restitution` and its shape's material
+		 *
+		 * @property material
+		 * @type {Material}
+		 * @default null
+		 */
+		this.material = null;
+
 		/**
 		 * bitmask indicating what collision groups this object belongs to
 		 * @type {number}
@@ -185,6 +229,92 @@ Goblin.RigidBody = (function() {
 		 */
 		this.angular_factor = new Goblin.Vector3( 1, 1, 1 );
 
+		/**
+		 * whether or not the body is kinematic. Kinematic bodies must have infinite mass; they are moved only by their
+		 * velocity, which is set by the user, and push dynamic bodies without being affected by them
+		 *
+		 * @property is_kinematic
+		 * @type {Boolean}
+		 * @default false
+		 */
+		this.is_kinematic = false;
+
+		/**
+		 * distance the body must travel in a single step before continuous collision detection sweeps its motion
+		 * for anything it would have passed through, `0` disables continuous collision detection
+		 *
+		 * @property ccd_motion_threshold
+		 * @type {Number}
+		 * @default 0
+		 */
+		this.ccd_motion_threshold = 0;
+
+		/**
+		 * radius of the sphere swept along the body's motion during continuous collision detection; it should fit
+		 * inside the body so the body still reaches whatever the sphere hits
+		 *
+		 * @property ccd_swept_sphere_radius
+		 * @type {Number}
+		 * @default 0
+		 */
+		this.ccd_swept_sphere_radius = 0;
+
+		/**
+		 * whether or not the body may fall asleep after it has come to rest. Sleeping discards any velocity
+		 * left below the sleep thresholds, so bodies only sleep when they opt in
+		 *
+		 * @property allow_sleep
+		 * @type {Boolean}
+		 * @default false
+		 */
+		this.allow_sleep = false;
+
+		/**
+		 * whether or not the body is currently asleep; sleeping bodies are not integrated and are treated as static by the solver
+		 *
+		 * @property is_sleeping
+		 * @type {Boolean}
+		 * @default false
+		 */
+		this.is_sleeping = false;
+
+		/**
+		 * linear speed below which the body is considered to be at rest
+		 *
+		 * @property sleep_linear_threshold
+		 * @type {Number}
+		 * @default 0.1
+		 */
+		this.sleep_linear_threshold = 0.1;
+
+		/**
+		 * angular speed, in radians per second, below which the body is considered to be at rest
+		 *
+		 * @property sleep_angular_threshold
+		 * @type {Number}
+		 * @default 0.1
+		 */
+		this.sleep_angular_threshold = 0.1;
+
+		/**
+		 * time, in seconds, the body must remain at rest before it falls asleep
+		 *
+		 * @property time_to_sleep
+		 * @type {Number}
+		 * @default 1
+		 */
+		this.time_to_sleep = 1;
+
+		/**
+		 * time, in seconds, the body has been at rest
+		 *
+		 * @property sleep_timer
+		 * @type {Number}
+		 * @default 0
+		 * @private
+		 */
+		this.sleep_timer = 0;
+
 		/**
 		 * the world to which the rigid body has been added,
 		 * this is set when the rigid body is added to a world
@@ -238,6 +368,7 @@ Object.defineProperty(
 			return this._mass;
 		},
 		set: function( n ) {
+			this.wake();
 			this._mass = n;
 			this._mass_inverted = 1 / n;
 			this.inertiaTensor = this.shape.getInertiaTensor( n );
@@ -274,18 +405,19 @@ Goblin.RigidBody.prototype.findSupportPoint = (function(){
  * @property ray_start {vec3} start point of the segment
  * @property ray_end {vec3{ end point of the segment
  * @property intersection_list {Array} array to append intersection to
+ * @property [backfaces=false] {Boolean} whether the back faces of meshes are hit
  */
 Goblin.RigidBody.prototype.rayIntersect = (function(){
 	var local_start = new Goblin.Vector3(),
 		local_end = new Goblin.Vector3();
 
-	return function( ray_start, ray_end, intersection_list ) {
+	return function( ray_start, ray_end, intersection_list, backfaces ) {
 		// transform start & end into local coordinates
 		this.transform_inverse.transformVector3Into( ray_start, local_start );
 		this.transform_inverse.transformVector3Into( ray_end, local_end );
 
 		// Intersect with shape
-		var intersection = this.shape.rayIntersect( local_start, local_end );
+		var intersection = this.shape.rayIntersect( local_start, local_end, backfaces );
 
 		if ( intersection != null ) {
 			intersection.object = this; // change from the shape to the body
@@ -306,23 +438,26 @@ Goblin.RigidBody.prototype.rayIntersect = (function(){
  * @param timestep {Number} time, in seconds, to use in integration
  */
 Goblin.RigidBody.prototype.integrate = function( timestep ) {
-	if ( this._mass === Infinity ) {
+	if ( this._mass === Infinity && this.is_kinematic === false ) {
 		return;
 	}
 
-	// Add accumulated linear force
-	_tmp_vec3_1.scaleVector( this.accumulated_force, this._mass_inverted );
-	_tmp_vec3_1.multiply( this.linear_factor );
-	this.linear_velocity.add( _tmp_vec3_1 );
-
-	// Add accumulated angular force
-	this.inverseInertiaTensorWorldFrame.transformVector3Into( this.accumulated_torque, _tmp_vec3_1 );
-	_tmp_vec3_1.multiply( this.angular_factor );
-	this.angular_velocity.add( _tmp_vec3_1 );
-
-	// Apply damping
-	this.linear_velocity.scale( Math.pow( 1 - this.linear_damping, timestep ) );
-	this.angular_velocity.scale( Math.pow( 1 - this.angular_damping, timestep ) );
+	// Kinematic bodies move with whatever velocity they are given
+	if ( this.is_kinematic === false ) {
+		// Add accumulated linear force
+		_tmp_vec3_1.scaleVector( this.accumulated_force, this._mass_inverted );
+		_tmp_vec3_1.multiply( this.linear_factor );
+		this.linear_velocity.add( _tmp_vec3_1 );
+
+		// Add accumulated angular force
+		this.inverseInertiaTensorWorldFrame.transformVector3Into( this.accumulated_torque, _tmp_vec3_1 );
+		_tmp_vec3_1.multiply( this.angular_factor );
+		this.angular_velocity.add( _tmp_vec3_1 );
+
+		// Apply damping
+		this.linear_velocity.scale( Math.pow( 1 - this.linear_damping, timestep ) );
+		this.angular_velocity.scale( Math.pow( 1 - this.angular_damping, timestep ) );
+	}
 
 	// Update position
 	_tmp_vec3_1.scaleVector( this.linear_velocity, timestep );
@@ -376,6 +511,7 @@ Goblin.RigidBody.prototype.setGravity = function( x, y, z ) {
  * @param impulse {vec3} linear velocity to add to the body
  */
 Goblin.RigidBody.prototype.applyImpulse = function( impulse ) {
+	this.wake();
 	_tmp_vec3_1.multiplyVectors( impulse, this.linear_factor );
 	this.linear_velocity.add( _tmp_vec3_1 );
 };
@@ -387,6 +523,7 @@ Goblin.RigidBody.prototype.applyImpulse = function( impulse ) {
  * @param force {vec3} force to apply to the rigid_body
  */
 Goblin.RigidBody.prototype.applyForce = function( force ) {
+	this.wake();
 	this.accumulated_force.add( force );
 };
 
@@ -398,6 +535,8 @@ Goblin.RigidBody.prototype.applyForce = function( force ) {
  * @param point {vec3} world coordinates where force originates
  */
 Goblin.RigidBody.prototype.applyForceAtWorldPoint = function( force, point ) {
+	this.wake();
+
 	_tmp_vec3_1.copy( point );
 	_tmp_vec3_1.subtract( this.position );
 	_tmp_vec3_1.cross( force );
@@ -419,7 +558,7 @@ Goblin.RigidBody.prototype.applyForceAtLocalPoint = function( force, point ) {
 };
 
 Goblin.RigidBody.prototype.getVelocityInLocalPoint = function( point, out ) {
-	if ( this._mass === Infinity ) {
+	if ( this._mass === Infinity && this.is_kinematic === false ) {
 		out.set( 0, 0, 0 );
 	} else {
 		out.copy( this.angular_velocity );
@@ -428,21 +567,55 @@ Goblin.RigidBody.prototype.getVelocityInLocalPoint = function( point, out ) {
 	}
 };
 
+/**
+ * Sets a kinematic body's velocities so it reaches `position` and `rotation` after the next time step
+ *
+ * @method setKinematicTarget
+ * @param position {vec3} position to move to
+ * @param rotation {quat4} rotation to turn to
+ * @param time_delta {Number} length, in seconds, of the next time step
+ */
+Goblin.RigidBody.prototype.setKinematicTarget = function( position, rotation, time_delta ) {
+	this.linear_velocity.subtractVectors( position, this.position );
+	this.linear_velocity.scale( 1 / time_delta );
+
+	// rotation from the current orientation to the target, taking the shortest arc
+	_tmp_quat4_1.invertQuaternion( this.rotation );
+	_tmp_quat4_1.multiplyQuaternions( rotation, _tmp_quat4_1 );
+	if ( _tmp_quat4_1.w < 0 ) {
+		_tmp_quat4_1.set( -_tmp_quat4_1.x, -_tmp_quat4_1.y, -_tmp_quat4_1.z, -_tmp_quat4_1.w );
+	}
+
+	var sin_half_angle = Math.sqrt( _tmp_quat4_1.x * _tmp_quat4_1.x + _tmp_quat4_1.y * _tmp_quat4_1.y + _tmp_quat4_1.z * _tmp_quat4_1.z );
+	if ( sin_half_angle < Goblin.EPSILON ) {
+		this.angular_velocity.set( 0, 0, 0 );
+	} else {
+		var angle = 2 * Math.atan2( sin_half_angle, _tmp_quat4_1.w );
+		this.angular_velocity.set( _tmp_quat4_1.x, _tmp_quat4_1.y, _tmp_quat4_1.z );
+		this.angular_velocity.scale( angle / ( sin_half_angle * time_delta ) );
+	}
+
+	this.wake();
+};
+
 /**
  * Sets the rigid body's transformation matrix to the current position and rotation
  *
  * @method updateDerived
+ * @param [keep_rotation=false] {Boolean} skips normalizing the rotation, keeping a restored rotation's exact value
  */
-Goblin.RigidBody.prototype.updateDerived = function() {
+Goblin.RigidBody.prototype.updateDerived = function( keep_rotation ) {
 	// normalize rotation
-	this.rotation.normalize();
+	if ( keep_rotation !== true ) {
+		this.rotation.normalize();
+	}
 
 	// update this.transform and this.transform_inverse
 	this.transform.makeTransform( this.rotation, this.position );
 	this.transform.invertInto( this.transform_inverse );
 
-	// Update the world frame inertia tensor and inverse
-	if ( this._mass !== Infinity ) {
+	// Update the world frame inertia tensor and inverse, sleeping bodies keep theirs zeroed until woken
+	if ( this._mass !== Infinity && this.is_sleeping === false ) {
 		_tmp_mat3_1.fromMatrix4( this.transform_inverse );
 		_tmp_mat3_1.transposeInto( _tmp_mat3_2 );
 		_tmp_mat3_2.multiply( this.inertiaTensor );
@@ -453,4 +626,193 @@ Goblin.RigidBody.prototype.updateDerived = function() {
 
 	// Update AABB
 	this.aabb.transform( this.shape.aabb, this.transform );
-};
\ No newline at end of file
+};
+
+/**
+ * Records the body's current position & rotation as the state to interpolate from
+ *
+ * @method storePreviousState
+ */
+Goblin.RigidBody.prototype.storePreviousState = function() {
+	this.previous_position.copy( this.position );
+	this.previous_rotation.copy( this.rotation );
+};
+
+/**
+ * Blends `render_position` & `render_rotation` between the body's previous and current states
+ *
+ * @method updateRenderState
+ * @param alpha {Number} how far between the previous ( 0 ) and current ( 1 ) states to blend
+ */
+Goblin.RigidBody.prototype.updateRenderState = function( alpha ) {
+	var previous = this.previous_rotation,
+		current = this.rotation,
+		// interpolate along the shortest arc
+		sign = previous.x * current.x + previous.y * current.y + previous.z * current.z + previous.w * current.w < 0 ? -1 : 1;
+
+	this.render_position.x = this.previous_position.x + ( this.position.x - this.previous_position.x ) * alpha;
+	this.render_position.y = this.previous_position.y + ( this.position.y - this.previous_position.y ) * alpha;
+	this.render_position.z = this.previous_position.z + ( this.position.z - this.previous_position.z ) * alpha;
+
+	this.render_rotation.x = previous.x + ( sign * current.x - previous.x ) * alpha;
+	this.render_rotation.y = previous.y + ( sign * current.y - previous.y ) * alpha;
+	this.render_rotation.z = previous.z + ( sign * current.z - previous.z ) * alpha;
+	this.render_rotation.w = previous.w + ( sign * current.w - previous.w ) * alpha;
+	this.render_rotation.normalize();
+};
+
+/**
+ * Captures everything about the body which influences the next time step
+ *
+ * @method saveState
+ * @return {Object} state which can be passed to `restoreState`
+ */
+Goblin.RigidBody.prototype.saveState = function() {
+	var state = {
+		position: new Goblin.Vector3(),
+		rotation: new Goblin.Quaternion(),
+		previous_position: new Goblin.Vector3(),
+		previous_rotation: new Goblin.Quaternion(),
+		linear_velocity: new Goblin.Vector3(),
+		angular_velocity: new Goblin.Vector3(),
+		accumulated_force: new Goblin.Vector3(),
+		accumulated_torque: new Goblin.Vector3(),
+		transform: new Goblin.Matrix4(),
+		transform_inverse: new Goblin.Matrix4(),
+		inertiaTensorWorldFrame: new Goblin.Matrix3(),
+		inverseInertiaTensorWorldFrame: new Goblin.Matrix3(),
+		aabb: new Goblin.AABB(),
+		mass_inverted: this._mass_inverted,
+		is_sleeping: this.is_sleeping,
+		sleep_timer: this.sleep_timer
+	};
+
+	state.position.copy( this.position );
+	state.rotation.copy( this.rotation );
+	state.previous_position.copy( this.previous_position );
+	state.previous_rotation.copy( this.previous_rotation );
+	state.linear_velocity.copy( this.linear_velocity );
+	state.angular_velocity.copy( this.angular_velocity );
+	state.accumulated_force.copy( this.accumulated_force );
+	state.accumulated_torque.copy( this.accumulated_torque );
+	state.transform.copy( this.transform );
+	state.transform_inverse.copy( this.transform_inverse );
+	state.inertiaTensorWorldFrame.copy( this.inertiaTensorWorldFrame );
+	state.inverseInertiaTensorWorldFrame.copy( this.inverseInertiaTensorWorldFrame );
+	state.aabb.copy( this.aabb );
+
+	return state;
+};
+
+/**
+ * Restores the body to a state captured by `saveState`. Derived values are copied rather than
+ * recomputed so the body continues exactly as it did after the state was saved
+ *
+ * @method restoreState
+ * @param state {Object} state returned by `saveState`
+ */
+Goblin.RigidBody.prototype.restoreState = function( state ) {
+	this.position.copy( state.position );
+	this.rotation.copy( state.rotation );
+	this.previous_position.copy( state.previous_position );
+	this.previous_rotation.copy( state.previous_rotation );
+	this.linear_velocity.copy( state.linear_velocity );
+	this.angular_velocity.copy( state.angular_velocity );
+	this.accumulated_force.copy( state.accumulated_force );
+	this.accumulated_torque.copy( state.accumulated_torque );
+	this.transform.copy( state.transform );
+	this.transform_inverse.copy( state.transform_inverse );
+	this.inertiaTensorWorldFrame.copy( state.inertiaTensorWorldFrame );
+	this.inverseInertiaTensorWorldFrame.copy( state.inverseInertiaTensorWorldFrame );
+	this.aabb.copy( state.aabb );
+	this._mass_inverted = state.mass_inverted;
+	this.is_sleeping = state.is_sleeping;
+	this.sleep_timer = state.sleep_timer;
+};
+
+/**
+ * Returns true if the body's linear and angular velocities are both below its sleep thresholds
+ *
+ * @method isResting
+ * @return {Boolean}
+ */
+Goblin.RigidBody.prototype.isResting = function() {
+	return this.linear_velocity.lengthSquared() < this.sleep_linear_threshold * this.sleep_linear_threshold &&
+		this.angular_velocity.lengthSquared() < this.sleep_angular_threshold * this.sleep_angular_threshold;
+};
+
+/**
+ * Advances the body's sleep timer, putting the body to sleep once it has been at rest for `time_to_sleep` seconds
+ *
+ * @method updateSleepState
+ * @param time_delta {Number} time, in seconds, since the last update
+ */
+Goblin.RigidBody.prototype.updateSleepState = function( time_delta ) {
+	if ( this.allow_sleep === false || this.is_sleeping === true || this._mass === Infinity ) {
+		return;
+	}
+
+	if ( this.isResting() ) {
+		this.sleep_timer += time_delta;
+		if ( this.sleep_timer >= this.time_to_sleep ) {
+			this.sleep();
+		}
+	} else {
+		this.sleep_timer = 0;
+	}
+};
+
+/**
+ * Puts the body to sleep, clearing its velocities & forces. Until woken the body is not integrated
+ * and the solver treats it as a static body.
+ * Emits `sleep` on the body and on its world
+ *
+ * @method sleep
+ */
+Goblin.RigidBody.prototype.sleep = function() {
+	if ( this.is_sleeping === true || this._mass === Infinity ) {
+		return;
+	}
+
+	this.is_sleeping = true;
+
+	this.linear_velocity.x = this.linear_velocity.y = this.linear_velocity.z = 0;
+	this.angular_velocity.x = this.angular_velocity.y = this.angular_velocity.z = 0;
+	this.accumulated_force.x = this.accumulated_force.y = this.accumulated_force.z = 0;
+	this.accumulated_torque.x = this.accumulated_torque.y = this.accumulated_torque.z = 0;
+
+	// zero inverse mass & inertia so constraint rows can't move the body
+	this._mass_inverted = 0;
+	var inverse_inertia = this.inverseInertiaTensorWorldFrame;
+	inverse_inertia.e00 = inverse_inertia.e01 = inverse_inertia.e02 = 0;
+	inverse_inertia.e10 = inverse_inertia.e11 = inverse_inertia.e12 = 0;
+	inverse_inertia.e20 = inverse_inertia.e21 = inverse_inertia.e22 = 0;
+
+	this.emit( 'sleep' );
+	if ( this.world != null ) {
+		this.world.emit( 'sleep', this );
+	}
+};
+
+/**
+ * Wakes the body if it is sleeping. Must be called after directly changing a sleeping body's position or velocity.
+ * Emits `wake` on the body and on its world
+ *
+ * @method wake
+ */
+Goblin.RigidBody.prototype.wake = function() {
+	if ( this.is_sleeping === false ) {
+		return;
+	}
+
+	this.is_sleeping = false;
+	this.sleep_timer = 0;
+
+	this._mass_inverted = 1 / this._mass;
+	this.updateDerived();
+
+	this.emit( 'wake' );
+	if ( this.world != null ) {
+		this.world.emit( 'wake', this );
+	}
+};
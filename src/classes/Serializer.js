@@ -0,0 +1,873 @@
+/**
+ * Converts worlds to and from versioned, JSON-compatible documents. Shapes, constraints, and force generators are
+ * looked up in type registries so new types can be made serializable with `registerShape`, `registerConstraint`,
+ * and `registerForceGenerator`
+ *
+ * @class Serializer
+ * @static
+ */
+Goblin.Serializer = {
+	/**
+	 * version of the document format written by `serializeWorld`
+	 *
+	 * @property version
+	 * @type {Number}
+	 */
+	version: 1,
+
+	/**
+	 * registered shape types
+	 *
+	 * @property shape_types
+	 * @type {Array}
+	 * @private
+	 */
+	shape_types: [],
+
+	/**
+	 * registered constraint types
+	 *
+	 * @property constraint_types
+	 * @type {Array}
+	 * @private
+	 */
+	constraint_types: [],
+
+	/**
+	 * registered force generator types
+	 *
+	 * @property force_generator_types
+	 * @type {Array}
+	 * @private
+	 */
+	force_generator_types: [],
+
+	/**
+	 * registers a shape type as serializable
+	 *
+	 * @method registerShape
+	 * @param type {String} name stored in the document to identify the type
+	 * @param klass {Function} the shape's constructor
+	 * @param serialize {Function} given `shape` and a function to serialize child shapes, returns an object of the shape's parameters
+	 * @param deserialize {Function} given the parameters and a function to look up child shapes, returns a new shape
+	 */
+	registerShape: function( type, klass, serialize, deserialize ) {
+		this.shape_types.push({ type: type, klass: klass, serialize: serialize, deserialize: deserialize });
+	},
+
+	/**
+	 * registers a constraint type as serializable
+	 *
+	 * @method registerConstraint
+	 * @param type {String} name stored in the document to identify the type
+	 * @param klass {Function} the constraint's constructor
+	 * @param serialize {Function} given `constraint`, returns an object of the constraint's parameters
+	 * @param deserialize {Function} given the parameters, `object_a` and `object_b`, returns a new constraint
+	 */
+	registerConstraint: function( type, klass, serialize, deserialize ) {
+		this.constraint_types.push({ type: type, klass: klass, serialize: serialize, deserialize: deserialize });
+	},
+
+	/**
+	 * registers a force generator type as serializable
+	 *
+	 * @method registerForceGenerator
+	 * @param type {String} name stored in the document to identify the type
+	 * @param klass {Function} the force generator's constructor
+	 * @param serialize {Function} given `force_generator`, returns an object of the generator's parameters
+	 * @param deserialize {Function} given the parameters, returns a new force generator
+	 */
+	registerForceGenerator: function( type, klass, serialize, deserialize ) {
+		this.force_generator_types.push({ type: type, klass: klass, serialize: serialize, deserialize: deserialize });
+	},
+
+	/**
+	 * finds the registered type `object` is an instance of
+	 *
+	 * @method findType
+	 * @param types {Array} registry to search
+	 * @param object {Object}
+	 * @return {Object} the registered type
+	 * @private
+	 */
+	findType: function( types, object ) {
+		for ( var i = 0; i < types.length; i++ ) {
+			if ( object instanceof types[i].klass ) {
+				return types[i];
+			}
+		}
+		throw new Error( 'Goblin.Serializer: unregistered type' );
+	},
+
+	/**
+	 * finds the registered type with name `type`
+	 *
+	 * @method findTypeByName
+	 * @param types {Array} registry to search
+	 * @param type {String}
+	 * @return {Object} the registered type
+	 * @private
+	 */
+	findTypeByName: function( types, type ) {
+		for ( var i = 0; i < types.length; i++ ) {
+			if ( types[i].type === type ) {
+				return types[i];
+			}
+		}
+		throw new Error( 'Goblin.Serializer: unknown type "' + type + '"' );
+	},
+
+	vec3ToArray: function( v ) {
+		return [ v.x, v.y, v.z ];
+	},
+
+	arrayToVec3: function( a, v ) {
+		v = v || new Goblin.Vector3();
+		v.set( a[0], a[1], a[2] );
+		return v;
+	},
+
+	quatToArray: function( q ) {
+		return [ q.x, q.y, q.z, q.w ];
+	},
+
+	arrayToQuat: function( a, q ) {
+		q = q || new Goblin.Quaternion();
+		q.set( a[0], a[1], a[2], a[3] );
+		return q;
+	},
+
+	/**
+	 * serializes `world` into a JSON-compatible document
+	 *
+	 * @method serializeWorld
+	 * @param world {Goblin.World}
+	 * @return {Object}
+	 */
+	serializeWorld: function( world ) {
+		var serializer = this,
+			shapes = [],
+			shape_data = [],
+			materials = [],
+			material_data = [],
+			bodies = world.rigid_bodies.concat( world.ghost_bodies ),
+			i, key, pair;
+
+		var serializeMaterial = function( material ) {
+			if ( material == null ) {
+				return null;
+			}
+			var idx = materials.indexOf( material );
+			if ( idx === -1 ) {
+				idx = materials.length;
+				materials.push( material );
+				material_data.push( serializer.serializeMaterial( material ) );
+			}
+			return idx;
+		};
+
+		var serializeShape = function( shape ) {
+			var idx = shapes.indexOf( shape );
+			if ( idx === -1 ) {
+				var type = serializer.findType( serializer.shape_types, shape ),
+					data = type.serialize( shape, serializeShape );
+				data.type = type.type;
+				data.material = serializeMaterial( shape.material );
+
+				idx = shapes.length;
+				shapes.push( shape );
+				shape_data.push( data );
+			}
+			return idx;
+		};
+
+		var bodyIndex = function( body ) {
+			return body == null ? null : bodies.indexOf( body );
+		};
+
+		var serialized = {
+			version: this.version,
+			ticks: world.ticks,
+			gravity: this.vec3ToArray( world.gravity ),
+			solver: {
+				max_iterations: world.solver.max_iterations,
+				penetrations_max_iterations: world.solver.penetrations_max_iterations,
+				relaxation: world.solver.relaxation,
+				sor_weight: world.solver.sor_weight,
+				warmstarting_factor: world.solver.warmstarting_factor
+			},
+			shapes: shape_data,
+			materials: material_data,
+			material_pairs: [],
+			bodies: [],
+			constraints: [],
+			force_generators: []
+		};
+
+		for ( i = 0; i < bodies.length; i++ ) {
+			serialized.bodies.push( this.serializeBody( bodies[i], serializeShape( bodies[i].shape ) ) );
+			serialized.bodies[i].material = serializeMaterial( bodies[i].material );
+		}
+
+		for ( key in world.material_pairs ) {
+			pair = world.material_pairs[key];
+			serialized.material_pairs.push([
+				serializeMaterial( pair.material_a ),
+				serializeMaterial( pair.material_b ),
+				serializeMaterial( pair.material )
+			]);
+		}
+
+		for ( i = 0; i < world.solver.constraints.length; i++ ) {
+			var constraint = world.solver.constraints[i],
+				constraint_type = this.findType( this.constraint_types, constraint ),
+				constraint_data = constraint_type.serialize( constraint );
+
+			constraint_data.type = constraint_type.type;
+			constraint_data.object_a = bodyIndex( constraint.object_a );
+			constraint_data.object_b = bodyIndex( constraint.object_b );
+			constraint_data.active = constraint.active;
+			constraint_data.factor = constraint.factor;
+			constraint_data.breaking_threshold = constraint.breaking_threshold;
+			serialized.constraints.push( constraint_data );
+		}
+
+		for ( i = 0; i < world.force_generators.length; i++ ) {
+			var force_generator = world.force_generators[i],
+				generator_type = this.findType( this.force_generator_types, force_generator ),
+				generator_data = generator_type.serialize( force_generator );
+
+			generator_data.type = generator_type.type;
+			generator_data.enabled = force_generator.enabled;
+			generator_data.affected = force_generator.affected.map( bodyIndex );
+			serialized.force_generators.push( generator_data );
+		}
+
+		return serialized;
+	},
+
+	/**
+	 * serializes a material's properties
+	 *
+	 * @method serializeMaterial
+	 * @param material {Goblin.Material}
+	 * @return {Object}
+	 * @private
+	 */
+	serializeMaterial: function( material ) {
+		return {
+			friction: material.friction,
+			restitution: material.restitution,
+			rolling_friction: material.rolling_friction,
+			spinning_friction: material.spinning_friction,
+			density: material.density,
+			friction_combine: material.friction_combine,
+			restitution_combine: material.restitution_combine
+		};
+	},
+
+	/**
+	 * creates a material from its serialized properties
+	 *
+	 * @method deserializeMaterial
+	 * @param data {Object} serialized material
+	 * @return {Goblin.Material}
+	 * @private
+	 */
+	deserializeMaterial: function( data ) {
+		var material = new Goblin.Material( data.friction, data.restitution, data.rolling_friction, data.density );
+		material.spinning_friction = data.spinning_friction || 0;
+		material.friction_combine = data.friction_combine;
+		material.restitution_combine = data.restitution_combine;
+		return material;
+	},
+
+	/**
+	 * serializes a body's state
+	 *
+	 * @method serializeBody
+	 * @param body {Goblin.RigidBody}
+	 * @param shape {Number} index of the body's shape
+	 * @return {Object}
+	 * @private
+	 */
+	serializeBody: function( body, shape ) {
+		return {
+			shape: shape,
+			ghost: body instanceof Goblin.GhostBody,
+			mass: body._mass === Infinity ? 0 : body._mass,
+			position: this.vec3ToArray( body.position ),
+			rotation: this.quatToArray( body.rotation ),
+			linear_velocity: this.vec3ToArray( body.linear_velocity ),
+			angular_velocity: this.vec3ToArray( body.angular_velocity ),
+			restitution: body.restitution,
+			friction: body.friction,
+			collision_groups: body.collision_groups,
+			collision_mask: body.collision_mask,
+			gravity: body.gravity == null ? null : this.vec3ToArray( body.gravity ),
+			linear_damping: body.linear_damping,
+			angular_damping: body.angular_damping,
+			linear_factor: this.vec3ToArray( body.linear_factor ),
+			angular_factor: this.vec3ToArray( body.angular_factor ),
+			is_kinematic: body.is_kinematic,
+			ccd_motion_threshold: body.ccd_motion_threshold,
+			ccd_swept_sphere_radius: body.ccd_swept_sphere_radius,
+			allow_sleep: body.allow_sleep,
+			is_sleeping: body.is_sleeping,
+			sleep_linear_threshold: body.sleep_linear_threshold,
+			sleep_angular_threshold: body.sleep_angular_threshold,
+			time_to_sleep: body.time_to_sleep,
+			sleep_timer: body.sleep_timer
+		};
+	},
+
+	/**
+	 * rebuilds a world from a document created by `serializeWorld`
+	 *
+	 * @method deserializeWorld
+	 * @param serialized {Object|String} serialized world, or its JSON string
+	 * @param [broadphase] {Goblin.Broadphase} broadphase for the new world, defaults to a `SAPBroadphase`
+	 * @param [narrowphase] {Goblin.NarrowPhase} narrowphase for the new world
+	 * @param [solver] {Goblin.IterativeSolver} solver for the new world
+	 * @return {Goblin.World}
+	 */
+	deserializeWorld: function( serialized, broadphase, narrowphase, solver ) {
+		if ( typeof serialized === 'string' ) {
+			serialized = JSON.parse( serialized );
+		}
+		if ( serialized.version !== this.version ) {
+			throw new Error( 'Goblin.Serializer: unsupported document version ' + serialized.version );
+		}
+
+		var world = new Goblin.World(
+				broadphase || new Goblin.SAPBroadphase(),
+				narrowphase || new Goblin.NarrowPhase(),
+				solver || new Goblin.IterativeSolver()
+			),
+			shapes = [],
+			materials = ( serialized.materials || [] ).map( this.deserializeMaterial ),
+			bodies = [],
+			sleeping = [],
+			i, data, body;
+
+		world.ticks = serialized.ticks;
+		this.arrayToVec3( serialized.gravity, world.gravity );
+		for ( var key in serialized.solver ) {
+			world.solver[key] = serialized.solver[key];
+		}
+
+		var getShape = function( idx ) {
+			return shapes[idx];
+		};
+		for ( i = 0; i < serialized.shapes.length; i++ ) {
+			data = serialized.shapes[i];
+			shapes.push( this.findTypeByName( this.shape_types, data.type ).deserialize( data, getShape ) );
+			if ( data.material != null ) {
+				shapes[i].material = materials[data.material];
+			}
+		}
+
+		if ( serialized.material_pairs != null ) {
+			for ( i = 0; i < serialized.material_pairs.length; i++ ) {
+				data = serialized.material_pairs[i];
+				world.setMaterialPair( materials[data[0]], materials[data[1]], materials[data[2]] );
+			}
+		}
+
+		for ( i = 0; i < serialized.bodies.length; i++ ) {
+			data = serialized.bodies[i];
+			body = this.deserializeBody( data, shapes[data.shape] );
+			if ( data.material != null ) {
+				body.material = materials[data.material];
+			}
+			bodies.push( body );
+
+			if ( data.ghost ) {
+				world.addGhostBody( body );
+			} else {
+				world.addRigidBody( body );
+			}
+
+			if ( data.is_sleeping ) {
+				sleeping.push( body );
+			}
+		}
+
+		for ( i = 0; i < serialized.constraints.length; i++ ) {
+			data = serialized.constraints[i];
+			var constraint = this.findTypeByName( this.constraint_types, data.type ).deserialize(
+				data,
+				bodies[data.object_a] || null,
+				data.object_b == null ? null : bodies[data.object_b]
+			);
+			constraint.active = data.active;
+			constraint.factor = data.factor;
+			constraint.breaking_threshold = data.breaking_threshold;
+			world.addConstraint( constraint );
+		}
+
+		for ( i = 0; i < serialized.force_generators.length; i++ ) {
+			data = serialized.force_generators[i];
+			var force_generator = this.findTypeByName( this.force_generator_types, data.type ).deserialize( data );
+			force_generator.enabled = data.enabled;
+			for ( var j = 0; j < data.affected.length; j++ ) {
+				force_generator.affect( bodies[data.affected[j]] );
+			}
+			world.addForceGenerator( force_generator );
+		}
+
+		// adding bodies & constraints re-normalizes rotations, which can change their last bit; restore the exact values
+		// and rebuild the transforms from them
+		for ( i = 0; i < bodies.length; i++ ) {
+			this.arrayToQuat( serialized.bodies[i].rotation, bodies[i].rotation );
+			bodies[i].updateDerived( true );
+		}
+
+		// adding constraints wakes their bodies, so restore sleep state last
+		for ( i = 0; i < sleeping.length; i++ ) {
+			sleeping[i].sleep();
+		}
+
+		return world;
+	},
+
+	/**
+	 * creates a body from its serialized state
+	 *
+	 * @method deserializeBody
+	 * @param data {Object} serialized body
+	 * @param shape {Object} the body's shape
+	 * @return {Goblin.RigidBody}
+	 * @private
+	 */
+	deserializeBody: function( data, shape ) {
+		var body = data.ghost ? new Goblin.GhostBody( shape ) : new Goblin.RigidBody( shape, data.mass );
+
+		this.arrayToVec3( data.position, body.position );
+		this.arrayToQuat( data.rotation, body.rotation );
+		this.arrayToVec3( data.linear_velocity, body.linear_velocity );
+		this.arrayToVec3( data.angular_velocity, body.angular_velocity );
+		body.restitution = data.restitution;
+		body.friction = data.friction;
+		body.collision_groups = data.collision_groups;
+		body.collision_mask = data.collision_mask;
+		if ( data.gravity != null ) {
+			body.setGravity( data.gravity[0], data.gravity[1], data.gravity[2] );
+		}
+		body.linear_damping = data.linear_damping;
+		body.angular_damping = data.angular_damping;
+		this.arrayToVec3( data.linear_factor, body.linear_factor );
+		this.arrayToVec3( data.angular_factor, body.angular_factor );
+		body.is_kinematic = data.is_kinematic === true;
+		body.ccd_motion_threshold = data.ccd_motion_threshold || 0;
+		body.ccd_swept_sphere_radius = data.ccd_swept_sphere_radius || 0;
+		body.allow_sleep = data.allow_sleep;
+		body.sleep_linear_threshold = data.sleep_linear_threshold;
+		body.sleep_angular_threshold = data.sleep_angular_threshold;
+		body.time_to_sleep = data.time_to_sleep;
+		body.sleep_timer = data.sleep_timer;
+		body.updateDerived();
+
+		return body;
+	}
+};
+
+// register the shapes, constraints, and force generators provided by Goblin
+(function(){
+	var serializer = Goblin.Serializer,
+		vec3ToArray = serializer.vec3ToArray,
+		arrayToVec3 = serializer.arrayToVec3,
+		quatToArray = serializer.quatToArray,
+		arrayToQuat = serializer.arrayToQuat;
+
+	serializer.registerShape(
+		'BoxShape', Goblin.BoxShape,
+		function( shape ) {
+			return { half_width: shape.half_width, half_height: shape.half_height, half_depth: shape.half_depth };
+		},
+		function( data ) {
+			return new Goblin.BoxShape( data.half_width, data.half_height, data.half_depth );
+		}
+	);
+
+	serializer.registerShape(
+		'SphereShape', Goblin.SphereShape,
+		function( shape ) {
+			return { radius: shape.radius };
+		},
+		function( data ) {
+			return new Goblin.SphereShape( data.radius );
+		}
+	);
+
+	serializer.registerShape(
+		'ConeShape', Goblin.ConeShape,
+		function( shape ) {
+			return { radius: shape.radius, half_height: shape.half_height };
+		},
+		function( data ) {
+			return new Goblin.ConeShape( data.radius, data.half_height );
+		}
+	);
+
+	serializer.registerShape(
+		'CylinderShape', Goblin.CylinderShape,
+		function( shape ) {
+			return { radius: shape.radius, half_height: shape.half_height };
+		},
+		function( data ) {
+			return new Goblin.CylinderShape( data.radius, data.half_height );
+		}
+	);
+
+	serializer.registerShape(
+		'CapsuleShape', Goblin.CapsuleShape,
+		function( shape ) {
+			return { radius: shape.radius, half_height: shape.half_height };
+		},
+		function( data ) {
+			return new Goblin.CapsuleShape( data.radius, data.half_height );
+		}
+	);
+
+	serializer.registerShape(
+		'PlaneShape', Goblin.PlaneShape,
+		function( shape ) {
+			return { orientation: shape.orientation, half_width: shape.half_width, half_length: shape.half_length };
+		},
+		function( data ) {
+			return new Goblin.PlaneShape( data.orientation, data.half_width, data.half_length );
+		}
+	);
+
+	serializer.registerShape(
+		'TriangleShape', Goblin.TriangleShape,
+		function( shape ) {
+			return { a: vec3ToArray( shape.a ), b: vec3ToArray( shape.b ), c: vec3ToArray( shape.c ) };
+		},
+		function( data ) {
+			return new Goblin.TriangleShape( arrayToVec3( data.a ), arrayToVec3( data.b ), arrayToVec3( data.c ) );
+		}
+	);
+
+	serializer.registerShape(
+		'ConvexShape', Goblin.ConvexShape,
+		function( shape ) {
+			return { vertices: shape.vertices.map( vec3ToArray ) };
+		},
+		function( data ) {
+			return new Goblin.ConvexShape( data.vertices.map( function( vertex ) { return arrayToVec3( vertex ); } ) );
+		}
+	);
+
+	serializer.registerShape(
+		'MeshShape', Goblin.MeshShape,
+		function( shape ) {
+			return { vertices: shape.vertices.map( vec3ToArray ), faces: shape.faces.slice() };
+		},
+		function( data ) {
+			return new Goblin.MeshShape( data.vertices.map( function( vertex ) { return arrayToVec3( vertex ); } ), data.faces );
+		}
+	);
+
+	serializer.registerShape(
+		'HeightfieldShape', Goblin.HeightfieldShape,
+		function( shape ) {
+			return {
+				width_samples: shape.width_samples,
+				depth_samples: shape.depth_samples,
+				heights: Array.prototype.slice.call( shape.heights ),
+				scale: vec3ToArray( shape.scale )
+			};
+		},
+		function( data ) {
+			return new Goblin.HeightfieldShape( data.width_samples, data.depth_samples, data.heights, arrayToVec3( data.scale ) );
+		}
+	);
+
+	serializer.registerShape(
+		'CompoundShape', Goblin.CompoundShape,
+		function( shape, serializeShape ) {
+			return {
+				children: shape.child_shapes.map(function( child ) {
+					return {
+						shape: serializeShape( child.shape ),
+						position: vec3ToArray( child.position ),
+						rotation: quatToArray( child.rotation )
+					};
+				})
+			};
+		},
+		function( data, getShape ) {
+			var shape = new Goblin.CompoundShape();
+			for ( var i = 0; i < data.children.length; i++ ) {
+				shape.addChildShape(
+					getShape( data.children[i].shape ),
+					arrayToVec3( data.children[i].position ),
+					arrayToQuat( data.children[i].rotation )
+				);
+			}
+			return shape;
+		}
+	);
+
+	serializer.registerConstraint(
+		'PointConstraint', Goblin.PointConstraint,
+		function( constraint ) {
+			return {
+				point_a: vec3ToArray( constraint.point_a ),
+				point_b: vec3ToArray( constraint.point_b ),
+				erp: constraint.erp
+			};
+		},
+		function( data, object_a, object_b ) {
+			var constraint = new Goblin.PointConstraint( object_a, arrayToVec3( data.point_a ), object_b, arrayToVec3( data.point_b ) );
+			arrayToVec3( data.point_b, constraint.point_b );
+			constraint.erp = data.erp;
+			return constraint;
+		}
+	);
+
+	serializer.registerConstraint(
+		'ConeTwistConstraint', Goblin.ConeTwistConstraint,
+		function( constraint ) {
+			return {
+				axis_a: vec3ToArray( constraint.axis_a ),
+				point_a: vec3ToArray( constraint.point_a ),
+				reference_a: vec3ToArray( constraint.reference_a ),
+				axis_b: vec3ToArray( constraint.axis_b ),
+				point_b: vec3ToArray( constraint.point_b ),
+				reference_b: vec3ToArray( constraint.reference_b ),
+				erp: constraint.erp,
+				swing_span_1: constraint.swing_span_1,
+				swing_span_2: constraint.swing_span_2,
+				twist_span: constraint.twist_span,
+				bias_factor: constraint.bias_factor,
+				softness: constraint.softness
+			};
+		},
+		function( data, object_a, object_b ) {
+			var constraint = new Goblin.ConeTwistConstraint(
+				object_a, arrayToVec3( data.axis_a ), arrayToVec3( data.point_a ),
+				object_b, arrayToVec3( data.point_b )
+			);
+			// the joint's frames were derived from the bodies' poses when the constraint was first created
+			arrayToVec3( data.reference_a, constraint.reference_a );
+			arrayToVec3( data.axis_b, constraint.axis_b );
+			arrayToVec3( data.point_b, constraint.point_b );
+			arrayToVec3( data.reference_b, constraint.reference_b );
+			constraint.erp = data.erp;
+			constraint.setLimits( data.swing_span_1, data.swing_span_2, data.twist_span );
+			constraint.bias_factor = data.bias_factor;
+			constraint.softness = data.softness;
+			return constraint;
+		}
+	);
+
+	serializer.registerConstraint(
+		'DistanceConstraint', Goblin.DistanceConstraint,
+		function( constraint ) {
+			return {
+				point_a: vec3ToArray( constraint.point_a ),
+				point_b: vec3ToArray( constraint.point_b ),
+				erp: constraint.erp,
+				min_distance: constraint.min_distance,
+				max_distance: constraint.max_distance
+			};
+		},
+		function( data, object_a, object_b ) {
+			var constraint = new Goblin.DistanceConstraint( object_a, arrayToVec3( data.point_a ), object_b, arrayToVec3( data.point_b ) );
+			constraint.erp = data.erp;
+			constraint.setRange( data.min_distance, data.max_distance );
+			return constraint;
+		}
+	);
+
+	serializer.registerConstraint(
+		'Generic6DofConstraint', Goblin.Generic6DofConstraint,
+		function( constraint ) {
+			return {
+				position_a: vec3ToArray( constraint.position_a ),
+				rotation_a: quatToArray( constraint.rotation_a ),
+				position_b: vec3ToArray( constraint.position_b ),
+				rotation_b: quatToArray( constraint.rotation_b ),
+				erp: constraint.erp,
+				axes: constraint.axes.map(function( axis ){
+					var data = {};
+					for ( var key in axis ) {
+						data[key] = axis[key];
+					}
+					return data;
+				})
+			};
+		},
+		function( data, object_a, object_b ) {
+			var constraint = new Goblin.Generic6DofConstraint(
+				object_a, arrayToVec3( data.position_a ), arrayToQuat( data.rotation_a ),
+				object_b, arrayToVec3( data.position_b ), arrayToQuat( data.rotation_b )
+			);
+			constraint.erp = data.erp;
+			for ( var i = 0; i < data.axes.length; i++ ) {
+				for ( var key in data.axes[i] ) {
+					constraint.axes[i][key] = data.axes[i][key];
+				}
+			}
+			return constraint;
+		}
+	);
+
+	serializer.registerConstraint(
+		'HingeConstraint', Goblin.HingeConstraint,
+		function( constraint ) {
+			return {
+				hinge_a: vec3ToArray( constraint.hinge_a ),
+				point_a: vec3ToArray( constraint.point_a ),
+				hinge_b: vec3ToArray( constraint.hinge_b ),
+				point_b: vec3ToArray( constraint.point_b ),
+				erp: constraint.erp,
+				reference_a: vec3ToArray( constraint.reference_a ),
+				reference_b: vec3ToArray( constraint.reference_b ),
+				limit_lower: constraint.limit_lower,
+				limit_upper: constraint.limit_upper,
+				limit_restitution: constraint.limit_restitution,
+				limit_softness: constraint.limit_softness,
+				motor_enabled: constraint.motor_enabled,
+				motor_target_velocity: constraint.motor_target_velocity,
+				motor_max_torque: constraint.motor_max_torque,
+				servo_enabled: constraint.servo_enabled,
+				servo_target: constraint.servo_target
+			};
+		},
+		function( data, object_a, object_b ) {
+			var constraint = new Goblin.HingeConstraint(
+				object_a, arrayToVec3( data.hinge_a ), arrayToVec3( data.point_a ),
+				object_b, arrayToVec3( data.point_b )
+			);
+			// the anchors in object_b were derived from the bodies' poses when the constraint was first created
+			arrayToVec3( data.hinge_b, constraint.hinge_b );
+			arrayToVec3( data.point_b, constraint.point_b );
+			constraint.erp = data.erp;
+			if ( data.reference_a != null ) {
+				arrayToVec3( data.reference_a, constraint.reference_a );
+				arrayToVec3( data.reference_b, constraint.reference_b );
+				// unbounded limits become null when the document is converted to JSON
+				constraint.limit_lower = data.limit_lower == null ? -Infinity : data.limit_lower;
+				constraint.limit_upper = data.limit_upper == null ? Infinity : data.limit_upper;
+				constraint.limit_restitution = data.limit_restitution;
+				constraint.limit_softness = data.limit_softness;
+				constraint.motor_enabled = data.motor_enabled;
+				constraint.motor_target_velocity = data.motor_target_velocity;
+				constraint.motor_max_torque = data.motor_max_torque;
+				constraint.servo_enabled = data.servo_enabled;
+				constraint.servo_target = data.servo_target;
+			}
+			return constraint;
+		}
+	);
+
+	serializer.registerConstraint(
+		'SliderConstraint', Goblin.SliderConstraint,
+		function( constraint ) {
+			return {
+				axis: vec3ToArray( constraint.axis ),
+				position_error: vec3ToArray( constraint.position_error ),
+				rotation_difference: quatToArray( constraint.rotation_difference ),
+				erp: constraint.erp,
+				limit_lower: constraint.limit_lower,
+				limit_upper: constraint.limit_upper,
+				motor_enabled: constraint.motor_enabled,
+				motor_target_velocity: constraint.motor_target_velocity,
+				motor_max_force: constraint.motor_max_force,
+				spring_enabled: constraint.spring_enabled,
+				spring_rest_position: constraint.spring_rest_position,
+				spring_stiffness: constraint.spring_stiffness,
+				spring_damping: constraint.spring_damping
+			};
+		},
+		function( data, object_a, object_b ) {
+			var constraint = new Goblin.SliderConstraint( object_a, arrayToVec3( data.axis ), object_b );
+			arrayToVec3( data.position_error, constraint.position_error );
+			arrayToQuat( data.rotation_difference, constraint.rotation_difference );
+			constraint.erp = data.erp;
+			if ( data.motor_enabled != null ) {
+				// unbounded limits become null when the document is converted to JSON
+				constraint.limit_lower = data.limit_lower == null ? -Infinity : data.limit_lower;
+				constraint.limit_upper = data.limit_upper == null ? Infinity : data.limit_upper;
+				constraint.motor_enabled = data.motor_enabled;
+				constraint.motor_target_velocity = data.motor_target_velocity;
+				constraint.motor_max_force = data.motor_max_force;
+				constraint.spring_enabled = data.spring_enabled;
+				constraint.spring_rest_position = data.spring_rest_position;
+				constraint.spring_stiffness = data.spring_stiffness;
+				constraint.spring_damping = data.spring_damping;
+			}
+			return constraint;
+		}
+	);
+
+	serializer.registerConstraint(
+		'SpringConstraint', Goblin.SpringConstraint,
+		function( constraint ) {
+			return {
+				point_a: vec3ToArray( constraint.point_a ),
+				point_b: vec3ToArray( constraint.point_b ),
+				rest_length: constraint.rest_length,
+				frequency: constraint.frequency,
+				damping_ratio: constraint.damping_ratio
+			};
+		},
+		function( data, object_a, object_b ) {
+			var constraint = new Goblin.SpringConstraint(
+				object_a, arrayToVec3( data.point_a ),
+				object_b, arrayToVec3( data.point_b ),
+				data.frequency, data.damping_ratio
+			);
+			constraint.rest_length = data.rest_length;
+			return constraint;
+		}
+	);
+
+	serializer.registerConstraint(
+		'WeldConstraint', Goblin.WeldConstraint,
+		function( constraint ) {
+			return {
+				point_a: vec3ToArray( constraint.point_a ),
+				point_b: constraint.point_b == null ? null : vec3ToArray( constraint.point_b ),
+				rotation_difference: quatToArray( constraint.rotation_difference ),
+				erp: constraint.erp
+			};
+		},
+		function( data, object_a, object_b ) {
+			var constraint = new Goblin.WeldConstraint(
+				object_a, arrayToVec3( data.point_a ),
+				object_b, data.point_b == null ? null : arrayToVec3( data.point_b )
+			);
+			arrayToQuat( data.rotation_difference, constraint.rotation_difference );
+			constraint.erp = data.erp;
+			return constraint;
+		}
+	);
+
+	serializer.registerForceGenerator(
+		'DragForce', Goblin.DragForce,
+		function( force_generator ) {
+			return {
+				drag_coefficient: force_generator.drag_coefficient,
+				squared_drag_coefficient: force_generator.squared_drag_coefficient
+			};
+		},
+		function( data ) {
+			return new Goblin.DragForce( data.drag_coefficient, data.squared_drag_coefficient );
+		}
+	);
+
+	serializer.registerForceGenerator(
+		'ForceGenerator', Goblin.ForceGenerator,
+		function( force_generator ) {
+			return { force: vec3ToArray( force_generator.force ) };
+		},
+		function( data ) {
+			return new Goblin.ForceGenerator( arrayToVec3( data.force ) );
+		}
+	);
+})();
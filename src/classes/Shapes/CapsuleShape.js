@@ -0,0 +1,167 @@
+/**
+ * @class CapsuleShape
+ * @param radius {Number} radius of the capsule
+ * @param half_height {Number} half height of the capsule's cylindrical section, the caps extend `radius` beyond it
+ * @constructor
+ */
+Goblin.CapsuleShape = function( radius, half_height ) {
+	/**
+	 * radius of the capsule
+	 *
+	 * @property radius
+	 * @type {Number}
+	 */
+	this.radius = radius;
+
+	/**
+	 * half height of the capsule's cylindrical section ( Y axis )
+	 *
+	 * @property half_height
+	 * @type {Number}
+	 */
+	this.half_height = half_height;
+
+	this.aabb = new Goblin.AABB();
+	this.calculateLocalAABB( this.aabb );
+};
+
+/**
+ * Calculates this shape's local AABB and stores it in the passed AABB object
+ *
+ * @method calculateLocalAABB
+ * @param aabb {AABB}
+ */
+Goblin.CapsuleShape.prototype.calculateLocalAABB = function( aabb ) {
+	aabb.min.x = aabb.min.z = -this.radius;
+	aabb.min.y = -this.half_height - this.radius;
+
+	aabb.max.x = aabb.max.z = this.radius;
+	aabb.max.y = this.half_height + this.radius;
+};
+
+Goblin.CapsuleShape.prototype.getInertiaTensor = function( mass ) {
+	// split the mass between the cylinder and the two hemispherical caps by volume
+	var radius_squared = this.radius * this.radius,
+		height = this.half_height * 2,
+		cylinder_volume = Math.PI * radius_squared * height,
+		caps_volume = 4 / 3 * Math.PI * radius_squared * this.radius,
+		cylinder_mass = mass * cylinder_volume / ( cylinder_volume + caps_volume ),
+		caps_mass = mass - cylinder_mass,
+		element = cylinder_mass * ( radius_squared / 4 + height * height / 12 ) +
+			caps_mass * ( 0.4 * radius_squared + height * height / 4 + 3 * height * this.radius / 8 );
+
+	return new Goblin.Matrix3(
+		element, 0, 0,
+		0, cylinder_mass * radius_squared / 2 + caps_mass * 0.4 * radius_squared, 0,
+		0, 0, element
+	);
+};
+
+/**
+ * Given `direction`, find the point in this body which is the most extreme in that direction.
+ * This support point is calculated in local coordinates and stored in the second parameter `support_point`
+ *
+ * @method findSupportPoint
+ * @param direction {vec3} direction to use in finding the support point
+ * @param support_point {vec3} vec3 variable which will contain the supporting point after calling this method
+ */
+Goblin.CapsuleShape.prototype.findSupportPoint = function( direction, support_point ) {
+	var length = direction.length();
+
+	// the support point of the cap's sphere, moved to the cap facing `direction`
+	if ( length === 0 ) {
+		support_point.x = support_point.y = support_point.z = 0;
+	} else {
+		support_point.scaleVector( direction, this.radius / length );
+	}
+
+	if ( direction.y < 0 ) {
+		support_point.y -= this.half_height;
+	} else {
+		support_point.y += this.half_height;
+	}
+};
+
+/**
+ * Checks if a ray segment intersects with the shape
+ *
+ * @method rayIntersect
+ * @property start {vec3} start point of the segment
+ * @property end {vec3{ end point of the segment
+ * @return {RayIntersection|null} if the segment intersects, a RayIntersection is returned, else `null`
+ */
+Goblin.CapsuleShape.prototype.rayIntersect = (function(){
+	var direction = new Goblin.Vector3(),
+		cap_center = new Goblin.Vector3(),
+		m = new Goblin.Vector3();
+
+	return function( start, end ) {
+		var length, a, b, c, discr, t, y,
+			best_t = Infinity,
+			best_cap = 0,
+			i;
+
+		direction.subtractVectors( end, start );
+		length = direction.length();
+		direction.scale( 1 / length ); // normalize direction
+
+		// cylindrical section: intersect with the infinite cylinder around the Y axis, then check the height
+		a = direction.x * direction.x + direction.z * direction.z;
+		if ( a > Goblin.EPSILON ) {
+			b = start.x * direction.x + start.z * direction.z;
+			c = start.x * start.x + start.z * start.z - this.radius * this.radius;
+			discr = b * b - a * c;
+			if ( discr >= 0 ) {
+				t = ( -b - Math.sqrt( discr ) ) / a;
+				y = start.y + t * direction.y;
+				if ( t >= 0 && t <= length && y >= -this.half_height && y <= this.half_height ) {
+					best_t = t;
+				}
+			}
+		}
+
+		// hemispherical caps
+		for ( i = -1; i <= 1; i += 2 ) {
+			cap_center.set( 0, i * this.half_height, 0 );
+			m.subtractVectors( start, cap_center );
+			b = m.dot( direction );
+			c = m.dot( m ) - this.radius * this.radius;
+
+			// ray starts outside of the cap's sphere and points away
+			if ( c > 0 && b > 0 ) {
+				continue;
+			}
+
+			discr = b * b - c;
+			if ( discr < 0 ) {
+				continue;
+			}
+
+			t = -b - Math.sqrt( discr );
+			if ( t >= 0 && t <= length && t < best_t ) {
+				best_t = t;
+				best_cap = i;
+			}
+		}
+
+		if ( best_t === Infinity ) {
+			return null;
+		}
+
+		var intersection = Goblin.ObjectPool.getObject( 'RayIntersection' );
+		intersection.object = this;
+		intersection.t = best_t;
+		intersection.point.scaleVector( direction, best_t );
+		intersection.point.add( start );
+
+		intersection.normal.copy( intersection.point );
+		if ( best_cap === 0 ) {
+			intersection.normal.y = 0;
+		} else {
+			intersection.normal.y -= best_cap * this.half_height;
+		}
+		intersection.normal.scale( 1 / this.radius );
+
+		return intersection;
+	};
+})();
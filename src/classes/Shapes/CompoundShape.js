@@ -103,6 +103,7 @@ Goblin.CompoundShape.prototype.getInertiaTensor = function( mass ) {
  * @method rayIntersect
  * @property ray_start {vec3} start point of the segment
  * @property ray_end {vec3} end point of the segment
+ * @property [backfaces=false] {Boolean} whether the back faces of child meshes are hit
  * @return {RayIntersection|null} if the segment intersects, a RayIntersection is returned, else `null`
  */
 Goblin.CompoundShape.prototype.rayIntersect = (function(){
@@ -115,7 +116,7 @@ Goblin.CompoundShape.prototype.rayIntersect = (function(){
 			return 0;
 		}
 	};
-	return function( ray_start, ray_end ) {
+	return function( ray_start, ray_end, backfaces ) {
 		var intersections = [],
 			local_start = new Goblin.Vector3(),
 			local_end = new Goblin.Vector3(),
@@ -128,7 +129,7 @@ Goblin.CompoundShape.prototype.rayIntersect = (function(){
 			child.transform_inverse.transformVector3Into( ray_start, local_start );
 			child.transform_inverse.transformVector3Into( ray_end, local_end );
 
-			intersection = child.shape.rayIntersect( local_start, local_end );
+			intersection = child.shape.rayIntersect( local_start, local_end, backfaces );
 			if ( intersection != null ) {
 				intersection.object = this; // change from the shape to the body
 				child.transform.transformVector3( intersection.point ); // transform child's local coordinates to the compound's coordinates
@@ -0,0 +1,323 @@
+/**
+ * @class HeightfieldShape
+ * @param width_samples {Number} number of height samples along the X axis
+ * @param depth_samples {Number} number of height samples along the Z axis
+ * @param heights {Float32Array|Array<Number>} `width_samples * depth_samples` height samples, row by row; heights[z * width_samples + x] is the sample at column x, row z
+ * @param [scale] {Vector3} spacing between samples along X and Z, and the multiplier applied to each height along Y
+ * @constructor
+ */
+Goblin.HeightfieldShape = function( width_samples, depth_samples, heights, scale ) {
+	/**
+	 * number of height samples along the X axis
+	 *
+	 * @property width_samples
+	 * @type {Number}
+	 */
+	this.width_samples = width_samples;
+
+	/**
+	 * number of height samples along the Z axis
+	 *
+	 * @property depth_samples
+	 * @type {Number}
+	 */
+	this.depth_samples = depth_samples;
+
+	/**
+	 * height samples, row by row. Samples can be changed in place with `setHeight`, or written directly
+	 * followed by a call to `updateBounds`
+	 *
+	 * @property heights
+	 * @type {Float32Array}
+	 */
+	this.heights = heights instanceof Float32Array ? heights : new Float32Array( heights );
+
+	/**
+	 * spacing between samples along X and Z, and the multiplier applied to each height along Y
+	 *
+	 * @property scale
+	 * @type {Vector3}
+	 */
+	this.scale = scale != null ? new Goblin.Vector3( scale.x, scale.y, scale.z ) : new Goblin.Vector3( 1, 1, 1 );
+
+	/**
+	 * half of the heightfield's extent along the X axis, the grid is centered on the shape's origin
+	 *
+	 * @property half_width
+	 * @type {Number}
+	 */
+	this.half_width = ( width_samples - 1 ) * this.scale.x / 2;
+
+	/**
+	 * half of the heightfield's extent along the Z axis, the grid is centered on the shape's origin
+	 *
+	 * @property half_depth
+	 * @type {Number}
+	 */
+	this.half_depth = ( depth_samples - 1 ) * this.scale.z / 2;
+
+	/**
+	 * lowest height sample, unscaled
+	 *
+	 * @property min_height
+	 * @type {Number}
+	 */
+	this.min_height = 0;
+
+	/**
+	 * highest height sample, unscaled
+	 *
+	 * @property max_height
+	 * @type {Number}
+	 */
+	this.max_height = 0;
+
+	this.aabb = new Goblin.AABB();
+	this.updateBounds();
+};
+
+/**
+ * Calculates this shape's local AABB and stores it in the passed AABB object
+ *
+ * @method calculateLocalAABB
+ * @param aabb {AABB}
+ */
+Goblin.HeightfieldShape.prototype.calculateLocalAABB = function( aabb ) {
+	aabb.min.x = -this.half_width;
+	aabb.min.y = this.min_height * this.scale.y;
+	aabb.min.z = -this.half_depth;
+
+	aabb.max.x = this.half_width;
+	aabb.max.y = this.max_height * this.scale.y;
+	aabb.max.z = this.half_depth;
+};
+
+Goblin.HeightfieldShape.prototype.getInertiaTensor = function( mass ) {
+	// heightfields are meant to be static, approximate them with their bounding box
+	var width_squared = this.half_width * this.half_width * 4,
+		height = ( this.max_height - this.min_height ) * this.scale.y,
+		height_squared = height * height,
+		depth_squared = this.half_depth * this.half_depth * 4,
+		element = 0.0833 * mass;
+
+	return new Goblin.Matrix3(
+		element * ( height_squared + depth_squared ), 0, 0,
+		0, element * ( width_squared + depth_squared ), 0,
+		0, 0, element * ( height_squared + width_squared )
+	);
+};
+
+/**
+ * noop
+ *
+ * @method findSupportPoint
+ * @param direction {vec3} direction to use in finding the support point
+ * @param support_point {vec3} vec3 variable which will contain the supporting point after calling this method
+ */
+Goblin.HeightfieldShape.prototype.findSupportPoint = function( direction, support_point ) {
+	return; // HeightfieldShape isn't convex so it cannot be used directly in GJK
+};
+
+/**
+ * Returns the unscaled height sample at column `x`, row `z`
+ *
+ * @method getHeight
+ * @param x {Number} column index
+ * @param z {Number} row index
+ * @return {Number}
+ */
+Goblin.HeightfieldShape.prototype.getHeight = function( x, z ) {
+	return this.heights[ z * this.width_samples + x ];
+};
+
+/**
+ * Changes the unscaled height sample at column `x`, row `z` and keeps the shape's AABB up to date. The
+ * owning body's AABB is refreshed on its next update; bodies sleeping on the changed area must be woken
+ *
+ * @method setHeight
+ * @param x {Number} column index
+ * @param z {Number} row index
+ * @param height {Number} new height sample
+ */
+Goblin.HeightfieldShape.prototype.setHeight = function( x, z, height ) {
+	var idx = z * this.width_samples + x,
+		previous = this.heights[idx];
+
+	this.heights[idx] = height;
+	height = this.heights[idx]; // read back the value as stored in the Float32Array
+
+	if ( height < this.min_height || height > this.max_height ) {
+		this.min_height = Math.min( this.min_height, height );
+		this.max_height = Math.max( this.max_height, height );
+		this.calculateLocalAABB( this.aabb );
+	} else if ( previous === this.min_height || previous === this.max_height ) {
+		// the sample may have defined one of the bounds, which can now be tighter
+		this.updateBounds();
+	}
+};
+
+/**
+ * Recalculates the height bounds and local AABB, must be called after writing to `heights` directly
+ *
+ * @method updateBounds
+ */
+Goblin.HeightfieldShape.prototype.updateBounds = function() {
+	var min = Infinity,
+		max = -Infinity,
+		count = this.width_samples * this.depth_samples,
+		i;
+
+	for ( i = 0; i < count; i++ ) {
+		min = Math.min( min, this.heights[i] );
+		max = Math.max( max, this.heights[i] );
+	}
+
+	this.min_height = min;
+	this.max_height = max;
+	this.calculateLocalAABB( this.aabb );
+};
+
+/**
+ * Each grid cell is split into two triangles along the diagonal from its ( x + 1, z ) corner to its ( x, z + 1 ) corner.
+ * Fills `triangle` with one of the two triangles of the cell starting at column `x`, row `z`, in local coordinates
+ *
+ * @method getTriangle
+ * @param x {Number} column index of the cell, from 0 to width_samples - 2
+ * @param z {Number} row index of the cell, from 0 to depth_samples - 2
+ * @param index {Number} which of the cell's triangles to return, 0 or 1
+ * @param triangle {TriangleShape} triangle to populate
+ */
+Goblin.HeightfieldShape.prototype.getTriangle = function( x, z, index, triangle ) {
+	var x0 = x * this.scale.x - this.half_width,
+		z0 = z * this.scale.z - this.half_depth,
+		x1 = x0 + this.scale.x,
+		z1 = z0 + this.scale.z;
+
+	// both triangles share the cell's diagonal and are wound so their normals face up the Y axis
+	if ( index === 0 ) {
+		triangle.a.set( x0, this.getHeight( x, z ) * this.scale.y, z0 );
+		triangle.b.set( x0, this.getHeight( x, z + 1 ) * this.scale.y, z1 );
+		triangle.c.set( x1, this.getHeight( x + 1, z ) * this.scale.y, z0 );
+	} else {
+		triangle.a.set( x1, this.getHeight( x + 1, z + 1 ) * this.scale.y, z1 );
+		triangle.b.set( x1, this.getHeight( x + 1, z ) * this.scale.y, z0 );
+		triangle.c.set( x0, this.getHeight( x, z + 1 ) * this.scale.y, z1 );
+	}
+
+	_tmp_vec3_1.subtractVectors( triangle.b, triangle.a );
+	_tmp_vec3_2.subtractVectors( triangle.c, triangle.a );
+	triangle.normal.crossVectors( _tmp_vec3_1, _tmp_vec3_2 );
+	triangle.volume = triangle.normal.length() / 2;
+	triangle.normal.normalize();
+
+	triangle.calculateLocalAABB( triangle.aabb );
+};
+
+/**
+ * Checks if a ray segment intersects with the shape, walking only the grid cells crossed by the ray
+ *
+ * @method rayIntersect
+ * @property start {vec3} start point of the segment
+ * @property end {vec3} end point of the segment
+ * @return {RayIntersection|null} if the segment intersects, a RayIntersection is returned, else `null`
+ */
+Goblin.HeightfieldShape.prototype.rayIntersect = (function(){
+	var triangle = null;
+
+	return function( start, end ) {
+		if ( triangle === null ) {
+			// created lazily as AABB isn't defined yet when this file is loaded
+			triangle = new Goblin.TriangleShape( new Goblin.Vector3(), new Goblin.Vector3(), new Goblin.Vector3() );
+		}
+
+		// ray in grid coordinates, where cell ( x, z ) spans [x, x + 1] and [z, z + 1]
+		var start_x = ( start.x + this.half_width ) / this.scale.x,
+			start_z = ( start.z + this.half_depth ) / this.scale.z,
+			delta_x = ( end.x + this.half_width ) / this.scale.x - start_x,
+			delta_z = ( end.z + this.half_depth ) / this.scale.z - start_z,
+			max_x = this.width_samples - 1,
+			max_z = this.depth_samples - 1,
+			t_min = 0,
+			t_max = 1,
+			t1, t2, swap;
+
+		// clip the segment to the grid's bounds
+		if ( Math.abs( delta_x ) < Goblin.EPSILON ) {
+			if ( start_x < 0 || start_x > max_x ) {
+				return null;
+			}
+		} else {
+			t1 = -start_x / delta_x;
+			t2 = ( max_x - start_x ) / delta_x;
+			if ( t1 > t2 ) {
+				swap = t1; t1 = t2; t2 = swap;
+			}
+			t_min = Math.max( t_min, t1 );
+			t_max = Math.min( t_max, t2 );
+		}
+		if ( Math.abs( delta_z ) < Goblin.EPSILON ) {
+			if ( start_z < 0 || start_z > max_z ) {
+				return null;
+			}
+		} else {
+			t1 = -start_z / delta_z;
+			t2 = ( max_z - start_z ) / delta_z;
+			if ( t1 > t2 ) {
+				swap = t1; t1 = t2; t2 = swap;
+			}
+			t_min = Math.max( t_min, t1 );
+			t_max = Math.min( t_max, t2 );
+		}
+		if ( t_min > t_max ) {
+			return null;
+		}
+
+		// walk the cells crossed by the ray in order, the first cell with a hit holds the closest one
+		var cell_x = Math.min( Math.max( Math.floor( start_x + delta_x * t_min ), 0 ), max_x - 1 ),
+			cell_z = Math.min( Math.max( Math.floor( start_z + delta_z * t_min ), 0 ), max_z - 1 ),
+			step_x = delta_x > 0 ? 1 : -1,
+			step_z = delta_z > 0 ? 1 : -1,
+			t_delta_x = Math.abs( delta_x ) < Goblin.EPSILON ? Infinity : Math.abs( 1 / delta_x ),
+			t_delta_z = Math.abs( delta_z ) < Goblin.EPSILON ? Infinity : Math.abs( 1 / delta_z ),
+			t_next_x = t_delta_x === Infinity ? Infinity : ( cell_x + ( step_x > 0 ? 1 : 0 ) - start_x ) / delta_x,
+			t_next_z = t_delta_z === Infinity ? Infinity : ( cell_z + ( step_z > 0 ? 1 : 0 ) - start_z ) / delta_z,
+			intersection, closest, i;
+
+		while ( cell_x >= 0 && cell_x < max_x && cell_z >= 0 && cell_z < max_z ) {
+			closest = null;
+			for ( i = 0; i < 2; i++ ) {
+				this.getTriangle( cell_x, cell_z, i, triangle );
+				intersection = triangle.rayIntersect( start, end );
+				if ( intersection != null ) {
+					if ( closest == null || intersection.t < closest.t ) {
+						if ( closest != null ) {
+							Goblin.ObjectPool.freeObject( 'RayIntersection', closest );
+						}
+						closest = intersection;
+					} else {
+						Goblin.ObjectPool.freeObject( 'RayIntersection', intersection );
+					}
+				}
+			}
+
+			if ( closest != null ) {
+				closest.object = this;
+				return closest;
+			}
+
+			if ( Math.min( t_next_x, t_next_z ) > t_max ) {
+				break;
+			}
+
+			if ( t_next_x < t_next_z ) {
+				cell_x += step_x;
+				t_next_x += t_delta_x;
+			} else {
+				cell_z += step_z;
+				t_next_z += t_delta_z;
+			}
+		}
+
+		return null;
+	};
+})();
@@ -7,6 +7,14 @@
 Goblin.MeshShape = function( vertices, faces ) {
 	this.vertices = vertices;
 
+	/**
+	 * indices of the vertices composing each face
+	 *
+	 * @property faces
+	 * @type {Array<Number>}
+	 */
+	this.faces = faces;
+
 	this.triangles = [];
 	for ( var i = 0; i < faces.length; i += 3 ) {
 		this.triangles.push( new Goblin.TriangleShape( vertices[faces[i]], vertices[faces[i+1]], vertices[faces[i+2]] ) );
@@ -95,6 +103,7 @@ Goblin.MeshShape.prototype.findSupportPoint = function( direction, support_point
  * @method rayIntersect
  * @property start {vec3} start point of the segment
  * @property end {vec3} end point of the segment
+ * @property [backfaces=false] {Boolean} whether triangles facing away from the ray are hit
  * @return {RayIntersection|null} if the segment intersects, a RayIntersection is returned, else `null`
  */
 Goblin.MeshShape.prototype.rayIntersect = (function(){
@@ -109,7 +118,7 @@ Goblin.MeshShape.prototype.rayIntersect = (function(){
 			}
 		};
 
-	return function( start, end ) {
+	return function( start, end, backfaces ) {
 		// Traverse the BVH and return the closest point of contact, if any
 		var nodes = [ this.hierarchy ],
 			node;
@@ -123,7 +132,7 @@ Goblin.MeshShape.prototype.rayIntersect = (function(){
 			if ( node.aabb.testRayIntersect( start, end ) ) {
 				// Ray intersects this node's AABB
 				if ( node.isLeaf() ) {
-					var intersection = node.object.rayIntersect( start, end );
+					var intersection = node.object.rayIntersect( start, end, backfaces );
 					if ( intersection != null ) {
 						intersections.push( intersection );
 					}
@@ -120,6 +120,7 @@ Goblin.TriangleShape.prototype.findSupportPoint = function( direction, support_p
  * @method rayIntersect
  * @property start {vec3} start point of the segment
  * @property end {vec3{ end point of the segment
+ * @property [backfaces=false] {Boolean} whether the triangle is hit from behind, its normal being flipped to face the ray
  * @return {RayIntersection|null} if the segment intersects, a RayIntersection is returned, else `null`
  */
 Goblin.TriangleShape.prototype.rayIntersect = (function(){
@@ -130,7 +131,7 @@ Goblin.TriangleShape.prototype.rayIntersect = (function(){
 		b = new Goblin.Vector3(),
 		u = new Goblin.Vector3();
 
-	return function( start, end ) {
+	return function( start, end, backfaces ) {
 		d1.subtractVectors( this.b, this.a );
 		d2.subtractVectors( this.c, this.a );
 		n.crossVectors( d1, d2 );
@@ -138,7 +139,7 @@ Goblin.TriangleShape.prototype.rayIntersect = (function(){
 		segment.subtractVectors( end, start );
 		var det = -segment.dot( n );
 
-		if ( det <= 0 ) {
+		if ( det === 0 || ( det < 0 && backfaces !== true ) ) {
 			// Ray is parallel to triangle or triangle's normal points away from ray
 			return null;
 		}
@@ -166,6 +167,9 @@ Goblin.TriangleShape.prototype.rayIntersect = (function(){
 		intersection.point.scaleVector( segment, t );
 		intersection.point.add( start );
 		intersection.normal.copy( this.normal );
+		if ( det < 0 ) {
+			intersection.normal.scale( -1 );
+		}
 
 		return intersection;
 	};
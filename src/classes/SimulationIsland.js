@@ -0,0 +1,53 @@
+/**
+ * A group of bodies connected to each other, directly or through other bodies, by contacts or constraints.
+ * Static and sleeping bodies don't join islands, so two bodies resting on the same ground are in separate islands.
+ *
+ * @class SimulationIsland
+ * @constructor
+ */
+Goblin.SimulationIsland = function() {
+	/**
+	 * dynamic bodies in the island
+	 *
+	 * @property bodies
+	 * @type {Array}
+	 */
+	this.bodies = [];
+
+	/**
+	 * friction, joint, and contact constraints acting on the island's bodies, in the order they are solved
+	 *
+	 * @property constraints
+	 * @type {Array}
+	 */
+	this.constraints = [];
+
+	/**
+	 * contact constraints acting on the island's bodies, used by the position solver
+	 *
+	 * @property contact_constraints
+	 * @type {Array}
+	 */
+	this.contact_constraints = [];
+
+	/**
+	 * number of solver iterations the island needed during the last time step
+	 *
+	 * @property iterations
+	 * @type {Number}
+	 * @default 0
+	 */
+	this.iterations = 0;
+};
+
+/**
+ * empties the island so it can be reused
+ *
+ * @method reset
+ */
+Goblin.SimulationIsland.prototype.reset = function() {
+	this.bodies.length = 0;
+	this.constraints.length = 0;
+	this.contact_constraints.length = 0;
+	this.iterations = 0;
+};
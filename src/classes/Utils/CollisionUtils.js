@@ -2,11 +2,22 @@ Goblin.CollisionUtils = {};
 
 Goblin.CollisionUtils.canBodiesCollide = function( object_a, object_b ) {
 	if ( object_a._mass === Infinity && object_b._mass === Infinity ) {
-		// Two static objects aren't considered to be in contact
+		// Two static or kinematic objects aren't considered to be in contact
 		return false;
 	}
 
-	// Check collision masks
+	return Goblin.CollisionUtils.canGroupsCollide( object_a, object_b );
+};
+
+/**
+ * Checks the objects' `collision_groups` & `collision_mask` against each other, regardless of their masses
+ *
+ * @method canGroupsCollide
+ * @param object_a {RigidBody}
+ * @param object_b {RigidBody}
+ * @return {Boolean}
+ */
+Goblin.CollisionUtils.canGroupsCollide = function( object_a, object_b ) {
 	if ( object_a.collision_mask !== 0 ) {
 		if ( ( object_a.collision_mask & 1 ) === 0 ) {
 			// object_b must not be in a matching group
@@ -35,4 +46,71 @@ Goblin.CollisionUtils.canBodiesCollide = function( object_a, object_b ) {
 	}
 
 	return true;
-};
\ No newline at end of file
+};
+
+/**
+ * Checks a body against a query's filter, as taken by ray, sweep & overlap queries. A missing filter, or missing
+ * groups & mask, accept every body
+ *
+ * @method passesFilter
+ * @param filter {Object|null}
+ * @param [filter.collision_groups=0] {Number} groups the query is in, checked against the body's mask
+ * @param [filter.collision_mask=0] {Number} mask checked against the body's groups, like a RigidBody's
+ * @param [filter.exclude] {Array<RigidBody>} bodies which are skipped
+ * @param [filter.predicate] {Function} called with the body, which is skipped unless it returns true
+ * @param body {RigidBody}
+ * @return {Boolean}
+ */
+Goblin.CollisionUtils.passesFilter = function( filter, body ) {
+	if ( filter == null ) {
+		return true;
+	}
+
+	// missing groups & masks are treated as 0 by the bitwise checks
+	if ( !Goblin.CollisionUtils.canGroupsCollide( filter, body ) ) {
+		return false;
+	}
+	if ( filter.exclude != null && filter.exclude.indexOf( body ) !== -1 ) {
+		return false;
+	}
+	if ( filter.predicate != null && filter.predicate( body ) !== true ) {
+		return false;
+	}
+
+	return true;
+};
+
+/**
+ * Reduces a ray query's intersections to what its filter's `mode` asks for, freeing the others. In 'closest' mode
+ * only the nearest intersection is kept; 'any' & 'all' keep every intersection, queries in 'any' mode having
+ * stopped once one was found
+ *
+ * @method applyRayMode
+ * @param intersections {Array<RayIntersection>} modified in place
+ * @param filter {Object|null}
+ * @param [filter.mode='all'] {String} 'closest', 'any' or 'all'
+ * @return {Array<RayIntersection>} `intersections`
+ */
+Goblin.CollisionUtils.applyRayMode = function( intersections, filter ) {
+	var closest = 0,
+		i;
+
+	if ( filter == null || filter.mode !== 'closest' || intersections.length < 2 ) {
+		return intersections;
+	}
+
+	for ( i = 1; i < intersections.length; i++ ) {
+		if ( intersections[i].t < intersections[closest].t ) {
+			closest = i;
+		}
+	}
+	for ( i = 0; i < intersections.length; i++ ) {
+		if ( i !== closest ) {
+			Goblin.ObjectPool.freeObject( 'RayIntersection', intersections[i] );
+		}
+	}
+
+	intersections[0] = intersections[closest];
+	intersections.length = 1;
+	return intersections;
+};
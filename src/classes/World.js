@@ -78,6 +78,46 @@ Goblin.World = function( broadphase, narrowphase, solver ) {
 	 */
 	this.force_generators = [];
 
+	/**
+	 * length, in seconds, of each time step taken by `stepFixed`
+	 *
+	 * @property fixed_time_step
+	 * @type {Number}
+	 * @default 1 / 60
+	 */
+	this.fixed_time_step = 1 / 60;
+
+	/**
+	 * maximum number of time steps `stepFixed` will take in a single call, any further time is discarded
+	 * so a slow simulation can't fall further and further behind
+	 *
+	 * @property max_sub_steps
+	 * @type {Number}
+	 * @default 5
+	 */
+	this.max_sub_steps = 5;
+
+	/**
+	 * time passed to `stepFixed` which has not yet been simulated
+	 *
+	 * @property time_accumulator
+	 * @type {Number}
+	 * @default 0
+	 * @private
+	 */
+	this.time_accumulator = 0;
+
+	/**
+	 * friction, restitution, rolling & spinning friction used between pairs of materials instead of combining them,
+	 * keyed by the materials' ids
+	 *
+	 * @property material_pairs
+	 * @type {Object}
+	 * @default {}
+	 * @private
+	 */
+	this.material_pairs = {};
+
 	this.listeners = {};
 };
 Goblin.EventEmitter.apply( Goblin.World );
@@ -104,15 +144,20 @@ Goblin.World.prototype.step = function( time_delta, max_step ) {
 		this.emit( 'stepStart', this.ticks, delta );
 
         for ( i = 0, loop_count = this.rigid_bodies.length; i < loop_count; i++ ) {
-            this.rigid_bodies[i].updateDerived();
+            body = this.rigid_bodies[i];
+
+            // Sleeping bodies haven't moved
+            if ( body.is_sleeping === false ) {
+                body.updateDerived();
+            }
         }
 
 		// Apply gravity
         for ( i = 0, loop_count = this.rigid_bodies.length; i < loop_count; i++ ) {
             body = this.rigid_bodies[i];
 
-            // Objects of infinite mass don't move
-            if ( body._mass !== Infinity ) {
+            // Objects of infinite mass don't move, sleeping objects don't move until woken
+            if ( body._mass !== Infinity && body.is_sleeping === false ) {
 				_tmp_vec3_1.scaleVector( body.gravity || this.gravity, body._mass * delta );
                 body.accumulated_force.add( _tmp_vec3_1 );
             }
@@ -147,9 +192,20 @@ Goblin.World.prototype.step = function( time_delta, max_step ) {
         // Integrate rigid bodies
         for ( i = 0, loop_count = this.rigid_bodies.length; i < loop_count; i++ ) {
             body = this.rigid_bodies[i];
-            body.integrate( delta );
+            if ( body.is_sleeping === false ) {
+                body.integrate( delta );
+                body.updateSleepState( delta );
+            }
         }
 
+		// Sweep fast moving bodies so they can't tunnel through thin objects
+		for ( i = 0, loop_count = this.rigid_bodies.length; i < loop_count; i++ ) {
+			body = this.rigid_bodies[i];
+			if ( body.ccd_motion_threshold > 0 && body.is_sleeping === false ) {
+				this.performContinuousCollision( body );
+			}
+		}
+
 		// Uppdate ghost bodies
 		for ( i = 0; i < this.ghost_bodies.length; i++ ) {
 			body = this.ghost_bodies[i];
@@ -160,6 +216,117 @@ Goblin.World.prototype.step = function( time_delta, max_step ) {
     }
 };
 
+/**
+ * Continuous collision detection for a single body. A sphere of `ccd_swept_sphere_radius` is swept with `convexSweep`
+ * from where the body started the step to where it was integrated; if the sweep hits another body the moving body
+ * is moved back to the time of impact and a contact is generated, so the next step's solver can stop it. Only linear
+ * motion is swept
+ *
+ * @method performContinuousCollision
+ * @param body {RigidBody} body which has just been integrated
+ * @private
+ */
+Goblin.World.prototype.performContinuousCollision = (function(){
+	var from = { position: new Goblin.Vector3(), rotation: null },
+		to = { position: new Goblin.Vector3(), rotation: null },
+		sphere = new Goblin.SphereShape( 0 ),
+		sweeping_body = null,
+		options = {
+			exclude: [],
+			predicate: function( candidate ) {
+				return Goblin.CollisionUtils.canBodiesCollide( sweeping_body, candidate );
+			}
+		};
+
+	// creates a contact between `body`, now at the time of impact, and the object the swept sphere hit, taking its
+	// friction & restitution from the bodies' materials in `world`
+	function createContact( world, body, intersection, radius ) {
+		var contact = Goblin.ObjectPool.getObject( 'ContactDetails' ),
+			object = intersection.object;
+
+		contact.object_a = body;
+		contact.object_b = object;
+		contact.contact_normal.scaleVector( intersection.normal, -1 );
+		contact.contact_point_in_a.scaleVector( contact.contact_normal, radius );
+		contact.contact_point_in_a.add( body.position );
+		contact.contact_point.addVectors( contact.contact_point_in_a, intersection.point );
+		contact.contact_point.scale( 0.5 );
+		body.transform_inverse.transformVector3( contact.contact_point_in_a );
+		object.transform_inverse.transformVector3Into( intersection.point, contact.contact_point_in_b );
+		contact.penetration_depth = 0;
+		contact.restitution = ( body.restitution + object.restitution ) / 2;
+		contact.friction = ( body.friction + object.friction ) / 2;
+		Goblin.Material.applyToContact( contact, world );
+
+		return contact;
+	}
+
+	return function( body ) {
+		// `transform` isn't updated during integration, so it still holds the body's position at the start of the step
+		from.position.set( body.transform.e03, body.transform.e13, body.transform.e23 );
+		to.position.copy( body.position );
+
+		if ( from.position.distanceTo( to.position ) <= body.ccd_motion_threshold ) {
+			return;
+		}
+
+		sphere.radius = body.ccd_swept_sphere_radius;
+		sphere.calculateLocalAABB( sphere.aabb );
+
+		sweeping_body = body;
+		options.exclude[0] = body;
+		var intersection = this.convexSweep( sphere, from, to, options );
+		sweeping_body = null;
+
+		if ( intersection === null ) {
+			return;
+		}
+
+		// clamp the body to the time of impact
+		body.position.subtractVectors( to.position, from.position );
+		body.position.scale( intersection.fraction );
+		body.position.add( from.position );
+		body.updateDerived();
+
+		this.narrowphase.addContact( body, intersection.object, createContact( this, body, intersection, sphere.radius ) );
+		Goblin.ObjectPool.freeObject( 'SweepIntersection', intersection );
+	};
+})();
+
+/**
+ * Advances the simulation by `time_delta` using time steps of `fixed_time_step` seconds, carrying any leftover
+ * time into the next call. Afterwards each body's `render_position` & `render_rotation` are interpolated by the
+ * leftover fraction of a step, giving smooth motion regardless of frame rate
+ *
+ * @method stepFixed
+ * @param time_delta {Number} amount of time to simulate, in seconds
+ * @return {Number} number of time steps taken
+ */
+Goblin.World.prototype.stepFixed = function( time_delta ) {
+	var i, x, sub_steps, alpha;
+
+	this.time_accumulator += time_delta;
+	sub_steps = Math.floor( this.time_accumulator / this.fixed_time_step );
+	this.time_accumulator -= sub_steps * this.fixed_time_step;
+
+	// Drop any steps over the limit to avoid the spiral of death
+	sub_steps = Math.min( sub_steps, this.max_sub_steps );
+
+	for ( x = 0; x < sub_steps; x++ ) {
+		for ( i = 0; i < this.rigid_bodies.length; i++ ) {
+			this.rigid_bodies[i].storePreviousState();
+		}
+		this.step( this.fixed_time_step );
+	}
+
+	alpha = this.time_accumulator / this.fixed_time_step;
+	for ( i = 0; i < this.rigid_bodies.length; i++ ) {
+		this.rigid_bodies[i].updateRenderState( alpha );
+	}
+
+	return sub_steps;
+};
+
 /**
  * Adds a rigid body to the world
  *
@@ -169,6 +336,8 @@ Goblin.World.prototype.step = function( time_delta, max_step ) {
 Goblin.World.prototype.addRigidBody = function( rigid_body ) {
 	rigid_body.world = this;
 	rigid_body.updateDerived();
+	rigid_body.storePreviousState();
+	rigid_body.updateRenderState( 1 );
 	this.rigid_bodies.push( rigid_body );
 	this.broadphase.addBody( rigid_body );
 };
@@ -187,11 +356,30 @@ Goblin.World.prototype.removeRigidBody = function( rigid_body ) {
 		if ( this.rigid_bodies[i] === rigid_body ) {
 			this.rigid_bodies.splice( i, 1 );
 			this.broadphase.removeBody( rigid_body );
+			this.wakeContactingBodies( rigid_body );
 			break;
 		}
 	}
 };
 
+/**
+ * Wakes any sleeping bodies which are in contact with `rigid_body`
+ *
+ * @method wakeContactingBodies
+ * @param rigid_body {Goblin.RigidBody} body whose contacting bodies should be woken
+ */
+Goblin.World.prototype.wakeContactingBodies = function( rigid_body ) {
+	var manifold = this.narrowphase.contact_manifolds.first;
+	while ( manifold ) {
+		if ( manifold.object_a === rigid_body ) {
+			manifold.object_b.wake();
+		} else if ( manifold.object_b === rigid_body ) {
+			manifold.object_a.wake();
+		}
+		manifold = manifold.next_manifold;
+	}
+};
+
 /**
  * Adds a ghost body to the world
  *
@@ -262,6 +450,12 @@ Goblin.World.prototype.removeForceGenerator = function( force_generator ) {
  * @param constraint {Goblin.Constraint} constraint to be added
  */
 Goblin.World.prototype.addConstraint = function( constraint ) {
+	if ( constraint.object_a != null ) {
+		constraint.object_a.wake();
+	}
+	if ( constraint.object_b != null ) {
+		constraint.object_b.wake();
+	}
 	this.solver.addConstraint( constraint );
 };
 
@@ -272,9 +466,147 @@ Goblin.World.prototype.addConstraint = function( constraint ) {
  * @param constraint {Goblin.Constraint} constraint to be removed
  */
 Goblin.World.prototype.removeConstraint = function( constraint ) {
+	if ( constraint.object_a != null ) {
+		constraint.object_a.wake();
+	}
+	if ( constraint.object_b != null ) {
+		constraint.object_b.wake();
+	}
 	this.solver.removeConstraint( constraint );
 };
 
+/**
+ * Uses `material`'s friction, restitution, rolling & spinning friction for contacts between bodies made of
+ * `material_a` and `material_b`, instead of combining the two
+ *
+ * @method setMaterialPair
+ * @param material_a {Goblin.Material}
+ * @param material_b {Goblin.Material}
+ * @param material {Goblin.Material} properties to use between the two materials
+ */
+Goblin.World.prototype.setMaterialPair = function( material_a, material_b, material ) {
+	this.material_pairs[ this.getMaterialPairKey( material_a, material_b ) ] = {
+		material_a: material_a,
+		material_b: material_b,
+		material: material
+	};
+};
+
+/**
+ * Returns the properties used between `material_a` and `material_b`, or null if they are combined
+ *
+ * @method getMaterialPair
+ * @param material_a {Goblin.Material}
+ * @param material_b {Goblin.Material}
+ * @return {Goblin.Material|null}
+ */
+Goblin.World.prototype.getMaterialPair = function( material_a, material_b ) {
+	var pair = this.material_pairs[ this.getMaterialPairKey( material_a, material_b ) ];
+	return pair != null ? pair.material : null;
+};
+
+/**
+ * Goes back to combining `material_a` and `material_b`'s properties
+ *
+ * @method removeMaterialPair
+ * @param material_a {Goblin.Material}
+ * @param material_b {Goblin.Material}
+ */
+Goblin.World.prototype.removeMaterialPair = function( material_a, material_b ) {
+	delete this.material_pairs[ this.getMaterialPairKey( material_a, material_b ) ];
+};
+
+/**
+ * @method getMaterialPairKey
+ * @param material_a {Goblin.Material}
+ * @param material_b {Goblin.Material}
+ * @return {String} key of the pair in `material_pairs`, the same for either order
+ * @private
+ */
+Goblin.World.prototype.getMaterialPairKey = function( material_a, material_b ) {
+	return material_a.id < material_b.id ? material_a.id + '_' + material_b.id : material_b.id + '_' + material_a.id;
+};
+
+/**
+ * Captures everything which influences the next time step: body kinematics & accumulated forces, broadphase pairs,
+ * contact manifolds, and the solver's warm starting multipliers. The state is kept in memory and is only valid
+ * for this world while it contains the same bodies & constraints
+ *
+ * @method saveState
+ * @return {Object} state which can be passed to `restoreState`
+ */
+Goblin.World.prototype.saveState = function() {
+	var i,
+		state = {
+			ticks: this.ticks,
+			time_accumulator: this.time_accumulator,
+			rigid_bodies: [],
+			ghost_bodies: [],
+			broadphase: this.broadphase.saveState(),
+			narrowphase: this.narrowphase.saveState(),
+			solver: this.solver.saveState( this.narrowphase.contact_manifolds )
+		};
+
+	for ( i = 0; i < this.rigid_bodies.length; i++ ) {
+		state.rigid_bodies.push( this.rigid_bodies[i].saveState() );
+	}
+	for ( i = 0; i < this.ghost_bodies.length; i++ ) {
+		state.ghost_bodies.push( this.ghost_bodies[i].saveState() );
+	}
+
+	return state;
+};
+
+/**
+ * Rewinds the world to a state captured by `saveState`; stepping afterwards reproduces the original steps exactly
+ *
+ * @method restoreState
+ * @param state {Object} state returned by `saveState`
+ */
+Goblin.World.prototype.restoreState = function( state ) {
+	var i;
+
+	this.ticks = state.ticks;
+	this.time_accumulator = state.time_accumulator;
+
+	for ( i = 0; i < this.rigid_bodies.length; i++ ) {
+		this.rigid_bodies[i].restoreState( state.rigid_bodies[i] );
+	}
+	for ( i = 0; i < this.ghost_bodies.length; i++ ) {
+		this.ghost_bodies[i].restoreState( state.ghost_bodies[i] );
+	}
+
+	this.broadphase.restoreState( state.broadphase );
+	this.narrowphase.restoreState( state.narrowphase );
+	this.solver.restoreState( state.solver, this.narrowphase.contact_manifolds );
+};
+
+/**
+ * Serializes the world's bodies, shapes, constraints, force generators, gravity, and ticks into a versioned
+ * JSON-compatible document which `Goblin.World.deserialize` can rebuild the world from
+ *
+ * @method serialize
+ * @return {Object}
+ */
+Goblin.World.prototype.serialize = function() {
+	return Goblin.Serializer.serializeWorld( this );
+};
+
+/**
+ * Creates a new world from a document produced by `serialize`
+ *
+ * @method deserialize
+ * @static
+ * @param serialized {Object|String} serialized world, or its JSON string
+ * @param [broadphase] {Goblin.Broadphase} broadphase for the new world, defaults to a `SAPBroadphase`
+ * @param [narrowphase] {Goblin.NarrowPhase} narrowphase for the new world
+ * @param [solver] {Goblin.IterativeSolver} solver for the new world
+ * @return {Goblin.World}
+ */
+Goblin.World.deserialize = function( serialized, broadphase, narrowphase, solver ) {
+	return Goblin.Serializer.deserializeWorld( serialized, broadphase, narrowphase, solver );
+};
+
 (function(){
 	var tSort = function( a, b ) {
 		if ( a.t < b.t ) {
@@ -292,15 +624,33 @@ Goblin.World.prototype.removeConstraint = function( constraint ) {
 	 * @method rayIntersect
 	 * @property start {vec3} start point of the segment
 	 * @property end {vec3{ end point of the segment
+	 * @property [filter] {Object}
+	 * @property [filter.collision_groups=0] {Number} groups the ray is in, checked against bodies' masks
+	 * @property [filter.collision_mask=0] {Number} mask checked against bodies' groups, like a RigidBody's
+	 * @property [filter.exclude] {Array<RigidBody>} bodies the ray passes through
+	 * @property [filter.predicate] {Function} called with each body, which the ray passes through unless it returns true
+	 * @property [filter.mode='all'] {String} 'all' returns every intersection, 'closest' only the nearest and 'any'
+	 *     stops at the first one found, which may not be the nearest
+	 * @property [filter.backfaces=false] {Boolean} whether mesh triangles facing away from the ray are hit
 	 * @return {Array<RayIntersection>} an array of intersections, sorted by distance from `start`
 	 */
-	Goblin.World.prototype.rayIntersect = function( start, end ) {
-		var intersections = this.broadphase.rayIntersect( start, end );
+	Goblin.World.prototype.rayIntersect = function( start, end, filter ) {
+		var intersections = this.broadphase.rayIntersect( start, end, filter );
 		intersections.sort( tSort );
 		return intersections;
 	};
 
-	Goblin.World.prototype.shapeIntersect = function( shape, start, end ){
+	/**
+	 * Checks if a shape moved along a line segment intersects with objects in the world
+	 *
+	 * @method shapeIntersect
+	 * @property shape {Object} any convex Goblin shape
+	 * @property start {vec3} start point of the segment
+	 * @property end {vec3{ end point of the segment
+	 * @property [filter] {Object} as for `rayIntersect`, apart from `backfaces`
+	 * @return {Array<RayIntersection>} an array of intersections, sorted by distance from `start`
+	 */
+	Goblin.World.prototype.shapeIntersect = function( shape, start, end, filter ){
 		var swept_shape = new Goblin.LineSweptShape( start, end, shape ),
 			swept_body = new Goblin.RigidBody( swept_shape, 0 );
 		swept_body.updateDerived();
@@ -309,6 +659,10 @@ Goblin.World.prototype.removeConstraint = function( constraint ) {
 			intersections = [];
 
 		for ( var i = 0; i < possibilities.length; i++ ) {
+			if ( !Goblin.CollisionUtils.passesFilter( filter, possibilities[i] ) ) {
+				continue;
+			}
+
 			var contact = this.narrowphase.getContact( swept_body, possibilities[i] );
 
 			if ( contact != null ) {
@@ -324,10 +678,662 @@ Goblin.World.prototype.removeConstraint = function( constraint ) {
 				intersection.t = intersection.point.distanceTo( start );
 
 				intersections.push( intersection );
+				if ( filter != null && filter.mode === 'any' ) {
+					break;
+				}
 			}
 		}
 
+		Goblin.CollisionUtils.applyRayMode( intersections, filter );
 		intersections.sort( tSort );
 		return intersections;
 	};
-})();
\ No newline at end of file
+})();
+
+(function(){
+	var start = new Goblin.Vector3(),
+		motion = new Goblin.Vector3(),
+		start_rotation = new Goblin.Quaternion(),
+		inverse_start_rotation = new Goblin.Quaternion(),
+		turn = new Goblin.Vector3(), // axis the shape turns around, scaled by the angle it turns through
+		point = new Goblin.Vector3(),
+		normal = new Goblin.Vector3(),
+		lever = new Goblin.Vector3(),
+		point_motion = new Goblin.Vector3(),
+		best_point = new Goblin.Vector3(),
+		best_normal = new Goblin.Vector3(),
+		aabb_in_object = new Goblin.AABB(),
+		triangle = new Goblin.TriangleShape( new Goblin.Vector3(), new Goblin.Vector3(), new Goblin.Vector3() ),
+		triangle_child = new Goblin.CompoundShapeChild( triangle, new Goblin.Vector3(), new Goblin.Quaternion() ),
+		bounding_sphere = new Goblin.SphereShape( 0 ),
+		shape = null,
+		hull = null,
+		bounds = null,
+		travel = 0,
+		steps = 1,
+		best_fraction = Infinity,
+		best_approach = 0,
+		best_object = null,
+		swept_body = null,
+		bounds_body = null,
+		probe_body = null,
+		max_step_angle = 0.25, // rotations are swept in steps turning at most this many radians
+		toi_tolerance = 0.001; // bisection stops once the time of impact is known within this distance
+
+	// convex hull of `shape` at two orientations, swept along the line from `start` to `end`; the hull contains the
+	// shape moving along the line while turning between the orientations, apart from the slivers its points cut
+	// across as they turn
+	var SweptHull = function() {
+		this.shape = null;
+		this.start = new Goblin.Vector3();
+		this.end = new Goblin.Vector3();
+		this.rotation_a = new Goblin.Quaternion();
+		this.rotation_b = new Goblin.Quaternion();
+		this.aabb = new Goblin.AABB();
+	};
+
+	SweptHull.prototype.calculateLocalAABB = (function(){
+		var rotation = new Goblin.Matrix4(),
+			aabb_a = new Goblin.AABB(),
+			aabb_b = new Goblin.AABB(),
+			zero = new Goblin.Vector3();
+
+		return function( aabb ) {
+			rotation.makeTransform( this.rotation_a, zero );
+			aabb_a.transform( this.shape.aabb, rotation );
+			rotation.makeTransform( this.rotation_b, zero );
+			aabb_b.transform( this.shape.aabb, rotation );
+			aabb.combineAABBs( aabb_a, aabb_b );
+
+			aabb.min.x += Math.min( this.start.x, this.end.x );
+			aabb.min.y += Math.min( this.start.y, this.end.y );
+			aabb.min.z += Math.min( this.start.z, this.end.z );
+
+			aabb.max.x += Math.max( this.start.x, this.end.x );
+			aabb.max.y += Math.max( this.start.y, this.end.y );
+			aabb.max.z += Math.max( this.start.z, this.end.z );
+		};
+	})();
+
+	SweptHull.prototype.findSupportPoint = (function(){
+		var local_direction = new Goblin.Vector3(),
+			support_b = new Goblin.Vector3(),
+			line = new Goblin.Vector3();
+
+		return function( direction, support_point ) {
+			_tmp_quat4_1.invertQuaternion( this.rotation_a );
+			_tmp_quat4_1.transformVector3Into( direction, local_direction );
+			this.shape.findSupportPoint( local_direction, support_point );
+			this.rotation_a.transformVector3( support_point );
+
+			_tmp_quat4_1.invertQuaternion( this.rotation_b );
+			_tmp_quat4_1.transformVector3Into( direction, local_direction );
+			this.shape.findSupportPoint( local_direction, support_b );
+			this.rotation_b.transformVector3( support_b );
+
+			if ( support_b.dot( direction ) > support_point.dot( direction ) ) {
+				support_point.copy( support_b );
+			}
+
+			line.subtractVectors( this.end, this.start );
+			support_point.add( line.dot( direction ) < 0 ? this.start : this.end );
+		};
+	})();
+
+	// position & rotation of the shape `fraction` of the way through its motion
+	function transformAt( fraction, position, rotation ) {
+		position.scaleVector( motion, fraction );
+		position.add( start );
+
+		var turn_angle = turn.length(),
+			angle = turn_angle * fraction,
+			scale;
+		if ( angle < Goblin.EPSILON ) {
+			rotation.copy( start_rotation );
+		} else {
+			scale = Math.sin( angle / 2 ) / turn_angle;
+			_tmp_quat4_1.set( turn.x * scale, turn.y * scale, turn.z * scale, Math.cos( angle / 2 ) );
+			rotation.multiplyQuaternions( _tmp_quat4_1, start_rotation );
+		}
+	}
+
+	// sweeps the shape from `fraction_a` to `fraction_b` of the way through its motion
+	function sweepBetween( fraction_a, fraction_b ) {
+		transformAt( fraction_a, hull.start, hull.rotation_a );
+		transformAt( fraction_b, hull.end, hull.rotation_b );
+		hull.calculateLocalAABB( hull.aabb );
+		swept_body.updateDerived();
+	}
+
+	// bounds everything the sweep can reach, bounding the shape by its sphere when it turns
+	function sweepBounds( is_turning ) {
+		bounds.shape = is_turning ? bounding_sphere : shape;
+		transformAt( 0, bounds.start, bounds.rotation_a );
+		transformAt( 1, bounds.end, bounds.rotation_b );
+		bounds.calculateLocalAABB( bounds.aabb );
+		bounds_body.updateDerived();
+	}
+
+	// whether `object_a` and `object_b` overlap; objects GJK finds within its margins are treated as apart, as GJK
+	// only sometimes reports them as touching
+	function touches( object_a, object_b ) {
+		var simplex = Goblin.GjkEpa.GJK( object_a, object_b ),
+			overlaps = simplex != null && Goblin.GjkEpa.result == null;
+
+		if ( Goblin.GjkEpa.result != null ) {
+			Goblin.GjkEpa.result.destroy();
+		}
+		if ( simplex != null ) {
+			Goblin.GjkEpa.freeSimplex( simplex );
+		}
+		return overlaps;
+	}
+
+	// finds when the sweep first touches the convex `piece` of `object`, keeping it if it's the earliest hit so far
+	function sweepConvex( piece, object ) {
+		var low, high, middle, step, contact, approach;
+
+		if ( !piece.aabb.intersects( bounds_body.aabb ) ) {
+			return;
+		}
+
+		sweepBetween( 0, 0 );
+		if ( touches( swept_body, piece ) ) {
+			high = 0;
+		} else {
+			// find the first step of the rotation which touches the piece, and bisect it; within a step the sweep only
+			// grows with the fraction it reaches, as long as the step's turn is small
+			for ( step = 0; step < steps; step++ ) {
+				low = step / steps;
+				if ( low >= best_fraction ) {
+					return;
+				}
+				high = Math.min( ( step + 1 ) / steps, best_fraction );
+
+				sweepBetween( low, high );
+				if ( touches( swept_body, piece ) ) {
+					break;
+				}
+			}
+			if ( step === steps ) {
+				return;
+			}
+
+			while ( ( high - low ) * travel > toi_tolerance ) {
+				middle = ( low + high ) / 2;
+				sweepBetween( step / steps, middle );
+				if ( touches( swept_body, piece ) ) {
+					high = middle;
+				} else {
+					low = middle;
+				}
+			}
+		}
+
+		// the surface normal where the shape touches the piece, probed slightly further along so they overlap
+		transformAt( high + 2 * toi_tolerance / travel, probe_body.position, probe_body.rotation );
+		probe_body.updateDerived();
+		contact = Goblin.GjkEpa.testCollision( probe_body, piece );
+		if ( contact != null ) {
+			point.copy( contact.contact_point );
+			normal.scaleVector( contact.contact_normal, -1 );
+			contact.destroy();
+		} else {
+			point.copy( probe_body.position );
+			normal.normalizeVector( motion );
+			normal.scale( -1 );
+		}
+
+		// how directly the touching point moves into the surface; surfaces it doesn't move into don't stop the shape
+		lever.subtractVectors( point, probe_body.position );
+		point_motion.crossVectors( turn, lever );
+		point_motion.add( motion );
+		approach = normal.dot( point_motion );
+		if ( approach > -Goblin.EPSILON * travel ) {
+			return;
+		}
+
+		// of surfaces hit at the same time, the one the shape moves into most directly is kept
+		if ( high === best_fraction && approach >= best_approach ) {
+			return;
+		}
+
+		best_fraction = high;
+		best_approach = approach;
+		best_point.copy( point );
+		best_normal.copy( normal );
+		best_object = object;
+	}
+
+	function sweepMesh( mesh, object ) {
+		aabb_in_object.transform( bounds_body.aabb, mesh.transform_inverse );
+
+		var pending_nodes = [ mesh.shape.hierarchy ],
+			proxy = Goblin.ObjectPool.getObject( 'RigidBodyProxy' ),
+			node;
+		while ( ( node = pending_nodes.shift() ) ) {
+			if ( node.aabb.intersects( aabb_in_object ) ) {
+				if ( node.isLeaf() ) {
+					triangle_child.shape = node.object;
+					proxy.setFrom( mesh, triangle_child );
+					sweepConvex( proxy, object );
+				} else {
+					pending_nodes.push( node.left, node.right );
+				}
+			}
+		}
+		Goblin.ObjectPool.freeObject( 'RigidBodyProxy', proxy );
+	}
+
+	function sweepHeightfield( heightfield, object ) {
+		var field = heightfield.shape,
+			proxy, x, z, i;
+
+		aabb_in_object.transform( bounds_body.aabb, heightfield.transform_inverse );
+
+		// range of grid cells overlapped by the sweep
+		var min_x = Math.max( Math.floor( ( aabb_in_object.min.x + field.half_width ) / field.scale.x ), 0 ),
+			max_x = Math.min( Math.floor( ( aabb_in_object.max.x + field.half_width ) / field.scale.x ), field.width_samples - 2 ),
+			min_z = Math.max( Math.floor( ( aabb_in_object.min.z + field.half_depth ) / field.scale.z ), 0 ),
+			max_z = Math.min( Math.floor( ( aabb_in_object.max.z + field.half_depth ) / field.scale.z ), field.depth_samples - 2 );
+
+		proxy = Goblin.ObjectPool.getObject( 'RigidBodyProxy' );
+		triangle_child.shape = triangle;
+		for ( z = min_z; z <= max_z; z++ ) {
+			for ( x = min_x; x <= max_x; x++ ) {
+				for ( i = 0; i < 2; i++ ) {
+					field.getTriangle( x, z, i, triangle );
+					if ( triangle.aabb.intersects( aabb_in_object ) ) {
+						proxy.setFrom( heightfield, triangle_child );
+						sweepConvex( proxy, object );
+					}
+				}
+			}
+		}
+		Goblin.ObjectPool.freeObject( 'RigidBodyProxy', proxy );
+	}
+
+	// sweeps against each convex piece of `piece`, which is `object` or one of its compound children
+	function sweepObject( piece, object ) {
+		var proxy, i;
+
+		if ( piece.shape instanceof Goblin.CompoundShape ) {
+			proxy = Goblin.ObjectPool.getObject( 'RigidBodyProxy' );
+			for ( i = 0; i < piece.shape.child_shapes.length; i++ ) {
+				proxy.setFrom( piece, piece.shape.child_shapes[i] );
+				if ( proxy.aabb.intersects( bounds_body.aabb ) ) {
+					sweepObject( proxy, object );
+				}
+			}
+			Goblin.ObjectPool.freeObject( 'RigidBodyProxy', proxy );
+		} else if ( piece.shape instanceof Goblin.MeshShape ) {
+			sweepMesh( piece, object );
+		} else if ( piece.shape instanceof Goblin.HeightfieldShape ) {
+			sweepHeightfield( piece, object );
+		} else {
+			sweepConvex( piece, object );
+		}
+	}
+
+	/**
+	 * Sweeps a convex shape from one transform to another, finding the first body it hits. The shape moves along a
+	 * straight line while turning at a constant rate; turning shapes are swept in steps of at most 0.25 radians,
+	 * within which their points are taken to move along straight lines. Surfaces the shape already touches at
+	 * `from_transform` are only hit if it moves into them
+	 *
+	 * @method convexSweep
+	 * @param shape {Object} any convex Goblin shape
+	 * @param from_transform {Object} where the sweep starts, with a `position` {Vector3} and an optional `rotation`
+	 *     {Quaternion}; a RigidBody can be used
+	 * @param to_transform {Object} where the sweep ends, with a `position` {Vector3} and an optional `rotation`
+	 *     {Quaternion}; a RigidBody can be used
+	 * @param [options] {Object}
+	 * @param [options.collision_groups=0] {Number} groups the shape is in, checked against bodies' masks
+	 * @param [options.collision_mask=0] {Number} mask checked against bodies' groups, like a RigidBody's
+	 * @param [options.exclude] {Array<RigidBody>} bodies the shape passes through
+	 * @param [options.predicate] {Function} called with each body, which the shape passes through unless it returns true
+	 * @return {SweepIntersection|null} the first hit, or null if the shape doesn't hit anything
+	 */
+	Goblin.World.prototype.convexSweep = function( shape_to_sweep, from_transform, to_transform, options ) {
+		var candidates, candidate, angle, extents, intersection, i;
+
+		shape = shape_to_sweep;
+
+		start.copy( from_transform.position );
+		motion.subtractVectors( to_transform.position, start );
+		if ( from_transform.rotation != null ) {
+			start_rotation.copy( from_transform.rotation );
+		} else {
+			start_rotation.set( 0, 0, 0, 1 );
+		}
+
+		// the turn from the start rotation to the end rotation, taking the shortest arc
+		inverse_start_rotation.invertQuaternion( start_rotation );
+		if ( to_transform.rotation != null ) {
+			_tmp_quat4_1.multiplyQuaternions( to_transform.rotation, inverse_start_rotation );
+		} else {
+			_tmp_quat4_1.copy( inverse_start_rotation );
+		}
+		if ( _tmp_quat4_1.w < 0 ) {
+			_tmp_quat4_1.set( -_tmp_quat4_1.x, -_tmp_quat4_1.y, -_tmp_quat4_1.z, -_tmp_quat4_1.w );
+		}
+		turn.set( _tmp_quat4_1.x, _tmp_quat4_1.y, _tmp_quat4_1.z );
+		angle = 2 * Math.atan2( turn.length(), _tmp_quat4_1.w );
+		if ( angle < Goblin.EPSILON ) {
+			turn.set( 0, 0, 0 );
+			angle = 0;
+		} else {
+			turn.scale( angle / turn.length() );
+		}
+
+		// no point of the shape is further than the bounding sphere's radius from its center
+		extents = shape.aabb;
+		bounding_sphere.radius = Math.sqrt(
+			Math.max( extents.min.x * extents.min.x, extents.max.x * extents.max.x ) +
+			Math.max( extents.min.y * extents.min.y, extents.max.y * extents.max.y ) +
+			Math.max( extents.min.z * extents.min.z, extents.max.z * extents.max.z )
+		);
+		bounding_sphere.calculateLocalAABB( bounding_sphere.aabb );
+
+		// furthest any point of the shape moves
+		travel = motion.length() + bounding_sphere.radius * angle;
+		if ( travel < Goblin.EPSILON ) {
+			return null;
+		}
+		steps = Math.max( Math.ceil( angle / max_step_angle ), 1 );
+
+		if ( swept_body === null ) {
+			hull = new SweptHull();
+			bounds = new SweptHull();
+			// given mass so broadphases which filter out static pairs still report static candidates
+			swept_body = new Goblin.RigidBody( bounding_sphere, 1 );
+			swept_body.shape = hull;
+			bounds_body = new Goblin.RigidBody( bounding_sphere, 1 );
+			bounds_body.shape = bounds;
+			probe_body = new Goblin.RigidBody( bounding_sphere, 1 );
+		}
+		hull.shape = shape;
+		probe_body.shape = shape;
+		sweepBounds( angle > 0 );
+
+		best_fraction = Infinity;
+		best_approach = 0;
+		best_object = null;
+
+		candidates = this.broadphase.intersectsWith( bounds_body );
+		for ( i = 0; i < candidates.length; i++ ) {
+			candidate = candidates[i];
+			if ( candidate instanceof Goblin.GhostBody || !Goblin.CollisionUtils.passesFilter( options, candidate ) ) {
+				continue;
+			}
+			sweepObject( candidate, candidate );
+		}
+
+		if ( best_object === null ) {
+			return null;
+		}
+
+		intersection = Goblin.ObjectPool.getObject( 'SweepIntersection' );
+		intersection.object = best_object;
+		intersection.fraction = best_fraction;
+		intersection.point.copy( best_point );
+		intersection.normal.copy( best_normal );
+		return intersection;
+	};
+})();
+
+(function(){
+	var piece_result = new Goblin.GjkEpa.DistanceResult(),
+		best = null;
+
+	// temporaries for walking one body's convex pieces, kept apart for each body as their walks are nested
+	function createScratch() {
+		var triangle = new Goblin.TriangleShape( new Goblin.Vector3(), new Goblin.Vector3(), new Goblin.Vector3() );
+		return {
+			aabb_in_object: new Goblin.AABB(),
+			triangle: triangle,
+			triangle_child: new Goblin.CompoundShapeChild( triangle, new Goblin.Vector3(), new Goblin.Quaternion() )
+		};
+	}
+
+	var scratch_a = createScratch(),
+		scratch_b = createScratch();
+
+	// shortest distance between two AABBs, 0 when they overlap
+	function aabbDistance( a, b ) {
+		var x = Math.max( a.min.x - b.max.x, b.min.x - a.max.x, 0 ),
+			y = Math.max( a.min.y - b.max.y, b.min.y - a.max.y, 0 ),
+			z = Math.max( a.min.z - b.max.z, b.min.z - a.max.z, 0 );
+		return Math.sqrt( x * x + y * y + z * z );
+	}
+
+	// whether something within `aabb` could be closer to `other_aabb` than the closest points found so far
+	function withinReach( aabb, other_aabb ) {
+		return aabbDistance( aabb, other_aabb ) <= best.distance;
+	}
+
+	function eachMeshPiece( mesh, other, scratch, callback ) {
+		var pending_nodes = [ mesh.shape.hierarchy ],
+			proxy = Goblin.ObjectPool.getObject( 'RigidBodyProxy' ),
+			node;
+
+		// distances are kept by the mesh's transform, so its nodes are compared in its own space
+		scratch.aabb_in_object.transform( other.aabb, mesh.transform_inverse );
+		while ( ( node = pending_nodes.shift() ) ) {
+			if ( withinReach( node.aabb, scratch.aabb_in_object ) ) {
+				if ( node.isLeaf() ) {
+					scratch.triangle_child.shape = node.object;
+					proxy.setFrom( mesh, scratch.triangle_child );
+					callback( proxy );
+				} else {
+					pending_nodes.push( node.left, node.right );
+				}
+			}
+		}
+		Goblin.ObjectPool.freeObject( 'RigidBodyProxy', proxy );
+		scratch.triangle_child.shape = scratch.triangle;
+	}
+
+	function eachHeightfieldPiece( heightfield, other, scratch, callback ) {
+		var field = heightfield.shape,
+			aabb = scratch.aabb_in_object,
+			reach = best.distance,
+			proxy, x, z, i;
+
+		aabb.transform( other.aabb, heightfield.transform_inverse );
+
+		// range of grid cells within reach of `other`
+		var min_x = Math.max( Math.floor( ( aabb.min.x - reach + field.half_width ) / field.scale.x ), 0 ),
+			max_x = Math.min( Math.floor( ( aabb.max.x + reach + field.half_width ) / field.scale.x ), field.width_samples - 2 ),
+			min_z = Math.max( Math.floor( ( aabb.min.z - reach + field.half_depth ) / field.scale.z ), 0 ),
+			max_z = Math.min( Math.floor( ( aabb.max.z + reach + field.half_depth ) / field.scale.z ), field.depth_samples - 2 );
+
+		proxy = Goblin.ObjectPool.getObject( 'RigidBodyProxy' );
+		for ( z = min_z; z <= max_z; z++ ) {
+			for ( x = min_x; x <= max_x; x++ ) {
+				for ( i = 0; i < 2; i++ ) {
+					field.getTriangle( x, z, i, scratch.triangle );
+					if ( withinReach( scratch.triangle.aabb, aabb ) ) {
+						proxy.setFrom( heightfield, scratch.triangle_child );
+						callback( proxy );
+					}
+				}
+			}
+		}
+		Goblin.ObjectPool.freeObject( 'RigidBodyProxy', proxy );
+	}
+
+	// calls `callback` with each convex piece of `piece` which could be closer to `other` than the best found so far
+	function eachPiece( piece, other, scratch, callback ) {
+		var proxy, i;
+
+		if ( piece.shape instanceof Goblin.CompoundShape ) {
+			proxy = Goblin.ObjectPool.getObject( 'RigidBodyProxy' );
+			for ( i = 0; i < piece.shape.child_shapes.length; i++ ) {
+				proxy.setFrom( piece, piece.shape.child_shapes[i] );
+				if ( withinReach( proxy.aabb, other.aabb ) ) {
+					eachPiece( proxy, other, scratch, callback );
+				}
+			}
+			Goblin.ObjectPool.freeObject( 'RigidBodyProxy', proxy );
+		} else if ( piece.shape instanceof Goblin.MeshShape ) {
+			eachMeshPiece( piece, other, scratch, callback );
+		} else if ( piece.shape instanceof Goblin.HeightfieldShape ) {
+			eachHeightfieldPiece( piece, other, scratch, callback );
+		} else {
+			callback( piece );
+		}
+	}
+
+	function measurePieces( piece_a, piece_b ) {
+		Goblin.GjkEpa.distance( piece_a, piece_b, piece_result );
+		if ( piece_result.distance < best.distance ) {
+			best.distance = piece_result.distance;
+			best.point_a.copy( piece_result.point_a );
+			best.point_b.copy( piece_result.point_b );
+			best.normal.copy( piece_result.normal );
+		}
+	}
+
+	/**
+	 * Finds the distance between two bodies and the closest points on their surfaces; see `GjkEpa.distance`.
+	 * Compound, mesh & heightfield bodies are measured by their closest convex pieces
+	 *
+	 * @method closestPoints
+	 * @param body_a {RigidBody}
+	 * @param body_b {RigidBody}
+	 * @param [result] {GjkEpa.DistanceResult} result to fill in, a new one is created if omitted
+	 * @return {GjkEpa.DistanceResult} the bodies' separation, with a negative distance if they overlap
+	 */
+	Goblin.World.prototype.closestPoints = function( body_a, body_b, result ) {
+		best = result || new Goblin.GjkEpa.DistanceResult();
+		best.distance = Infinity;
+
+		body_a.updateDerived();
+		body_b.updateDerived();
+
+		eachPiece(
+			body_a, body_b, scratch_a,
+			function( piece_a ) {
+				eachPiece(
+					body_b, piece_a, scratch_b,
+					function( piece_b ) {
+						measurePieces( piece_a, piece_b );
+					}
+				);
+			}
+		);
+
+		result = best;
+		best = null;
+		return result;
+	};
+})();
+
+(function(){
+	var query_body = null,
+		aabb_box = new Goblin.BoxShape( 0, 0, 0 ),
+		aabb_center = new Goblin.Vector3(),
+		identity = new Goblin.Quaternion(),
+		found_contacts = [];
+
+	// swaps a contact's objects so `object_a` is the query body
+	function orientContact( contact ) {
+		if ( contact.object_a === query_body ) {
+			return;
+		}
+
+		contact.object_b = contact.object_a;
+		contact.object_a = query_body;
+		_tmp_vec3_1.copy( contact.contact_point_in_a );
+		contact.contact_point_in_a.copy( contact.contact_point_in_b );
+		contact.contact_point_in_b.copy( _tmp_vec3_1 );
+		contact.contact_normal.scale( -1 );
+	}
+
+	/**
+	 * Finds the bodies overlapping a shape placed in the world, testing them immediately instead of waiting for a
+	 * step as a GhostBody would. Bodies within the narrow phase's contact margins count as overlapping
+	 *
+	 * @method overlapShape
+	 * @param shape {Object} any Goblin shape
+	 * @param position {Vector3} where the shape is placed
+	 * @param [rotation] {Quaternion} the shape's rotation
+	 * @param [filter] {Object}
+	 * @param [filter.collision_groups=0] {Number} groups the shape is in, checked against bodies' masks
+	 * @param [filter.collision_mask=0] {Number} mask checked against bodies' groups, like a RigidBody's
+	 * @param [filter.exclude] {Array<RigidBody>} bodies which are skipped
+	 * @param [filter.predicate] {Function} called with each body, which is skipped unless it returns true
+	 * @param [contacts] {Array} if given, the deepest contact with each body is added, in the same order as the
+	 *     returned bodies. Their `object_a` stands in for the shape & their normals point from it into the body.
+	 *     Destroy the contacts when done with them
+	 * @return {Array<RigidBody>} the bodies overlapping the shape
+	 */
+	Goblin.World.prototype.overlapShape = function( shape, position, rotation, filter, contacts ) {
+		var bodies = [],
+			candidates, candidate, deepest, i, j;
+
+		if ( query_body === null ) {
+			// given mass so broadphases which filter out static pairs still report static candidates
+			query_body = new Goblin.RigidBody( aabb_box, 1 );
+		}
+		query_body.shape = shape;
+		query_body.position.copy( position );
+		query_body.rotation.copy( rotation || identity );
+		query_body.updateDerived();
+
+		candidates = this.broadphase.intersectsWith( query_body );
+		for ( i = 0; i < candidates.length; i++ ) {
+			candidate = candidates[i];
+			if ( candidate instanceof Goblin.GhostBody || !Goblin.CollisionUtils.passesFilter( filter, candidate ) ) {
+				continue;
+			}
+
+			found_contacts.length = 0;
+			this.narrowphase.getContacts( query_body, candidate, found_contacts );
+			if ( found_contacts.length === 0 ) {
+				continue;
+			}
+			bodies.push( candidate );
+
+			deepest = 0;
+			for ( j = 1; j < found_contacts.length; j++ ) {
+				if ( found_contacts[j].penetration_depth > found_contacts[deepest].penetration_depth ) {
+					deepest = j;
+				}
+			}
+			for ( j = 0; j < found_contacts.length; j++ ) {
+				if ( j === deepest && contacts != null ) {
+					orientContact( found_contacts[j] );
+					contacts.push( found_contacts[j] );
+				} else {
+					found_contacts[j].destroy();
+				}
+			}
+		}
+		found_contacts.length = 0;
+
+		return bodies;
+	};
+
+	/**
+	 * Finds the bodies overlapping an axis-aligned box; see `overlapShape`
+	 *
+	 * @method overlapAABB
+	 * @param aabb {AABB} world space box
+	 * @param [filter] {Object} as for `overlapShape`
+	 * @param [contacts] {Array} as for `overlapShape`
+	 * @return {Array<RigidBody>} the bodies overlapping the box
+	 */
+	Goblin.World.prototype.overlapAABB = function( aabb, filter, contacts ) {
+		aabb_box.half_width = ( aabb.max.x - aabb.min.x ) / 2;
+		aabb_box.half_height = ( aabb.max.y - aabb.min.y ) / 2;
+		aabb_box.half_depth = ( aabb.max.z - aabb.min.z ) / 2;
+		aabb_box.calculateLocalAABB( aabb_box.aabb );
+
+		aabb_center.addVectors( aabb.min, aabb.max );
+		aabb_center.scale( 0.5 );
+
+		return this.overlapShape( aabb_box, aabb_center, identity, filter, contacts );
+	};
+})();
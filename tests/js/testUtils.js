@@ -129,6 +129,30 @@ window.testUtils = (function(){
 			return cylinder;
 		},
 
+		createCapsule: function( radius, half_height, mass ) {
+			var material = new THREE.MeshNormalMaterial({ opacity: 1 }),
+				capsule = new THREE.Object3D(),
+				top = new THREE.Mesh( new THREE.SphereGeometry( radius, 32, 16 ), material ),
+				bottom = new THREE.Mesh( new THREE.SphereGeometry( radius, 32, 16 ), material );
+
+			top.position.y = half_height;
+			bottom.position.y = -half_height;
+			capsule.add( new THREE.Mesh( new THREE.CylinderGeometry( radius, radius, half_height * 2, 32 ), material ) );
+			capsule.add( top );
+			capsule.add( bottom );
+
+			capsule.goblin = new Goblin.RigidBody(
+				new Goblin.CapsuleShape( radius, half_height ),
+				mass
+			);
+
+			objects.push( capsule );
+			testUtils.scene.add( capsule );
+			world.addRigidBody( capsule.goblin );
+
+			return capsule;
+		},
+
 		createCone: function( radius, half_height, mass ) {
 			var cone = new THREE.Mesh(
 				new THREE.CylinderGeometry( 0, radius, half_height * 2 ),
@@ -167,6 +191,35 @@ window.testUtils = (function(){
 			return plane;
 		},
 
+		createHeightfield: function( width_samples, depth_samples, heights, scale, mass ) {
+			var geometry = new THREE.PlaneGeometry(
+					( width_samples - 1 ) * scale.x,
+					( depth_samples - 1 ) * scale.z,
+					width_samples - 1,
+					depth_samples - 1
+				),
+				heightfield;
+
+			// lay the plane along XZ so its vertices line up with the height samples
+			geometry.applyMatrix( new THREE.Matrix4().makeRotationX( -Math.PI / 2 ) );
+			for ( var i = 0; i < geometry.vertices.length; i++ ) {
+				geometry.vertices[i].y = heights[i] * scale.y;
+			}
+			geometry.computeFaceNormals();
+
+			heightfield = new THREE.Mesh( geometry, new THREE.MeshNormalMaterial({ opacity: 1 }) );
+			heightfield.goblin = new Goblin.RigidBody(
+				new Goblin.HeightfieldShape( width_samples, depth_samples, heights, scale ),
+				mass
+			);
+
+			objects.push( heightfield );
+			testUtils.scene.add( heightfield );
+			world.addRigidBody( heightfield.goblin );
+
+			return heightfield;
+		},
+
 		createConvex: function( vertices, mass ) {
 			//var start = performance.now();
 			var convex = new THREE.Mesh(